@@ -1,7 +1,35 @@
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
-const { JSDOM } = require('jsdom');
+const crypto = require('crypto');
+const cache = require('../lib/cache');
+const history = require('../lib/history');
+const profiles = require('../lib/profiles');
+const groups = require('../lib/groups');
+const { VERIFICATION_SOURCES, findVerificationToken } = require('../lib/verification');
+const http = require('../lib/http');
+const { LeetCodeAPI, LEETCODE_RECENT_AC_LIMIT } = require('../lib/platforms');
+const {
+    CodeForcesAPI,
+    CodeChefAPI,
+    GitHubAPI,
+    GeeksForGeeksAPI,
+    AtCoderAPI,
+    HackerRankAPI,
+    InterviewBitAPI,
+    CodeStudioAPI
+} = require('../lib/platforms-extended');
+const { getTheme, renderHeatmapSVG, renderErrorSVG } = require('../lib/svg');
+const { CARD_PLATFORMS, renderCard, buildUnifiedCardSpec, buildPlatformCardSpec } = require('../lib/cards');
+const { RATING_BANDS, renderRatingChart, renderRatingSparkline } = require('../lib/charts');
+const { ContestCalendar, filterContestsByDivision, buildContestICS } = require('../lib/contests');
+const { calculateSkillScore } = require('../lib/ratings');
+const {
+    LEADERBOARD_SORTS,
+    LEADERBOARD_RATING_PLATFORMS,
+    LEADERBOARD_TIE_BREAKERS,
+    rankLeaderboard,
+    buildLeaderboardCSV
+} = require('../lib/leaderboard');
 
 const app = express();
 
@@ -98,3679 +126,3260 @@ class MultiPlatformAPI {
     async sleep(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
-}
-
-class LeetCodeAPI {
-    constructor() {
-        this.graphqlURL = 'https://leetcode.com/graphql';
-        this.alfaURL = "http://localhost:8000" || 'https://alfa-leetcode-api.onrender.com';
-        this.localApi = "http://localhost:8000";
-        this.timeout = 15000;
-    }
 
-    async getUserData(username) {
+    // Every route fetches through here so responses come from CacheManager
+    // (per-platform TTL, stale-while-revalidate, one in-flight fetch per platform:username).
+    async fetchPlatform(platform, username) {
         try {
-            console.log(`Fetching comprehensive LeetCode data for: ${username}`);
-            
-            // Fetch all data sources in parallel
-            const [profileData, solvedStats, calendarData, contestData, languageData, skillData, badgesData, dailyProblemData] = await Promise.allSettled([
-                this.fetchProfileFromAlfa(username),
-                this.fetchSolvedStats(username),
-                this.fetchSubmissionCalendarData(username),
-                this.fetchContestData(username),
-                this.fetchLanguageStats(username),
-                this.fetchSkillStats(username),
-                this.getBadges(username),
-                this.getDailyProblem()
-            ]);
-
-            const profile = profileData.status === 'fulfilled' ? profileData.value : null;
-            const calendar = calendarData.status === 'fulfilled' ? calendarData.value : null;
-            const contests = contestData.status === 'fulfilled' ? contestData.value : null;
-            const languages = languageData.status === 'fulfilled' ? languageData.value : null;
-            const skills = skillData.status === 'fulfilled' ? skillData.value : null;
-            const solvedStatsData = solvedStats.status === 'fulfilled' ? solvedStats.value : null;
-            const dailyProblem = dailyProblemData.status === 'fulfilled' ? dailyProblemData.value : null;
-            const badges = badgesData.status === 'fulfilled' ? badgesData.value : [];
-
+            const result = await this.platforms[platform].getUserData(username);
+            await this.recordSnapshot(platform, username, result);
+            return result;
+        } catch (error) {
+            console.error(`Error fetching ${platform} data:`, error.message);
             return {
-                status: "OK",
-                platform: "leetcode",
+                status: "FAILED",
+                platform: platform,
                 username: username,
-                profile: {
-                    name: profile?.name || username,
-                    avatar: profile?.avatar || null,
-                    ranking: profile?.ranking || null,
-                    reputation: profile?.reputation || null,                    
-                },
-                solvedStats: solvedStatsData  || [],
-                contests: contests,
-                calendar_data: calendar,
-                skills: skills || [],
-                badges: badges,
-                languageStats: languages,
-                dailyProblem: dailyProblem || null,
-                
-            };
-        } catch (error) {
-            console.error(`LeetCode API Error for ${username}:`, error.message);
-            return { 
-                status: "FAILED", 
-                platform: "leetcode", 
-                username: username, 
-                error: error.message 
+                error: error.message
             };
         }
     }
 
-    async fetchProfileFromAlfa(username) {
-        try {
-            const response = await axios.get(`${this.alfaURL}/${username}`, {
-                timeout: this.timeout,
-                headers: { 'User-Agent': 'Mozilla/5.0 (compatible; LeetCode-Portfolio-API)' }
-            });
-            return response.data;
-        } catch (error) {
-            console.log(`Alfa LeetCode API failed: ${error.message}`);
-            return null;
-        }
+    // Bypasses the cache read, stores the fresh result and snapshots it (admin refresh, refresh worker)
+    async refreshPlatform(platform, username) {
+        const result = await this.platforms[platform].refreshUserData(username);
+        await this.recordSnapshot(platform, username, result);
+        return result;
     }
 
-    async fetchSolvedStats(username) {
-        try {
-            const response = await axios.get(`${this.alfaURL}/${username}/solved`, {
-                timeout: this.timeout,
-                headers: { 'User-Agent': 'Mozilla/5.0 (compatible; LeetCode-Portfolio-API)' }
-            });
+    // Daily progress snapshot; fresh upstream data overwrites today's row, cache hits only fill a missing day.
+    // Partial responses (a failed submissions or rating source) would record zeros, so they are skipped.
+    async recordSnapshot(platform, username, result) {
+        if (result.status !== "OK" || result.partial || !HISTORY_PLATFORMS.includes(platform)) return;
+        await history.record(platform, username, extractPlatformStats(platform, result), {
+            force: !result.cache_info?.hit
+        });
+    }
 
-            const data = response.data;
-            const totalSubmissions = data.totalSubmissionNum?.[0]?.submissions || 0;
-            const acceptedSubmissions = data.acSubmissionNum?.[0].submissions || 0;
-
-            let solvedStatsdata = {
-                totalSolved: data.solvedProblem || 0,
-                easySolved: data.easySolved || 0,
-                mediumSolved: data.mediumSolved || 0,
-                hardSolved: data.hardSolved || 0,
-                totalsubmissionsCount: totalSubmissions,
-                acceptance_rate: totalSubmissions > 0 
-            ? Math.round((acceptedSubmissions / totalSubmissions) * 100 * 100) / 100 
-            : 0,
-                totalSubmissions: data.totalSubmissionNum || [],
-                
+    // Fetches [platform, username] pairs 3 at a time, keyed by platform in request order.
+    // The politeness delay only applies when a batch actually went upstream.
+    async fetchPlatforms(entries, batchSize = 3) {
+        const valid = entries.filter(([platform, username]) => this.platforms[platform] && username);
+        const results = {};
 
-            }
+        for (let i = 0; i < valid.length; i += batchSize) {
+            const batch = valid.slice(i, i + batchSize);
+            const data = await Promise.all(batch.map(([platform, username]) => this.fetchPlatform(platform, username)));
 
+            batch.forEach(([platform], index) => {
+                results[platform] = data[index];
+            });
 
-            return solvedStatsdata;
-        } catch (error) {
-            console.log(`Detailed stats fetch failed: ${error.message}`);
-            return null;
-        }
-    }
-    // working
-    // Renamed function
-async fetchSubmissionCalendarData(username, defaultYear = 2024) {
-  let source = "localApi";
-  const perYearTimeout = this.timeout ?? 10_000;
-
-  try {
-    // 1) Fetch a seed year to discover activeYears (use provided defaultYear)
-    let seedResp;
-    try {
-      seedResp = await axios.get(
-        `${this.localApi}/userProfileCalendar?username=${encodeURIComponent(username)}&year=${encodeURIComponent(defaultYear)}`,
-        {
-          timeout: perYearTimeout,
-          headers: { "User-Agent": "Mozilla/5.0 (compatible; LeetCode-Portfolio-API)" },
+            const fetchedUpstream = data.some(item => !item.cache_info?.hit);
+            if (fetchedUpstream && i + batchSize < valid.length) {
+                await this.sleep(this.rateLimitDelay);
+            }
         }
-      );
-    } catch (seedErr) {
-      console.log(`Primary calendar API failed for seed year, trying fallback: ${seedErr.message}`);
-      // Optional: Try GraphQL fallback to get active years
-      // seedResp = await this.fetchCalendarFromGraphQL(username, defaultYear);
-      source = "graphql";
-    }
 
-    if (!seedResp?.data?.data?.matchedUser?.userCalendar) {
-      throw new Error("Seed response missing userCalendar");
+        return results;
     }
+}
 
-    const seedCalendar = seedResp.data.data.matchedUser.userCalendar;
-    const activeYears = Array.isArray(seedCalendar.activeYears) ? seedCalendar.activeYears : [];
-
-    // If no activeYears are present, still return the single-year data under that year key
-    const yearsToFetch = activeYears.length ? activeYears : [defaultYear];
-
-    // 2) Fetch all years in parallel
-    const fetchYear = async (year) => {
-      try {
-        const resp = await axios.get(
-          `${this.localApi}/userProfileCalendar?username=${encodeURIComponent(username)}&year=${encodeURIComponent(year)}`,
-          {
-            timeout: perYearTimeout,
-            headers: { "User-Agent": "Mozilla/5.0 (compatible; LeetCode-Portfolio-API)" },
-          }
-        );
-
-        const data = resp?.data?.data?.matchedUser?.userCalendar;
-        if (!data) throw new Error(`Missing userCalendar for ${year}`);
+// Initialize APIs
+const multiAPI = new MultiPlatformAPI();
+const contestCalendar = new ContestCalendar();
 
-        const totalActiveDays = data.totalActiveDays ?? 0;
-        const maxstreak = data?.streak ?? 0;
-        const totalSubmissions = this.getTotalSubmissionsCount(data?.submissionCalendar || {});
-        const submission_calendar_data = this.getDateSubmissionList(data?.submissionCalendar || {});
+// Shared with api/worker.js so scheduled refreshes go through the same adapters and snapshot hook
+app.locals.multiAPI = multiAPI;
 
-        const activeYearsFromThisYear = Array.isArray(data?.activeYears) ? data.activeYears : activeYears;
+// Username routes only read the profile registry when asked to: /api/heatmap/p:<profile id> or ?profile=<profile id>.
+// A bare :username is always a platform handle, so registering a profile id cannot shadow someone's username.
+const PROFILE_REFERENCE_PREFIX = 'p:';
 
-        return {
-          year,
-          value: {
-            totalSubmissions,
-            totalActiveDays,
-            maxstreak,
-            submission_calendar_data,
-            dataSource: source,
-            lastUpdated: new Date().toISOString(),
-            yearRange: {
-              start: activeYearsFromThisYear[0] || null,
-              end: activeYearsFromThisYear[activeYearsFromThisYear.length - 1] || null,
-            },
-          },
-        };
-      } catch (err) {
-        console.log(`Year ${year} fetch failed: ${err.message}`);
-        // Provide a predictable fallback per-year node so consumers don’t break
-        const fallback = this.getFallbackCalendarData?.() ?? {};
-        return {
-          year,
-          value: {
-            ...fallback,
-            dataSource: source,
-            lastUpdated: new Date().toISOString(),
-            yearRange: { start: null, end: null },
-          },
-        };
-      }
-    };
+function getProfileReference(idOrUsername, query) {
+    if (typeof query.profile === 'string' && query.profile) {
+        return query.profile;
+    }
+    return idOrUsername.startsWith(PROFILE_REFERENCE_PREFIX) ? idOrUsername.slice(PROFILE_REFERENCE_PREFIX.length) : null;
+}
 
-    const results = await Promise.all(yearsToFetch.map(fetchYear));
-
-    // 3) Aggregate keyed by year (numbers as keys)
-    const perYearMap = results.reduce((acc, { year, value }) => {
-      acc[year] = value;
-      return acc;
-    }, {});
-
-    // 4) Optional top-level summary and metadata
-    const allYears = Object.keys(perYearMap).map(Number).sort((a, b) => a - b);
-    const topLevel = {
-      username,
-      activeYears: allYears,
-      range: {
-        start: allYears[0] ?? null,
-        end: allYears[allYears.length - 1] ?? null,
-      },
-      // Useful global aggregates
-      totals: {
-        totalSubmissions: allYears.reduce((sum, y) => sum + (perYearMap[y]?.totalSubmissions ?? 0), 0),
-        totalActiveDays: allYears.reduce((sum, y) => sum + (perYearMap[y]?.totalActiveDays ?? 0), 0),
-        maxStreakOverall: Math.max(...allYears.map((y) => perYearMap[y]?.maxstreak ?? 0), 0),
-      },
-      dataSource: source,
-      lastUpdated: new Date().toISOString(),
-    };
+// [platform, handle] pairs for a route's :username segment. Explicit ?leetcode=john_doe&codeforces=johnD
+// handles win, then a referenced profile, then the same username on every requested platform.
+// missingProfile holds a referenced profile id that is not registered.
+async function resolvePlatformEntries(idOrUsername, query, defaultPlatforms, allowedPlatforms = Object.keys(multiAPI.platforms)) {
+    const explicit = allowedPlatforms
+        .filter(platform => typeof query[platform] === 'string' && query[platform])
+        .map(platform => [platform, query[platform]]);
+    if (explicit.length > 0) {
+        return { profile: null, entries: explicit, missingProfile: null };
+    }
+
+    const requested = (typeof query.platforms === 'string' ? query.platforms : defaultPlatforms)
+        .split(',')
+        .map(platform => platform.trim())
+        .filter(platform => allowedPlatforms.includes(platform));
+
+    const profileId = getProfileReference(idOrUsername, query);
+    if (profileId !== null) {
+        const profile = await profiles.get(profileId);
+        if (!profile) {
+            return { profile: null, entries: [], missingProfile: profileId };
+        }
+        const entries = Object.entries(profile.handles)
+            .filter(([platform]) => allowedPlatforms.includes(platform) && (!query.platforms || requested.includes(platform)));
+        return { profile, entries, missingProfile: null };
+    }
 
-    // 5) Return merged object: top-level + per-year keys
-    return {
-      ...topLevel,
-      ...perYearMap,
-    };
-  } catch (error) {
-    console.log(`Calendar data fetch failed: ${error.message}`);
-    // Fallback structure for multi-year shape
-    const fallback = this.getFallbackCalendarData?.() ?? {};
-    return {
-      username,
-      activeYears: [],
-      range: { start: null, end: null },
-      totals: { totalSubmissions: 0, totalActiveDays: 0, maxStreakOverall: 0 },
-      dataSource: "unknown",
-      lastUpdated: new Date().toISOString(),
-      // No per-year nodes, but include a "current year" placeholder if you want:
-      [defaultYear]: {
-        ...fallback,
-        dataSource: "unknown",
-        lastUpdated: new Date().toISOString(),
-        yearRange: { start: null, end: null },
-      },
-    };
-  }
+    return { profile: null, entries: requested.map(platform => [platform, idOrUsername]), missingProfile: null };
 }
 
+// ==========================================
+// ENHANCED HELPER FUNCTIONS
+// ==========================================
 
-    // working 
-    getTotalSubmissionsCount(submissionCalendar) {
-    if (!submissionCalendar) return 0;
+function generateUnifiedActivityHeatmap(platformData, options = {}) {
+    const {
+        includeInactiveDays = false,
+        dateRange = 'auto', // 'auto', 'year', 'custom'
+        startDate = null,
+        endDate = null,
+        referenceDate = null // pin "today" so identical platform data yields identical output
+    } = options;
 
-    // Parse JSON if input is a string
-    let calendarObj = submissionCalendar;
-    if (typeof submissionCalendar === "string") {
-        try {
-            calendarObj = JSON.parse(submissionCalendar);
-        } catch (err) {
-            console.error("Invalid submissionCalendar JSON:", err);
-            return 0;
-        }
-    }
-    if (typeof calendarObj !== "object" || calendarObj === null) return 0;
-
-    // Sum up all values
-    let total = 0;
-    for (const key in calendarObj) {
-        const count = parseInt(calendarObj[key], 10);
-        if (!isNaN(count) && count > 0) {
-            total += count;
+    const today = referenceDate ? new Date(referenceDate) : new Date();
+    const { actualStartDate, actualEndDate } = determineDateRange(platformData, dateRange, startDate, endDate, today);
+    
+    // Initialize activity data with sparse structure
+    const dailyActivity = {};
+    
+    // Process each platform's activity first to determine actual active dates
+    const activeDates = new Set();
+    Object.entries(platformData).forEach(([platform, data]) => {
+        if (data.status === "OK") {
+            const platformActiveDates = processPlatformActivity(platform, data, actualStartDate, actualEndDate);
+            platformActiveDates.forEach(date => activeDates.add(date));
         }
-    }
-    return total;
-    }
-
-    getDateSubmissionList(submissionCalendar) {
-    if (!submissionCalendar) return [];
+    });
 
-    // Parse JSON if input is a string
-    let calendarObj = submissionCalendar;
-    if (typeof submissionCalendar === "string") {
-        try {
-            calendarObj = JSON.parse(submissionCalendar);
-        } catch (err) {
-            console.error("Invalid submissionCalendar JSON:", err);
-            return [];
+    // Only initialize days that have activity OR if includeInactiveDays is true
+    if (includeInactiveDays) {
+        // Initialize all days in range
+        for (let d = new Date(actualStartDate); d <= actualEndDate; d.setDate(d.getDate() + 1)) {
+            const dateStr = d.toISOString().split('T')[0];
+            dailyActivity[dateStr] = initializeDayData(dateStr, d);
         }
-    }
-    if (typeof calendarObj !== "object" || calendarObj === null) return [];
-
-    // Convert each timestamp to date and build result list
-    return Object.entries(calendarObj)
-        .map(([timestamp, count]) => ({
-            date: new Date(parseInt(timestamp, 10) * 1000)
-                    .toISOString()
-                    .split("T")[0],
-            submissionCount: parseInt(count, 10)
-        }))
-        .filter(item => item.submissionCount > 0)
-        .sort((a, b) => a.date.localeCompare(b.date));
+    } else {
+        // Only initialize active days
+        activeDates.forEach(dateStr => {
+            const date = new Date(dateStr);
+            dailyActivity[dateStr] = initializeDayData(dateStr, date);
+        });
     }
 
-    generateDailyActivity(submissionCalendar) {
-        const dailyActivity = [];
-        const today = new Date();
-        const oneYearAgo = new Date(today);
-        oneYearAgo.setFullYear(oneYearAgo.getFullYear() - 1);
-        
-        // Generate daily activity for each day in the past year
-        for (let d = new Date(oneYearAgo); d <= today; d.setDate(d.getDate() + 1)) {
-            const timestamp = Math.floor(d.getTime() / 1000);
-            const dateStr = d.toISOString().split('T')[0];
-            const submissionCount = parseInt(submissionCalendar[timestamp]) || 0;
-            
-            dailyActivity.push({
-                date: dateStr,
-                total: submissionCount,
-                level: this.getActivityLevel(submissionCount), // For heatmap intensity
-                platforms: {
-                    leetcode: submissionCount
-                },
-                timestamp: timestamp
-            });
+    // Process platform data and populate activity
+    const activitySources = {};
+    Object.entries(platformData).forEach(([platform, data]) => {
+        if (data.status === "OK") {
+            activitySources[platform] = populatePlatformActivity(platform, data, dailyActivity, actualStartDate, actualEndDate);
         }
-        
-        return dailyActivity;
-    }
+    });
 
-    getActivityLevel(count) {
-        // Return activity level for heatmap coloring (0-4 scale)
-        if (count === 0) return 0;
-        if (count <= 2) return 1;
-        if (count <= 5) return 2;
-        if (count <= 10) return 3;
-        return 4;
+    // Which unit each stretch of a mixed series counts (LeetCode: accepted problems vs raw submissions)
+    const activityRanges = {};
+    if (platformData.leetcode?.status === "OK") {
+        activityRanges.leetcode = getLeetCodeDayCounts(platformData.leetcode).ranges;
     }
 
-    getFallbackCalendarData() {
-        const today = new Date();
-        const oneYearAgo = new Date(today);
-        oneYearAgo.setFullYear(oneYearAgo.getFullYear() - 1);
-        
-        const dailyActivity = [];
-        for (let d = new Date(oneYearAgo); d <= today; d.setDate(d.getDate() + 1)) {
-            dailyActivity.push({
-                date: d.toISOString().split('T')[0],
-                total: 0,
-                level: 0,
-                platforms: { leetcode: 0 },
-                timestamp: Math.floor(d.getTime() / 1000)
-            });
-        }
+    // Convert to array, calculate levels, and sort by date
+    const activityArray = Object.values(dailyActivity)
+        .filter(day => includeInactiveDays || day.total > 0) // Filter out inactive days if requested
+        .map(day => ({
+            ...day,
+            level: calculateActivityLevel(day.total),
+            intensity: calculateIntensity(day.total),
+            platform_count: Object.values(day.platforms).filter(count => count > 0).length,
+            year: new Date(day.date).getFullYear()
+        }))
+        .sort((a, b) => new Date(a.date) - new Date(b.date)); // Sort by date ascending
 
-        return {
-            totalSubmissions: 0,
-            totalActiveDays: 0,
-            currentStreak: 0,
-            maxStreak: 0,
-            dailyActivity,
-            submissionsHistory: [],
-            submissionCalendar: {},
-            dataSource: 'fallback',
-            lastUpdated: new Date().toISOString(),
-            yearRange: {
-                start: dailyActivity[0]?.date || null,
-                end: dailyActivity[dailyActivity.length - 1]?.date || null
-            }
-        };
-    }
+    // Group by year for better organization
+    const yearlyData = groupByYear(activityArray);
+    
+    // Calculate metrics
+    const streakData = calculateActivityStreaks(activityArray, today);
+    const weeklyStats = calculateWeeklyStats(activityArray);
+    const monthlyStats = calculateMonthlyStats(activityArray);
 
-    async fetchCalendarFromGraphQL(username) {
-        // Fallback GraphQL query for calendar data
-        const query = `
-        query userProfileCalendar($username: String!) {
-            matchedUser(username: $username) {
-                submissionCalendar
-                profile {
-                    realName
-                }
+    return {
+        metadata: {
+            date_range: {
+                start: actualStartDate.toISOString().split('T')[0],
+                end: actualEndDate.toISOString().split('T')[0]
+            },
+            total_days: activityArray.length,
+            total_active_days: activityArray.filter(day => day.total > 0).length,
+            includes_inactive_days: includeInactiveDays,
+            data_quality: calculateDataQuality(platformData),
+            activity_sources: activitySources,
+            activity_ranges: activityRanges,
+            platforms_without_dated_activity: Object.keys(activitySources).filter(platform => !activitySources[platform]),
+            last_updated: today.toISOString(),
+            years_covered: Object.keys(yearlyData).map(Number).sort()
+        },
+        yearly_activity: yearlyData, // Organized by year
+        summary_stats: {
+            total_contributions: activityArray.reduce((sum, day) => sum + day.total, 0),
+            max_daily_activity: Math.max(...activityArray.map(day => day.total), 0),
+            average_daily_activity: activityArray.length > 0 
+                ? Number((activityArray.reduce((sum, day) => sum + day.total, 0) / activityArray.length).toFixed(2))
+                : 0,
+            current_streak: streakData.current_streak,
+            longest_streak: streakData.longest_streak,
+            platform_contributions: calculatePlatformContributions(activityArray),
+            most_active_day: getMostActiveDay(activityArray),
+            most_active_month: getMostActiveMonth(monthlyStats)
+        },
+        advanced_metrics: {
+            weekly_average: weeklyStats.average,
+            monthly_breakdown: monthlyStats.breakdown,
+            activity_distribution: calculateActivityDistribution(activityArray),
+            consistency_score: calculateConsistencyScore(activityArray),
+            platform_diversity: calculatePlatformDiversity(activityArray),
+            yearly_comparison: calculateYearlyComparison(yearlyData)
+        },
+        heatmap_config: {
+            color_scale: {
+                0: '#ebedf0',
+                1: '#9be9a8', 
+                2: '#40c463',
+                3: '#30a14e',
+                4: '#216e39'
+            },
+            cell_size: 11,
+            cell_gap: 3,
+            month_labels: true,
+            weekday_labels: true
+        }
+    };
+}
+
+function determineDateRange(platformData, dateRange, startDate, endDate, today) {
+    let actualStartDate, actualEndDate;
+    
+    if (dateRange === 'custom' && startDate && endDate) {
+        actualStartDate = new Date(startDate);
+        actualEndDate = new Date(endDate);
+    } else if (dateRange === 'year') {
+        actualStartDate = new Date(today.getFullYear(), 0, 1);
+        actualEndDate = today;
+    } else {
+        // 'auto' - determine from platform data
+        const platformDates = [];
+        
+        Object.values(platformData).forEach(data => {
+            if (data.status === "OK") {
+                const dates = extractPlatformDateRange(data);
+                platformDates.push(...dates);
             }
-        }`;
+        });
         
-        try {
-            const response = await axios.post(this.graphqlURL, {
-                query: query,
-                variables: { username: username }
-            }, {
-                timeout: this.timeout,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'User-Agent': 'Mozilla/5.0 (compatible; LeetCode-Portfolio-API)'
-                }
-            });
-            
-            return {
-                submissionCalendar: JSON.parse(response.data.data.matchedUser.submissionCalendar || '{}')
-            };
-        } catch (error) {
-            console.log(`GraphQL calendar fallback failed: ${error.message}`);
-            return null;
+        if (platformDates.length > 0) {
+            actualStartDate = new Date(Math.min(...platformDates));
+            actualEndDate = today;
+        } else {
+            // Fallback to last year
+            actualStartDate = new Date(today.getFullYear() - 1, today.getMonth(), today.getDate());
+            actualEndDate = today;
         }
     }
+    
+    return { actualStartDate, actualEndDate };
+}
 
-    async fetchContestData(username) {
-        try {
-            const response = await axios.get(`${this.alfaURL}/${username}/contest`, {
-                timeout: this.timeout,
-                headers: { 'User-Agent': 'Mozilla/5.0 (compatible; LeetCode-Portfolio-API)' }
+function extractPlatformDateRange(data) {
+    const dates = [];
+    
+    try {
+        // LeetCode - accepted problems and the yearly submission calendar
+        if (data.platform === 'leetcode') {
+            Object.keys(getLeetCodeDayCounts(data).dayCounts).forEach(dateStr => {
+                dates.push(new Date(dateStr).getTime());
             });
-            return response.data;
-        } catch (error) {
-            console.log(`Contest data fetch failed: ${error.message}`);
-            return null;
         }
-    }
-
-    async fetchLanguageStats(username) {
-        try {
-            const response = await axios.get(`${this.alfaURL}/languageStats?username=${username}`, {
-                timeout: this.timeout,
-                headers: { 'User-Agent': 'Mozilla/5.0 (compatible; LeetCode-Portfolio-API)' }
+        
+        // CodeForces / CodeChef - day-keyed submission calendars
+        Object.keys(getCalendarDayCounts(data.calendar_data)).forEach(dateStr => {
+            dates.push(new Date(dateStr).getTime());
+        });
+        
+        // GitHub
+        if (data.recent_activity) {
+            data.recent_activity.forEach(event => {
+                dates.push(new Date(event.created_at).getTime());
             });
-            return response.data.matchedUser || null;
-        } catch (error) {
-            console.log(`Language stats fetch failed: ${error.message}`);
-            return null;
         }
-    }
-
-    async fetchSkillStats(username) {
-        try {
-            const response = await axios.get(`${this.alfaURL}/skillStats/${username}`, {
-                timeout: this.timeout,
-                headers: { 'User-Agent': 'Mozilla/5.0 (compatible; LeetCode-Portfolio-API)' }
+        
+        // AtCoder
+        if (data.submissions) {
+            data.submissions.forEach(submission => {
+                dates.push(submission.epoch_second * 1000);
             });
-            
-            const skills = response.data.data.matchedUser.tagProblemCounts || [];
-            return skills;
-        } catch (error) {
-            console.log(`Skill stats fetch failed: ${error.message}`);
-            return null;
         }
-    }
-
-    async getDailyProblem(){
-        try {
-            const response = await axios.get(`${this.alfaURL}/daily`, {
-                timeout: this.timeout,
-                headers: { 'User-Agent': 'Mozilla/5.0 (compatible; LeetCode-Portfolio-API)' }
+        
+        // CodeForces - contests
+        if (data.contests?.ratingProgression) {
+            data.contests.ratingProgression.forEach(contest => {
+                dates.push(new Date(contest.date).getTime());
             });
-            
-            // const skills = response.data.data.matchedUser.tagProblemCounts || [];
-            return response.data;
-        } catch (error) {
-            console.log(`Leetcode Daily problem Fetch failed: ${error.message}`);
-            return null;
-        }
-    }
-
-    async getBadges(username) {
-        try {
-            const response = await axios.get(`${this.alfaURL}/${username}/badges`, {
-                timeout: this.timeout,
-                headers: { 'User-Agent': 'Mozilla/5.0 (compatible; LeetCode-Portfolio-API)' }
-            });
-            
-            return response.data || [];
-        } catch (error) {
-            console.log(`Leetcode Badges Fetch failed: ${error.message}`);
-            return [];
         }
+    } catch (error) {
+        console.log('Error extracting date range:', error.message);
     }
+    
+    return dates;
 }
 
-class CodeForcesAPI {
-  constructor() {
-    this.baseURL = 'https://codeforces.com/api';
-    this.timeout = 8000;
-  }
+function initializeDayData(dateStr, date) {
+    return {
+        date: dateStr,
+        total: 0,
+        platforms: {
+            leetcode: 0,
+            codeforces: 0,
+            codechef: 0,
+            github: 0,
+            geeksforgeeks: 0,
+            hackerrank: 0,
+            atcoder: 0
+        },
+        timestamp: Math.floor(date.getTime() / 1000),
+        weekday: date.getDay(),
+        week_of_year: getWeekOfYear(date),
+        month: date.getMonth() + 1
+    };
+}
 
-  async fetchWithRetry(url) {
+function processPlatformActivity(platform, data, startDate, endDate) {
+    const activeDates = new Set();
+    
     try {
-      const response = await axios.get(url, {
-        timeout: this.timeout,
-        headers: { 'User-Agent': 'MultiPlatform-Dashboard-API' }
-      });
-      return response;
+        switch (platform) {
+            case 'leetcode':
+                Object.keys(getLeetCodeDayCounts(data).dayCounts).forEach(dateStr => {
+                    const date = new Date(dateStr);
+                    if (date >= startDate && date <= endDate) {
+                        activeDates.add(dateStr);
+                    }
+                });
+                break;
+                
+            case 'github':
+                if (data.recent_activity) {
+                    data.recent_activity.forEach(event => {
+                        const date = new Date(event.created_at);
+                        if (date >= startDate && date <= endDate) {
+                            activeDates.add(date.toISOString().split('T')[0]);
+                        }
+                    });
+                }
+                break;
+                
+            case 'atcoder':
+                if (data.submissions) {
+                    data.submissions.forEach(submission => {
+                        const date = new Date(submission.epoch_second * 1000);
+                        if (date >= startDate && date <= endDate && submission.result === 'AC') {
+                            activeDates.add(date.toISOString().split('T')[0]);
+                        }
+                    });
+                }
+                break;
+                
+            case 'codeforces':
+            case 'codechef': {
+                let dayCounts = getCalendarDayCounts(data.calendar_data);
+                if (Object.keys(dayCounts).length === 0 && platform === 'codeforces') {
+                    dayCounts = getContestDayCounts(data.contests?.ratingProgression);
+                }
+                Object.keys(dayCounts).forEach(dateStr => {
+                    const date = new Date(dateStr);
+                    if (date >= startDate && date <= endDate) {
+                        activeDates.add(dateStr);
+                    }
+                });
+                break;
+            }
+        }
     } catch (error) {
-      // Note: original code referenced i/retries; simplifying to single attempt log
-      console.log(`Fetch failed for ${url}: ${error.message}`);
-      throw error;
+        console.log(`Error processing ${platform} activity dates:`, error.message);
     }
-  }
+    
+    return activeDates;
+}
 
-async getUserData(handle) {
-  try {
-    const [userInfo, ratings, submissions, contestData] = await Promise.allSettled([
-      this.fetchWithRetry(`${this.baseURL}/user.info?handles=${handle}`),
-      this.fetchWithRetry(`${this.baseURL}/user.rating?handle=${handle}`),
-      this.fetchWithRetry(`${this.baseURL}/user.status?handle=${handle}&from=1&count=10000`),
-      this.fetchContestData(handle)
-    ]);
-
-    const userData = userInfo.status === 'fulfilled' ? userInfo.value.data?.result?.[0] : null;
-    const ratingsData = ratings.status === 'fulfilled' ? ratings.value.data?.result : null;
-    const submissionsData = submissions.status === 'fulfilled' ? submissions.value.data?.result : null;
-    const contests = contestData.status === 'fulfilled' ? contestData.value : null;
-
-    if (!userData) {
-      return { 
-        status: "FAILED",
-        timestamp: new Date().toISOString(),
-        platform: "codeforces",
-        username: handle,
-        error: "User not found"
-      };
+function populatePlatformActivity(platform, data, dailyActivity, startDate, endDate) {
+    // Each processor returns the dated source it used, or null when the platform has none
+    switch (platform) {
+        case 'leetcode':
+            return processLeetCodeActivityOptimized(data, dailyActivity, startDate, endDate);
+        case 'codeforces':
+            return processCodeForcesActivityOptimized(data, dailyActivity, startDate, endDate);
+        case 'github':
+            return processGitHubActivityOptimized(data, dailyActivity, startDate, endDate);
+        case 'codechef':
+            return processCodeChefActivityOptimized(data, dailyActivity, startDate, endDate);
+        case 'geeksforgeeks':
+            return processGeeksForGeeksActivityOptimized(data, dailyActivity, startDate, endDate);
+        case 'hackerrank':
+            return processHackerRankActivityOptimized(data, dailyActivity, startDate, endDate);
+        case 'atcoder':
+            return processAtCoderActivityOptimized(data, dailyActivity, startDate, endDate);
+        default:
+            return null;
     }
-
-    // Build LeetCode-style calendar from CF submissions
-    const { calendarAll, perYearNodes } =
-      this.buildLeetCodeStyleCalendar(submissionsData || []);
-
-    // Calendar block packed under data.calendar_data
-    const calendar_data = {
-      totalSubmissions: calendarAll.totalSubmissions,
-      totalActiveDays: calendarAll.totalActiveDays,
-      maxstreak: calendarAll.maxstreak,
-    //   submissionCalendar: calendarAll.submissionCalendar, // JSON string with epoch-ms day keys
-      submission_calendar_data: calendarAll.submission_calendar_data, // parsed/day-list if you produce it
-      activeYears: calendarAll.activeYears,
-      yearRange: calendarAll.yearRange,
-      byYear: perYearNodes // { [year]: { totalSubmissions, totalActiveDays, maxstreak, submissionCalendar, submission_calendar_data, yearRange } }
-    };
-
-    // Solved stats as before
-    const solvedStats = this.calculateDetailedStats(userData, ratingsData, submissionsData);
-
-    // Final response shape (everything inside data)
-    return {
-      status: "OK",
-      timestamp: new Date().toISOString(),
-      platform: "codeforces",
-      username: handle,
-        profile: userData,
-        contests : contests,
-        solvedStats: solvedStats,
-        calendar_data: calendar_data
-    };
-  } catch (error) {
-    console.error(`CodeForces API Error for ${handle}:`, error.message);
-    return { 
-      status: "FAILED",
-      timestamp: new Date().toISOString(),
-      platform: "codeforces",
-      username: handle,
-      error: error.message
-    };
-  }
 }
 
-
-
-  async fetchContestData(handle) {
+function processLeetCodeActivityOptimized(data, dailyActivity, startDate, endDate) {
     try {
-      const response = await this.fetchWithRetry(`${this.baseURL}/user.rating?handle=${handle}`);
-      const ratingsData = response.data?.result || [];
-      
-      if (ratingsData.length === 0) {
-        return {
-          contestsAttended: 0,
-          recentContests: [],
-          bestRank: null,
-          worstRank: null,
-          maxRatingGain: 0,
-          maxRatingLoss: 0,
-          ratingProgression: []
-        };
-      }
-
-      const recentContests = ratingsData.slice(-10).map(contest => ({
-        contestId: contest.contestId,
-        contestName: contest.contestName,
-        rank: contest.rank,
-        oldRating: contest.oldRating,
-        newRating: contest.newRating,
-        ratingChange: contest.newRating - contest.oldRating,
-        participationTime: new Date(contest.ratingUpdateTimeSeconds * 1000).toISOString()
-      }));
-
-      return {
-        contestsAttended: ratingsData.length,
-        recentContests: recentContests,
-        bestRank: Math.min(...ratingsData.map(c => c.rank)),
-        worstRank: Math.max(...ratingsData.map(c => c.rank)),
-        maxRatingGain: Math.max(...ratingsData.map(c => c.newRating - c.oldRating)),
-        maxRatingLoss: Math.min(...ratingsData.map(c => c.newRating - c.oldRating)),
-        ratingProgression: ratingsData.map(c => ({
-          date: new Date(c.ratingUpdateTimeSeconds * 1000).toISOString(),
-          rating: c.newRating,
-          contest: c.contestName
-        }))
-      };
+        const { dayCounts, source } = getLeetCodeDayCounts(data);
+        addDayCountsToActivity('leetcode', dayCounts, dailyActivity, startDate, endDate);
+        return source;
     } catch (error) {
-      console.log(`Codeforces contest data fetch failed: ${error.message}`);
-      return null;
+        console.log('Error processing LeetCode activity:', error.message);
     }
-  }
-
-  calculateDetailedStats(userData, ratingsData, submissionsData) {
-    const stats = {
-      current_rating: userData.rating || 0,
-      max_rating: userData.maxRating || 0,
-      rank: userData.rank || 'Unrated',
-      max_rank: userData.maxRank || 'Unrated',
-      contribution: userData.contribution || 0,
-      problems_solved: 0,
-      contests_participated: ratingsData ? ratingsData.length : 0,
-      language_stats: {},
-      verdict_stats: {},
-      difficulty_distribution: {},
-      yearly_submissions: {}
-    };
+    return null;
+}
 
-    if (submissionsData) {
-      const acceptedProblems = new Set();
-      
-      submissionsData.forEach(submission => {
-        const year = new Date(submission.creationTimeSeconds * 1000).getFullYear();
-        stats.yearly_submissions[year] = (stats.yearly_submissions[year] || 0) + 1;
-        
-        stats.language_stats[submission.programmingLanguage] = 
-          (stats.language_stats[submission.programmingLanguage] || 0) + 1;
-        
-        stats.verdict_stats[submission.verdict] = 
-          (stats.verdict_stats[submission.verdict] || 0) + 1;
-
-        if (submission.verdict === 'OK') {
-          acceptedProblems.add(`${submission.problem.contestId}-${submission.problem.index}`);
-          
-          const rating = submission.problem.rating;
-          if (rating) {
-            const bucket = Math.floor(rating / 100) * 100;
-            stats.difficulty_distribution[bucket] = 
-              (stats.difficulty_distribution[bucket] || 0) + 1;
-          }
+function processGitHubActivityOptimized(data, dailyActivity, startDate, endDate) {
+    try {
+        if (data.recent_activity && Array.isArray(data.recent_activity)) {
+            data.recent_activity.forEach(event => {
+                const date = new Date(event.created_at);
+                if (date >= startDate && date <= endDate) {
+                    const dateStr = date.toISOString().split('T')[0];
+                    if (dailyActivity[dateStr]) {
+                        let activityCount = getGitHubActivityWeight(event);
+                        dailyActivity[dateStr].platforms.github += activityCount;
+                        dailyActivity[dateStr].total += activityCount;
+                    }
+                }
+            });
+            return 'public_events';
         }
-      });
-      
-      stats.problems_solved = acceptedProblems.size;
+    } catch (error) {
+        console.log('Error processing GitHub activity:', error.message);
     }
+    return null;
+}
 
-    return stats;
-  }
-  
+function processCodeForcesActivityOptimized(data, dailyActivity, startDate, endDate) {
+    try {
+        // Submission days come from the user.status timestamps packed into calendar_data
+        const dayCounts = getCalendarDayCounts(data.calendar_data);
+        if (Object.keys(dayCounts).length > 0) {
+            addDayCountsToActivity('codeforces', dayCounts, dailyActivity, startDate, endDate);
+            return 'submission_calendar';
+        }
 
-  // ===== NEW: Build LeetCode-like submission calendar =====
-  buildSubmissionCalendarDataFromCF(submissions) {
-    // Map dayStartMs -> count
-    const dayCounts = new Map(); // all-time
-    // Per year breakdown
-    const perYearDayCounts = new Map(); // year -> Map(dayStartMs -> count)
-
-    for (const s of submissions) {
-      if (!s?.creationTimeSeconds) continue;
-      const ms = s.creationTimeSeconds * 1000;
-      const d = new Date(ms);
-      // Normalize to UTC midnight
-      const dayStartMs = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
-      const year = d.getUTCFullYear();
-
-      dayCounts.set(dayStartMs, (dayCounts.get(dayStartMs) || 0) + 1);
-
-      if (!perYearDayCounts.has(year)) perYearDayCounts.set(year, new Map());
-      const ym = perYearDayCounts.get(year);
-      ym.set(dayStartMs, (ym.get(dayStartMs) || 0) + 1);
+        // user.status failed but user.rating did not: fall back to one unit per rated contest
+        if (data.contests && data.contests.ratingProgression) {
+            addDayCountsToActivity('codeforces', getContestDayCounts(data.contests.ratingProgression), dailyActivity, startDate, endDate);
+            return 'contest_history';
+        }
+    } catch (error) {
+        console.log('Error processing CodeForces activity:', error.message);
     }
+    return null;
+}
 
-    // Helpers
-    const mapToJsonString = (m) => {
-      const obj = {};
-      for (const [k, v] of m.entries()) {
-        obj[String(k)] = v;
-      }
-      return JSON.stringify(obj);
-    };
-
-    const computeStreakFromDays = (m) => {
-      if (m.size === 0) return 0;
-      const days = Array.from(m.keys()).sort((a, b) => a - b);
-      let maxStreak = 1;
-      let curStreak = 1;
-      for (let i = 1; i < days.length; i++) {
-        const prev = days[i - 1];
-        const curr = days[i];
-        if (curr === prev + 24 * 60 * 60 * 1000) {
-          curStreak += 1;
-        } else {
-          if (curStreak > maxStreak) maxStreak = curStreak;
-          curStreak = 1;
+function processCodeChefActivityOptimized(data, dailyActivity, startDate, endDate) {
+    try {
+        // CodeChefAPI builds calendar_data from the profile heatmap, or from contest end dates when the heatmap is missing
+        const dayCounts = getCalendarDayCounts(data.calendar_data);
+        if (Object.keys(dayCounts).length > 0) {
+            addDayCountsToActivity('codechef', dayCounts, dailyActivity, startDate, endDate);
+            return data.calendar_data.dataSource === 'contest_history' ? 'contest_history' : 'submission_calendar';
         }
-      }
-      if (curStreak > maxStreak) maxStreak = curStreak;
-      return maxStreak;
-    };
-
-    // All-time aggregates
-    const activeYears = Array.from(perYearDayCounts.keys()).sort((a, b) => a - b);
-    const totalActiveDaysAll = dayCounts.size;
-    const streakAll = computeStreakFromDays(dayCounts);
-    const submissionCalendarAll = mapToJsonString(dayCounts);
-
-    // Per-year nodes
-    const byYear = {};
-    for (const year of activeYears) {
-      const ym = perYearDayCounts.get(year);
-      const totalActiveDays = ym.size;
-      const streak = computeStreakFromDays(ym);
-      const submissionCalendar = mapToJsonString(ym);
-      byYear[year] = {
-        totalActiveDays,
-        streak,
-        // Match LeetCode key name exactly: submissionCalendar
-        submissionCalendar,
-        // Convenience: total submissions for year (sum of counts)
-        totalSubmissions: Array.from(ym.values()).reduce((a, b) => a + b, 0),
-        yearRange: { start: year, end: year }
-      };
+    } catch (error) {
+        console.log('Error processing CodeChef activity:', error.message);
     }
-
-    // Return a LeetCode-like shape with multi-year convenience
-    return {
-      activeYears,
-      totalActiveDays: totalActiveDaysAll,
-      streak: streakAll,
-      submissionCalendar: submissionCalendarAll,
-      totalSubmissions: Array.from(dayCounts.values()).reduce((a, b) => a + b, 0),
-      yearRange: activeYears.length
-        ? { start: activeYears[0], end: activeYears[activeYears.length - 1] }
-        : { start: null, end: null },
-      byYear // per-year breakdown similar to querying LeetCode by specific year
-    };
-  }
-  // Builds LeetCode-like calendar from Codeforces submissions
-buildLeetCodeStyleCalendar(submissions) {
-  // dayStartMs -> count (Map for all-time)
-  const allDayCounts = new Map();
-  // year -> Map(dayStartMs -> count)
-  const perYear = new Map();
-
-  for (const s of submissions || []) {
-    const t = s?.creationTimeSeconds;
-    if (!t) continue;
-    const d = new Date(t * 1000);
-    const y = d.getUTCFullYear();
-    const dayStartMs = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
-
-    allDayCounts.set(dayStartMs, (allDayCounts.get(dayStartMs) || 0) + 1);
-
-    if (!perYear.has(y)) perYear.set(y, new Map());
-    const ym = perYear.get(y);
-    ym.set(dayStartMs, (ym.get(dayStartMs) || 0) + 1);
-  }
-
-  const mapToJSONString = (m) => {
-    // Keys must be strings in the JSON; values are integers
-    const obj = {};
-    for (const [k, v] of m.entries()) {
-  // Convert epoch ms (e.g., 1321315200000) to YYYY-MM-DD string
-  const d = new Date(Number(k));
-  if (!isNaN(d.getTime())) {
-    const dateStr = d.toISOString().slice(0, 10); // "YYYY-MM-DD"
-    obj[dateStr] = v;
-  } else {
-    obj[String(k)] = v; // fallback for non-date keys
-  }
+    return null;
 }
-   
-    return JSON.stringify(obj);
-  };
-
-  const computeLongestStreak = (m) => {
-    if (m.size === 0) return 0;
-    const days = Array.from(m.keys()).sort((a, b) => a - b);
-    let best = 1, cur = 1;
-    const oneDay = 24 * 60 * 60 * 1000;
-    for (let i = 1; i < days.length; i++) {
-      if (days[i] === days[i - 1] + oneDay) cur += 1;
-      else { if (cur > best) best = cur; cur = 1; }
-    }
-    if (cur > best) best = cur;
-    return best;
-  };
-
-  const activeYears = Array.from(perYear.keys()).sort((a, b) => a - b);
-
-  // All-time summary (mirrors LeetCode userCalendar aggregated style)
-  const totalActiveDays = allDayCounts.size;
-  const maxstreak = computeLongestStreak(allDayCounts); // name aligned with your LeetCode code
-  const totalSubmissions = Array.from(allDayCounts.values()).reduce((a, b) => a + b, 0);
-  const submissionCalendar = mapToJSONString(allDayCounts);
-
-  // Per-year nodes: same variable names as in your LeetCode function
-  const perYearNodes = {};
-  for (const y of activeYears) {
-    const ym = perYear.get(y);
-    const y_totalActiveDays = ym.size;
-    const y_maxstreak = computeLongestStreak(ym);
-    const y_totalSubmissions = Array.from(ym.values()).reduce((a, b) => a + b, 0);
-    const y_submissionCalendar = mapToJSONString(ym);
-
-    // Same names you used in LeetCode return shape
-    perYearNodes[y] = {
-      totalSubmissions: y_totalSubmissions,
-      totalActiveDays: y_totalActiveDays,
-      maxstreak: y_maxstreak,
-      // If your LeetCode function exposes 'submission_calendar_data' as parsed map, keep it:
-      submission_calendar_data: this.getDateSubmissionList
-        ? this.getDateSubmissionList(JSON.parse(y_submissionCalendar))
-        : undefined,
-      submissionCalendar: y_submissionCalendar,
-      yearRange: { start: y, end: y }
-    };
-  }
 
-  // Top-level multi-year, same names
-  const calendarAll = {
-    totalSubmissions,
-    totalActiveDays,
-    maxstreak,
-    // If you produce submission_calendar_data in LeetCode as parsed object, add it too:
-    submission_calendar_data: this.getDateSubmissionList
-      ? this.getDateSubmissionList(JSON.parse(submissionCalendar))
-      : undefined,
-    submissionCalendar, // JSON string like {"1293494400000":7,...}
-    activeYears,
-    yearRange: activeYears.length
-      ? { start: activeYears[0], end: activeYears[activeYears.length - 1] }
-      : { start: null, end: null }
-  };
-
-  return { calendarAll, perYearNodes };
+function processGeeksForGeeksActivityOptimized(data, dailyActivity, startDate, endDate) {
+    // GeeksforGeeks only exposes totals and streak lengths, no per-day history
+    return null;
 }
 
+function processHackerRankActivityOptimized(data, dailyActivity, startDate, endDate) {
+    // HackerRank badges and scores_elo carry no dates
+    return null;
 }
 
+function processAtCoderActivityOptimized(data, dailyActivity, startDate, endDate) {
+    try {
+        if (data.submissions && Array.isArray(data.submissions)) {
+            data.submissions.forEach(submission => {
+                const date = new Date(submission.epoch_second * 1000);
+                if (date >= startDate && date <= endDate && submission.result === 'AC') {
+                    const dateStr = date.toISOString().split('T')[0];
+                    if (dailyActivity[dateStr]) {
+                        dailyActivity[dateStr].platforms.atcoder += 1;
+                        dailyActivity[dateStr].total += 1;
+                    }
+                }
+            });
+            return 'submissions';
+        }
+    } catch (error) {
+        console.log('Error processing AtCoder activity:', error.message);
+    }
+    return null;
+}
 
+// Reads the LeetCode-style calendar built by CodeForcesAPI and CodeChefAPI into { "YYYY-MM-DD": count }.
+// byYear[year].submissionCalendar is a JSON string keyed by day; the top-level string is only used when byYear is absent.
+function getCalendarDayCounts(calendarData) {
+    const dayCounts = {};
+    if (!calendarData || typeof calendarData !== 'object') return dayCounts;
 
+    const yearNodes = calendarData.byYear ? Object.values(calendarData.byYear) : [];
+    const sources = yearNodes.length > 0
+        ? yearNodes.map(node => node?.submissionCalendar)
+        : [calendarData.submissionCalendar];
 
-class CodeChefAPI {
-    constructor() {
-        this.timeout = 15000;
-    }
+    sources.forEach(source => {
+        let calendarObj = source;
+        if (typeof source === 'string') {
+            try {
+                calendarObj = JSON.parse(source);
+            } catch (e) {
+                return;
+            }
+        }
+        if (!calendarObj || typeof calendarObj !== 'object') return;
 
-    async getUserData(handle) {
-  try {
-    console.log(`Fetching CodeChef data for: ${handle}`);
-
-    const response = await axios.get(`https://www.codechef.com/users/${handle}`, {
-      timeout: this.timeout,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'Cache-Control': 'no-cache',
-        'Pragma': 'no-cache',
-        'Sec-Fetch-Dest': 'document',
-        'Sec-Fetch-Mode': 'navigate',
-        'Sec-Fetch-Site': 'none',
-        'Upgrade-Insecure-Requests': '1'
-      }
+        Object.entries(calendarObj).forEach(([dateStr, count]) => {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return;
+            const submissions = parseInt(count, 10) || 0;
+            if (submissions > 0) {
+                dayCounts[dateStr] = (dayCounts[dateStr] || 0) + submissions;
+            }
+        });
     });
 
-    if (response.status !== 200) {
-      throw new Error(`HTTP ${response.status}: Could not fetch profile`);
-    }
+    return dayCounts;
+}
 
-    const htmlData = response.data;
-    const dom = new JSDOM(htmlData);
-    const document = dom.window.document;
+// Submissions per day from LeetCodeAPI's calendar_data[year].submission_calendar_data
+// (older payloads used submissionCalendar / submmissionCalendar for the same list)
+function getLeetCodeSubmissionDayCounts(calendarData) {
+    const dayCounts = {};
+    if (!calendarData || typeof calendarData !== 'object') return dayCounts;
+
+    Object.values(calendarData).forEach(yearData => {
+        const entries = yearData?.submission_calendar_data || yearData?.submissionCalendar || yearData?.submmissionCalendar;
+        if (!Array.isArray(entries)) return;
+        entries.forEach(entry => {
+            const submissions = parseInt(entry.submissionCount, 10) || 0;
+            if (submissions > 0) {
+                dayCounts[entry.date] = (dayCounts[entry.date] || 0) + submissions;
+            }
+        });
+    });
 
-    const problemsSolved = this.extractProblemsSolved(document, htmlData);
-    const contestData = this.extractContestData(document, htmlData);
+    return dayCounts;
+}
 
-    // Rating data
-    let ratingData = null;
-    let highestRating = 0;
-    try {
-      const allRatingStart = htmlData.search("var all_rating = ") + "var all_rating = ".length;
-      const allRatingEnd = htmlData.search("var current_user_rating =") - 6;
-      if (allRatingStart > -1 && allRatingEnd > allRatingStart) {
-        ratingData = JSON.parse(htmlData.substring(allRatingStart, allRatingEnd));
-        if (ratingData && ratingData.length > 0) {
-          highestRating = Math.max(...ratingData.map(r => r.rating || 0));
-        }
-      }
-    } catch (e) {
-      console.log('Could not parse rating data:', e.message);
+// LeetCode activity as { dayCounts, source, ranges }. A day counts the distinct problems accepted on it, from
+// the recent accepted submissions plus each solved problem's last accepted day. That only covers all history
+// when the solved list is complete or the recent list is shorter than its limit; otherwise accepted problems
+// start the day after the oldest recent AC (that day may be cut off) and earlier days count raw submissions.
+// ranges says which unit applies where: [{ from, to, dataSource }] with null for an open end.
+function getLeetCodeDayCounts(data) {
+    const submissionCounts = getLeetCodeSubmissionDayCounts(data.calendar_data);
+    const recentAccepted = data.recentAcSubmissions || [];
+    const solvedProblems = data.solvedProblems?.problems || [];
+
+    if (recentAccepted.length === 0 && solvedProblems.length === 0) {
+        const hasSubmissions = Object.keys(submissionCounts).length > 0;
+        return {
+            dayCounts: submissionCounts,
+            source: hasSubmissions ? 'submission_calendar' : null,
+            ranges: hasSubmissions ? [{ from: null, to: null, dataSource: 'submission_calendar' }] : []
+        };
     }
 
-    // Profile info
-    const userDetailsContainer = document.querySelector(".user-details-container");
-    const ratingNumber = document.querySelector(".rating-number");
-    const ratingRanks = document.querySelector(".rating-ranks");
-    const ratingElement = document.querySelector(".rating");
-    const badges = this.extractBadgesData(document, htmlData);
+    const acceptedPairs = new Set();
+    recentAccepted.forEach(submission => acceptedPairs.add(`${submission.timestamp.split('T')[0]}:${submission.titleSlug}`));
+    solvedProblems
+        .filter(problem => problem.lastAcceptedAt && !isNaN(new Date(problem.lastAcceptedAt).getTime()))
+        .forEach(problem => acceptedPairs.add(`${new Date(problem.lastAcceptedAt).toISOString().split('T')[0]}:${problem.titleSlug}`));
 
-    const currentRating = parseInt(ratingNumber?.textContent?.replace(/[^\d]/g, '')) || 0;
-    if (highestRating === 0) highestRating = currentRating;
+    const coversAllHistory = data.solvedProblems?.complete || recentAccepted.length < LEETCODE_RECENT_AC_LIMIT;
+    let acceptedFrom = null;
+    if (!coversAllHistory) {
+        const oldestRecent = new Date(`${recentAccepted[recentAccepted.length - 1].timestamp.split('T')[0]}T00:00:00Z`);
+        acceptedFrom = new Date(oldestRecent.getTime() + DAY_MS).toISOString().split('T')[0];
+    }
 
-    // ==== NEW: Build calendar_data ====
-    // Try to extract a daily heatmap object from HTML; if not, fall back to minimal activity from rating progression (contests days).
-    let calendar_data;
-    try {
-      const dailyObj = this.extractDailyHeatmapObject(htmlData);
-      if (dailyObj) {
-        calendar_data = this.buildLeetCodeStyleCalendarFromCodeChef(dailyObj);
-      } else {
-        // Fallback: derive from contest end dates (very sparse, but better than empty)
-        const dayCounts = {};
-        const ratingProg = contestData?.ratingProgression || [];
-        for (const r of ratingProg) {
-          if (!r?.date) continue;
-          const d = new Date(r.date);
-          if (isNaN(d.getTime())) continue;
-          const dayStartMs = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
-          dayCounts[String(dayStartMs)] = (dayCounts[String(dayStartMs)] || 0) + 1;
+    const dayCounts = {};
+    acceptedPairs.forEach(pair => {
+        const dateStr = pair.slice(0, 10);
+        if (acceptedFrom === null || dateStr >= acceptedFrom) {
+            dayCounts[dateStr] = (dayCounts[dateStr] || 0) + 1;
         }
-        calendar_data = this.buildLeetCodeStyleCalendarFromCodeChef(dayCounts);
-      }
-    } catch (e) {
-      console.log('calendar_data build failed:', e.message);
-      // Safe empty structure
-      calendar_data = {
-        totalSubmissions: 0,
-        totalActiveDays: 0,
-        maxstreak: 0,
-        submissionCalendar: JSON.stringify({}),
-        submission_calendar_data: this.getDateSubmissionList ? this.getDateSubmissionList({}) : undefined,
-        activeYears: [],
-        yearRange: { start: null, end: null },
-        byYear: {}
-      };
+    });
+
+    if (acceptedFrom === null) {
+        return {
+            dayCounts: dayCounts,
+            source: 'accepted_problems',
+            ranges: [{ from: null, to: null, dataSource: 'accepted_problems' }]
+        };
     }
 
+    const olderDays = Object.entries(submissionCounts).filter(([dateStr]) => dateStr < acceptedFrom);
+    olderDays.forEach(([dateStr, count]) => {
+        dayCounts[dateStr] = count;
+    });
+
+    const submissionsTo = new Date(new Date(`${acceptedFrom}T00:00:00Z`).getTime() - DAY_MS).toISOString().split('T')[0];
     return {
-      profile: {
-        name: this.extractName(userDetailsContainer) || handle,
-        username: handle,
-        avatar: userDetailsContainer?.querySelector('img')?.src || null,
-        globalRank: this.extractRank(ratingRanks, 'global') || 0,
-        countryRank: this.extractRank(ratingRanks, 'country') || 0,
-        stars: ratingElement?.textContent?.trim() || "unrated"
-      },
-      solvedStats: {
-        totalSolved: problemsSolved
-      },
-      contests: {
-        current_rating: currentRating,
-        highest_rating: highestRating,
-        division: this.getDivisionFromRating(currentRating),
-        contestData
-      },
-      badges: {
-        totalBadges: badges.length,
-        badges: badges,
-        stats: this.categorizeBadgeStats(badges)
-      },
-      // Place the LeetCode-like calendar under data.calendar_data
-      calendar_data
-    };
-  } catch (error) {
-    console.error(`CodeChef API Error for ${handle}:`, error.message);
-
-    const failure = {
-      status: "FAILED",
-      timestamp: new Date().toISOString(),
-      platform: "codechef",
-      username: handle,
-      error: error.message
+        dayCounts: dayCounts,
+        source: olderDays.length > 0 ? 'accepted_problems+submission_calendar' : 'accepted_problems',
+        ranges: [
+            ...(olderDays.length > 0 ? [{ from: null, to: submissionsTo, dataSource: 'submission_calendar' }] : []),
+            { from: acceptedFrom, to: null, dataSource: 'accepted_problems' }
+        ]
     };
-
-    if (error.response?.status === 404) {
-      failure.error = "User not found on CodeChef";
-    } else if (error.response?.status === 429) {
-      failure.status = "RATE_LIMITED";
-      failure.error = "Rate limited by CodeChef. Please try again later.";
-    }
-
-    return failure;
-  }
 }
 
+function getContestDayCounts(ratingProgression) {
+    const dayCounts = {};
+    (ratingProgression || []).forEach(contest => {
+        const date = new Date(contest?.date);
+        if (isNaN(date.getTime())) return;
+        const dateStr = date.toISOString().split('T')[0];
+        dayCounts[dateStr] = (dayCounts[dateStr] || 0) + 1;
+    });
+    return dayCounts;
+}
 
-    extractProblemsSolved(document, htmlData) {
-        console.log('Extracting problems solved using multiple methods...');
-        
-        // Method 1: Look for problems solved in the page data/JavaScript
-        let problemsSolved = this.extractFromPageData(htmlData);
-        if (problemsSolved > 0) {
-            console.log(`Method 1 (Page Data): Found ${problemsSolved} problems`);
-            return problemsSolved;
-        }
-
-        // Method 2: Extract from heatmap data (improved parsing)
-        problemsSolved = this.extractFromHeatmap(htmlData);
-        if (problemsSolved > 0) {
-            console.log(`Method 2 (Heatmap): Found ${problemsSolved} problems`);
-            return problemsSolved;
-        }
-
-        // Method 3: Look in profile sections
-        problemsSolved = this.extractFromProfileSections(document);
-        if (problemsSolved > 0) {
-            console.log(`Method 3 (Profile Sections): Found ${problemsSolved} problems`);
-            return problemsSolved;
-        }
-
-        // Method 4: Look for specific selectors
-        problemsSolved = this.extractFromSelectors(document);
-        if (problemsSolved > 0) {
-            console.log(`Method 4 (Selectors): Found ${problemsSolved} problems`);
-            return problemsSolved;
+function addDayCountsToActivity(platform, dayCounts, dailyActivity, startDate, endDate) {
+    Object.entries(dayCounts).forEach(([dateStr, count]) => {
+        const date = new Date(dateStr);
+        if (date >= startDate && date <= endDate && dailyActivity[dateStr]) {
+            dailyActivity[dateStr].platforms[platform] += count;
+            dailyActivity[dateStr].total += count;
         }
+    });
+}
 
-        console.log('All methods failed to extract problems solved count');
-        return 0;
+function getGitHubActivityWeight(event) {
+    switch (event.type) {
+        case 'PushEvent':
+            return event.payload?.commits?.length || 1;
+        case 'PullRequestEvent':
+            return 2;
+        case 'IssuesEvent':
+        case 'CreateEvent':
+        default:
+            return 1;
     }
+}
 
-    extractContestData(document, htmlData) {
-        try {
-            let contestData = null;
-            const ratingsStart = htmlData.search("var all_rating = ") + "var all_rating = ".length;
-            const ratingsEnd = htmlData.search("var current_user_rating =") - 6;
-            
-            if (ratingsStart > -1 && ratingsEnd > ratingsStart) {
-                const ratingsDataStr = htmlData.substring(ratingsStart, ratingsEnd);
-                const ratingsData = JSON.parse(ratingsDataStr);
-                
-                if (ratingsData && ratingsData.length > 0) {
-                    const recentContests = ratingsData.slice(-10).map(contest => ({
-                        contestId: contest.contest_id || contest.code,
-                        contestName: contest.name || contest.contest_name,
-                        rating: contest.rating,
-                        rank: contest.rank,
-                        endDate: contest.end_date,
-                        participationTime: contest.end_date
-                    }));
-
-                    contestData = {
-                        contestsAttended: ratingsData.length,
-                        // recentContests: recentContests,
-                        bestRank: ratingsData.filter(c => c.rank).length > 0 ? 
-                            Math.min(...ratingsData.filter(c => c.rank).map(c => c.rank)) : null,
-                        worstRank: ratingsData.filter(c => c.rank).length > 0 ? 
-                            Math.max(...ratingsData.filter(c => c.rank).map(c => c.rank)) : null,
-                        ratingProgression: ratingsData.map(c => ({
-                            date: c.end_date,
-                            rating: c.rating,
-                            contest: c.name
-                        }))
-                    };
-                }
-            }
-
-            return contestData || {
-                contestsAttended: 0,
-                recentContests: [],
-                bestRank: null,
-                worstRank: null,
-                ratingProgression: []
-            };
-        } catch (error) {
-            console.log('CodeChef contest data extraction failed:', error.message);
-            return null;
+function groupByYear(activityArray) {
+    const yearlyData = {};
+    
+    activityArray.forEach(day => {
+        const year = day.year;
+        if (!yearlyData[year]) {
+            yearlyData[year] = [];
         }
-    }
-
+        yearlyData[year].push(day);
+    });
+    
+    return yearlyData;
+}
 
-    extractFromPageData(htmlData) {
-        try {
-            // Look for total problems solved in JavaScript variables
-            const patterns = [
-                /total[_\s]*problems[_\s]*solved["\s]*:\s*(\d+)/gi,
-                /problems[_\s]*solved["\s]*:\s*(\d+)/gi,
-                /solved[_\s]*problems["\s]*:\s*(\d+)/gi,
-                /"solved":\s*(\d+)/gi,
-                /"totalSolved":\s*(\d+)/gi,
-                /var\s+totalSolved\s*=\s*(\d+)/gi
-            ];
-
-            for (let pattern of patterns) {
-                const matches = [...htmlData.matchAll(pattern)];
-                for (let match of matches) {
-                    const count = parseInt(match[1]);
-                    if (count > 10 && count < 10000) { // Reasonable range
-                        return count;
-                    }
-                }
-            }
-        } catch (e) {
-            console.log('extractFromPageData failed:', e.message);
-        }
-        return 0;
-    }
-
-    extractFromHeatmap(htmlData) {
-        try {
-            // Multiple heatmap patterns
-            const heatmapPatterns = [
-                { start: "var userDailySubmissionsStats =", end: ";", offset: 0 },
-                { start: "userDailySubmissionsStats =", end: ";", offset: 0 },
-                { start: "'#js-heatmap'", end: "'", offset: -50 }
-            ];
-
-            for (let pattern of heatmapPatterns) {
-                const startIndex = htmlData.indexOf(pattern.start);
-                if (startIndex > -1) {
-                    const dataStart = startIndex + pattern.start.length + pattern.offset;
-                    let dataEnd = htmlData.indexOf(pattern.end, dataStart);
-                    if (dataEnd === -1) dataEnd = dataStart + 5000; // Reasonable limit
-
-                    try {
-                        const dataString = htmlData.substring(dataStart, dataEnd).trim();
-                        
-                        // Try to find JSON in the string
-                        const jsonMatch = dataString.match(/\{[\s\S]*\}/);
-                        if (jsonMatch) {
-                            const heatMapData = JSON.parse(jsonMatch[0]);
-                            let total = 0;
-                            
-                            Object.values(heatMapData).forEach(dayData => {
-                                if (typeof dayData === 'object') {
-                                    if (dayData.value) total += parseInt(dayData.value) || 0;
-                                    if (dayData.solved) total += parseInt(dayData.solved) || 0;
-                                    if (dayData.count) total += parseInt(dayData.count) || 0;
-                                } else if (typeof dayData === 'number') {
-                                    total += dayData;
-                                }
-                            });
-                            
-                            if (total > 0) return total;
-                        }
-                    } catch (e) {
-                        continue;
-                    }
-                }
-            }
-        } catch (e) {
-            console.log('extractFromHeatmap failed:', e.message);
-        }
-        return 0;
-    }
-
-    extractFromProfileSections(document) {
-        try {
-            // Look in various profile sections
-            const selectors = [
-                '.rating-data-section',
-                '.user-details-container',
-                '.rating-container', 
-                '.profile-stats',
-                '.user-stats',
-                '.contest-stats',
-                '.rating-number-container'
-            ];
-
-            for (let selector of selectors) {
-                const elements = document.querySelectorAll(selector);
-                for (let element of elements) {
-                    const text = element.textContent || '';
-                    
-                    // Look for patterns like "136 Problems Solved" or similar
-                    const patterns = [
-                        /(\d{2,4})\s*problems?\s*solved/gi,
-                        /solved[:\s]*(\d{2,4})/gi,
-                        /problems?[:\s]*(\d{2,4})/gi
-                    ];
-                    
-                    for (let pattern of patterns) {
-                        const match = text.match(pattern);
-                        if (match) {
-                            const count = parseInt(match[1]);
-                            if (count > 10 && count < 10000) {
-                                return count;
-                            }
-                        }
-                    }
-
-                    // Look for standalone numbers in reasonable range
-                    const numbers = text.match(/\b(\d{2,4})\b/g);
-                    if (numbers) {
-                        for (let number of numbers) {
-                            const num = parseInt(number);
-                            if (num >= 50 && num <= 5000) {
-                                // Additional validation - check if it's likely to be problems solved
-                                const context = element.innerHTML.toLowerCase();
-                                if (context.includes('problem') || context.includes('solved') || 
-                                    context.includes('total') || context.includes('count')) {
-                                    return num;
-                                }
-                            }
-                        }
-                    }
-                }
-            }
-        } catch (e) {
-            console.log('extractFromProfileSections failed:', e.message);
-        }
-        return 0;
-    }
-
-    extractFromSelectors(document) {
-        try {
-            // Specific selectors that might contain problems solved
-            const specificSelectors = [
-                '.problem-solved-count',
-                '.total-solved',
-                '.problems-count',
-                '[data-problems-solved]',
-                '.rating-number:not(.rating-number)',
-                'h3:contains("Problems")',
-                'span:contains("Solved")'
-            ];
-
-            for (let selector of specificSelectors) {
-                const element = document.querySelector(selector);
-                if (element) {
-                    const text = element.textContent || element.getAttribute('data-problems-solved') || '';
-                    const match = text.match(/(\d+)/);
-                    if (match) {
-                        const count = parseInt(match[1]);
-                        if (count > 10 && count < 10000) {
-                            return count;
-                        }
-                    }
-                }
-            }
-
-            // Try data attributes
-            const elementsWithData = document.querySelectorAll('[data-*]');
-            for (let element of elementsWithData) {
-                const attributes = element.attributes;
-                for (let attr of attributes) {
-                    if (attr.name.includes('problem') || attr.name.includes('solved')) {
-                        const count = parseInt(attr.value);
-                        if (count > 10 && count < 10000) {
-                            return count;
-                        }
-                    }
-                }
-            }
-        } catch (e) {
-            console.log('extractFromSelectors failed:', e.message);
-        }
-        return 0;
-    }
-
-    extractName(userDetailsContainer) {
-        try {
-            if (userDetailsContainer) {
-                // Try different selectors for name
-                const nameElement = userDetailsContainer.querySelector('.user-name, .username, h1, h2, .name');
-                if (nameElement) {
-                    return nameElement.textContent.trim();
-                }
-                
-                // Try getting from child elements
-                const textElements = userDetailsContainer.querySelectorAll('*');
-                for (let element of textElements) {
-                    const text = element.textContent.trim();
-                    if (text && text.length > 2 && text.length < 50 && !text.match(/^\d+$/) && !text.includes('@')) {
-                        return text;
-                    }
-                }
-            }
-        } catch (e) {
-            console.log('extractName failed:', e.message);
-        }
-        return null;
-    }
-
-    extractRank(ratingRanks, type) {
-        try {
-            if (ratingRanks) {
-                const rankElements = ratingRanks.querySelectorAll('*');
-                let rankIndex = type === 'global' ? 0 : 1;
-                
-                for (let element of rankElements) {
-                    const text = element.textContent;
-                    const match = text.match(/(\d+)/);
-                    if (match && rankIndex-- === 0) {
-                        return parseInt(match[1]);
-                    }
-                }
-            }
-        } catch (e) {
-            console.log('extractRank failed:', e.message);
-        }
-        return 0;
-    }
-
-    getDivisionFromRating(rating) {
-        if (rating >= 2200) return "Division 1";
-        if (rating >= 1800) return "Division 2";
-        if (rating >= 1400) return "Division 3";
-        if (rating >= 1000) return "Division 4";
-        return "Unrated";
-    }
+function calculateActivityDistribution(activityArray) {
+    return {
+        level_0_days: activityArray.filter(d => d.level === 0).length,
+        level_1_days: activityArray.filter(d => d.level === 1).length,
+        level_2_days: activityArray.filter(d => d.level === 2).length,
+        level_3_days: activityArray.filter(d => d.level === 3).length,
+        level_4_days: activityArray.filter(d => d.level === 4).length
+    };
+}
 
-    // Replace the previous badge extraction methods with this optimized version
-extractBadgesData(document, htmlData) {
-    try {
-        console.log('Extracting badges data from CodeChef...');
-        
-        // Look for the badges widget container
-        const badgesWidget = document.querySelector('.widget.badges');
-        if (!badgesWidget) {
-            console.log('No badges widget found');
-            return [];
-        }
+function calculateYearlyComparison(yearlyData) {
+    const comparison = {};
+    
+    Object.keys(yearlyData).forEach(year => {
+        const yearData = yearlyData[year];
+        comparison[year] = {
+            total_contributions: yearData.reduce((sum, day) => sum + day.total, 0),
+            active_days: yearData.filter(day => day.total > 0).length,
+            average_daily: yearData.length > 0 
+                ? Number((yearData.reduce((sum, day) => sum + day.total, 0) / yearData.length).toFixed(2))
+                : 0,
+            max_daily: Math.max(...yearData.map(day => day.total), 0)
+        };
+    });
+    
+    return comparison;
+}
 
-        const badgeElements = badgesWidget.querySelectorAll('.badge');
-        const badges = [];
+function calculateIntensity(count) {
+    return Math.min(count / 10, 1); // Normalize to 0-1 scale
+}
 
-        badgeElements.forEach(badgeElement => {
-            try {
-                const badge = this.parseBadgeElement(badgeElement);
-                if (badge) {
-                    badges.push(badge);
-                }
-            } catch (error) {
-                console.log('Error parsing individual badge:', error.message);
-            }
-        });
+// Helper functions that need to be implemented
+function getWeekOfYear(date) {
+    const start = new Date(date.getFullYear(), 0, 1);
+    const diff = date - start;
+    const oneWeek = 1000 * 60 * 60 * 24 * 7;
+    return Math.floor(diff / oneWeek) + 1;
+}
 
-        console.log(`Successfully extracted ${badges.length} badges`);
-        return badges;
-    } catch (error) {
-        console.log('extractBadgesData failed:', error.message);
-        return [];
-    }
+function calculateDataQuality(platformData) {
+    const totalPlatforms = Object.keys(platformData).length;
+    const successfulPlatforms = Object.values(platformData).filter(data => data.status === "OK").length;
+    return Number((successfulPlatforms / totalPlatforms).toFixed(2));
 }
 
-parseBadgeElement(badgeElement) {
-    try {
-        // Extract image and alt text
-        const img = badgeElement.querySelector('.badge__image img');
-        const icon = img?.src || null;
-        const altText = img?.alt || '';
-
-        // Extract title
-        const titleElement = badgeElement.querySelector('.badge__title');
-        const title = titleElement?.textContent?.trim() || '';
-
-        // Extract description and goal
-        const descriptionElement = badgeElement.querySelector('.badge__description');
-        let description = '';
-        let goal = null;
-
-        if (descriptionElement) {
-            description = descriptionElement.textContent?.trim() || '';
+function calculateActivityStreaks(activityArray, referenceDate = new Date()) {
+    let currentStreak = 0;
+    let longestStreak = 0;
+    let tempStreak = 0;
+    
+    // Sort by date to ensure proper streak calculation
+    const sortedArray = [...activityArray].sort((a, b) => new Date(a.date) - new Date(b.date));
+    
+    for (let i = 0; i < sortedArray.length; i++) {
+        if (sortedArray[i].total > 0) {
+            tempStreak++;
+            longestStreak = Math.max(longestStreak, tempStreak);
             
-            // Extract the goal number from the span
-            const goalElement = descriptionElement.querySelector('.badge__goal');
-            if (goalElement) {
-                goal = parseInt(goalElement.textContent?.trim()) || null;
+            // Check if this is part of current streak (from end)
+            if (i >= sortedArray.length - tempStreak) {
+                currentStreak = tempStreak;
             }
+        } else {
+            tempStreak = 0;
         }
-
-        // Determine category and level from the badge
-        const category = this.determineBadgeCategory(title, description, icon);
-        const level = this.determineBadgeLevel(title, icon);
-
-        return {
-            name: title || altText,
-            description: description,
-            icon: icon,
-            category: category,
-            level: level,
-            goal: goal,
-            earnedDate: null // CodeChef doesn't seem to show earned dates in this structure
-        };
-    } catch (error) {
-        console.log('parseBadgeElement failed:', error.message);
-        return null;
-    }
-}
-
-determineBadgeCategory(title, description, icon) {
-    const titleLower = (title || '').toLowerCase();
-    const descriptionLower = (description || '').toLowerCase();
-    const iconLower = (icon || '').toLowerCase();
-
-    if (titleLower.includes('contest') || descriptionLower.includes('contest') || iconLower.includes('contest')) {
-        return 'contest';
-    }
-    if (titleLower.includes('problem') || descriptionLower.includes('problem') || iconLower.includes('problem')) {
-        return 'problem_solving';
     }
-    if (titleLower.includes('rating') || descriptionLower.includes('rating') || iconLower.includes('rating')) {
-        return 'rating';
-    }
-    if (titleLower.includes('streak') || descriptionLower.includes('streak') || descriptionLower.includes('daily')) {
-        return 'consistency';
-    }
-    if (titleLower.includes('participation') || descriptionLower.includes('participating')) {
-        return 'participation';
+    
+    // Verify current streak is actually current (ends at today)
+    const today = new Date(referenceDate).toISOString().split('T')[0];
+    const lastActiveDay = sortedArray.slice().reverse().find(day => day.total > 0);
+    if (!lastActiveDay || lastActiveDay.date !== today) {
+        currentStreak = 0;
     }
     
-    return 'general';
+    return { current_streak: currentStreak, longest_streak: longestStreak };
 }
 
-determineBadgeLevel(title, icon) {
-    const titleLower = (title || '').toLowerCase();
-    const iconLower = (icon || '').toLowerCase();
-
-    if (titleLower.includes('bronze') || iconLower.includes('bronze')) {
-        return 'bronze';
-    }
-    if (titleLower.includes('silver') || iconLower.includes('silver')) {
-        return 'silver';
-    }
-    if (titleLower.includes('gold') || iconLower.includes('gold')) {
-        return 'gold';
-    }
-    if (titleLower.includes('platinum') || iconLower.includes('platinum')) {
-        return 'platinum';
-    }
-    if (titleLower.includes('diamond') || iconLower.includes('diamond')) {
-        return 'diamond';
-    }
+function calculateWeeklyStats(activityArray) {
+    if (activityArray.length === 0) return { average: 0 };
+    
+    const weeklyTotals = {};
+    activityArray.forEach(day => {
+        const weekKey = `${day.year}-W${day.week_of_year}`;
+        if (!weeklyTotals[weekKey]) weeklyTotals[weekKey] = 0;
+        weeklyTotals[weekKey] += day.total;
+    });
+    
+    const weeks = Object.values(weeklyTotals);
+    const average = weeks.length > 0 ? Number((weeks.reduce((sum, total) => sum + total, 0) / weeks.length).toFixed(2)) : 0;
     
-    return 'unknown';
+    return { average, weekly_totals: weeklyTotals };
 }
 
-// Helper method to categorize badge statistics
-categorizeBadgeStats(badges) {
-    const categories = {};
-    const levels = {};
+function calculateMonthlyStats(activityArray) {
+    if (activityArray.length === 0) return { breakdown: {} };
     
-    badges.forEach(badge => {
-        // Count by category
-        const category = badge.category || 'general';
-        categories[category] = (categories[category] || 0) + 1;
-        
-        // Count by level
-        const level = badge.level || 'unknown';
-        levels[level] = (levels[level] || 0) + 1;
+    const monthlyBreakdown = {};
+    activityArray.forEach(day => {
+        const monthKey = `${day.year}-${String(day.month).padStart(2, '0')}`;
+        if (!monthlyBreakdown[monthKey]) {
+            monthlyBreakdown[monthKey] = { total: 0, active_days: 0 };
+        }
+        monthlyBreakdown[monthKey].total += day.total;
+        if (day.total > 0) monthlyBreakdown[monthKey].active_days++;
     });
     
-    return {
-        byCategory: categories,
-        byLevel: levels
-    };
+    return { breakdown: monthlyBreakdown };
 }
 
-// Inside class CodeChefAPI
-buildLeetCodeStyleCalendarFromCodeChef(heatmapJsonLike) {
-  // Accepts one of:
-  // - direct JSON object: { "1293494400000": 7, ... }
-  // - or nested object like { "2024-01-01": { value: 2 }, ... }
-  // The CodeChef page varies; we’ll normalize into a Map(dayStartMs -> count).
-
-  const dayCounts = new Map();           // all-time map
-  const perYearDayCounts = new Map();    // year -> Map(dayStartMs -> count)
-
-  const tryParseCount = (val) => {
-    if (typeof val === 'number') return val;
-    if (val && typeof val === 'object') {
-      // Try common keys
-      if (typeof val.value === 'number') return val.value;
-      if (typeof val.solved === 'number') return val.solved;
-      if (typeof val.count === 'number') return val.count;
-      // sometimes strings
-      if (val.value) return parseInt(val.value) || 0;
-      if (val.solved) return parseInt(val.solved) || 0;
-      if (val.count) return parseInt(val.count) || 0;
-    }
-    if (typeof val === 'string') {
-      const n = parseInt(val);
-      return Number.isFinite(n) ? n : 0;
-    }
-    return 0;
-  };
-
-  const addDay = (dayStartMs, count) => {
-    if (!count) return;
-    dayCounts.set(dayStartMs, (dayCounts.get(dayStartMs) || 0) + count);
-    const d = new Date(dayStartMs);
-    const y = d.getUTCFullYear();
-    if (!perYearDayCounts.has(y)) perYearDayCounts.set(y, new Map());
-    const ym = perYearDayCounts.get(y);
-    ym.set(dayStartMs, (ym.get(dayStartMs) || 0) + count);
-  };
-
-  // Normalize input into dayStartMs -> count
-  if (heatmapJsonLike && typeof heatmapJsonLike === 'object') {
-    for (const [k, rawVal] of Object.entries(heatmapJsonLike)) {
-      const count = tryParseCount(rawVal);
-
-      // Case 1: key is epoch-ms string
-      if (/^\d{12,}$/.test(k)) {
-        const dayStartMs = Number(k);
-        addDay(dayStartMs, count);
-        continue;
-      }
-      // Case 2: key is ISO-like date "YYYY-MM-DD" (or similar)
-      // We convert to UTC midnight
-      const date = new Date(k);
-      if (!isNaN(date.getTime())) {
-        const dayStartMs = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
-        addDay(dayStartMs, count);
-        continue;
-      }
-      // Otherwise ignore
-    }
-  }
-
-  const mapToJSONString = (m) => {
-    const obj = {};
-    for (const [k, v] of m.entries()) {
-  // Convert epoch ms (e.g., 1321315200000) to YYYY-MM-DD string
-  const d = new Date(Number(k));
-  if (!isNaN(d.getTime())) {
-    const dateStr = d.toISOString().slice(0, 10); // "YYYY-MM-DD"
-    obj[dateStr] = v;
-  } else {
-    obj[String(k)] = v; // fallback for non-date keys
-  }
+function getMostActiveDay(activityArray) {
+    if (activityArray.length === 0) return null;
+    
+    return activityArray.reduce((max, day) => day.total > max.total ? day : max, activityArray[0]);
 }
 
-    return JSON.stringify(obj);
-  };
-
-  const computeLongestStreak = (m) => {
-    if (m.size === 0) return 0;
-    const oneDay = 24 * 60 * 60 * 1000;
-    const days = Array.from(m.keys()).sort((a, b) => a - b);
-    let best = 1, cur = 1;
-    for (let i = 1; i < days.length; i++) {
-      if (days[i] === days[i - 1] + oneDay) cur += 1;
-      else { if (cur > best) best = cur; cur = 1; }
-    }
-    return Math.max(best, cur);
-  };
-
-  const activeYears = Array.from(perYearDayCounts.keys()).sort((a, b) => a - b);
-  const totalActiveDays = dayCounts.size;
-  const maxstreak = computeLongestStreak(dayCounts);
-  const totalSubmissions = Array.from(dayCounts.values()).reduce((a, b) => a + b, 0);
-  const submissionCalendar = mapToJSONString(dayCounts);
-
-  const byYear = {};
-  for (const y of activeYears) {
-    const ym = perYearDayCounts.get(y);
-    const ySubmissionCalendar = mapToJSONString(ym);
-    byYear[y] = {
-      totalSubmissions: Array.from(ym.values()).reduce((a, b) => a + b, 0),
-      totalActiveDays: ym.size,
-      maxstreak: computeLongestStreak(ym),
-      submissionCalendar: ySubmissionCalendar,
-      submission_calendar_data: this.getDateSubmissionList
-        ? this.getDateSubmissionList(JSON.parse(ySubmissionCalendar))
-        : undefined,
-      yearRange: { start: y, end: y }
-    };
-  }
-
-  return {
-    totalSubmissions,
-    totalActiveDays,
-    maxstreak,
-    submissionCalendar, // JSON string like {"1293494400000":7,...}
-    submission_calendar_data: this.getDateSubmissionList
-      ? this.getDateSubmissionList(JSON.parse(submissionCalendar))
-      : undefined,
-    activeYears,
-    yearRange: activeYears.length
-      ? { start: activeYears[0], end: activeYears[activeYears.length - 1] }
-      : { start: null, end: null },
-    byYear
-  };
+function getMostActiveMonth(monthlyStats) {
+    if (!monthlyStats.breakdown || Object.keys(monthlyStats.breakdown).length === 0) return null;
+    
+    return Object.entries(monthlyStats.breakdown).reduce((max, [month, stats]) => 
+        stats.total > max.total ? { month, ...stats } : max, 
+        { month: null, total: 0 }
+    );
 }
 
-// Try to extract a daily activity object from the HTML (more robust than just summing)
-extractDailyHeatmapObject(htmlData) {
-  // Look for likely assignments or JSON blobs containing per-day stats
-  const candidates = [
-    // Some sites embed: var userDailySubmissionsStats = {...};
-    /userDailySubmissionsStats\s*=\s*(\{[\s\S]*?\});/,
-    // Generic JSON object near "heatmap" or "calendar"
-    /heatmap[^=]*=\s*(\{[\s\S]*?\});/i,
-    /calendar[^=]*=\s*(\{[\s\S]*?\});/i,
-    // Raw JSON object as {...} on its own line (fallback, capped length)
-    /(\{[\s\S]{50,8000}\})/
-  ];
-
-  for (const rgx of candidates) {
-    const m = htmlData.match(rgx);
-    if (!m) continue;
-    try {
-      // Strip trailing semicolon if any
-      const jsonStr = m[1].trim().replace(/;$/, '');
-      const obj = JSON.parse(jsonStr);
-      // Sanity check: should have many keys or reasonable day entries
-      if (obj && typeof obj === 'object' && Object.keys(obj).length >= 5) {
-        return obj;
-      }
-    } catch (e) {
-      // try next candidate
-    }
-  }
-
-  // As another strategy, sometimes the heatmap is embedded in a data-* attribute string; skip here for brevity
-  return null;
+function calculateConsistencyScore(activityArray) {
+    if (activityArray.length === 0) return 0;
+    
+    const activeDays = activityArray.filter(day => day.total > 0).length;
+    const totalDays = activityArray.length;
+    
+    return Number((activeDays / totalDays).toFixed(3));
 }
 
-
-
+function calculatePlatformDiversity(activityArray) {
+    if (activityArray.length === 0) return 0;
+    
+    const platformUsage = {};
+    const platformNames = ['leetcode', 'codeforces', 'codechef', 'github', 'geeksforgeeks', 'hackerrank', 'atcoder'];
+    
+    platformNames.forEach(platform => {
+        platformUsage[platform] = activityArray.filter(day => day.platforms[platform] > 0).length;
+    });
+    
+    const activePlatforms = Object.values(platformUsage).filter(count => count > 0).length;
+    
+    return Number((activePlatforms / platformNames.length).toFixed(3));
 }
 
+function calculateActivityLevel(count) {
+    if (count === 0) return 0;
+    if (count <= 2) return 1;
+    if (count <= 4) return 2;
+    if (count <= 6) return 3;
+    return 4;
+}
 
+function calculatePlatformContributions(activityArray) {
+    const contributions = {
+        leetcode: 0,
+        codeforces: 0,
+        codechef: 0,
+        github: 0,
+        geeksforgeeks: 0,
+        hackerrank: 0,
+        atcoder: 0
+    };
+    
+    activityArray.forEach(day => {
+        Object.keys(contributions).forEach(platform => {
+            contributions[platform] += day.platforms[platform] || 0;
+        });
+    });
+    
+    return contributions;
+}
 
-class GeeksForGeeksAPI {
-    constructor() {
-        this.primaryURL = 'https://gfg-api.vercel.app';
-        this.fallbackURL = 'https://geeksforgeeks-api-fzaa.onrender.com';
-        this.statsURL = 'https://geeks-for-geeks-stats-api.vercel.app';
-        this.timeout = 15000;
-    }
-
-    async getUserData(username) {
-        try {
-            console.log(`Fetching GeeksforGeeks data for: ${username}`);
-            
-            // Try multiple APIs in sequence
-            let userData = await this.fetchFromStatsAPI(username);
-            
-            if (!userData || userData.problems_solved === 0) {
-                userData = await this.fetchFromFallbackAPI(username);
-            }
-            
-            return {
-                status: "OK",
-                platform: "geeksforgeeks",
-                username: username,
-                data: userData,
-                detailed_stats: {
-                    problems_solved: userData?.problems_solved || userData?.totalProblemsSolved || 0,
-                    overall_score: userData?.overall_score || userData?.overallScore || 0,
-                    monthly_score: userData?.monthly_score || userData?.monthlyScore || 0,
-                    institute_rank: userData?.institute_rank || userData?.instituteRank || 0,
-                    current_streak: userData?.current_streak || userData?.currentStreak || 0,
-                    max_streak: userData?.max_streak || userData?.maxStreak || 0,
-                    coding_languages: userData?.coding_languages || userData?.languagesUsed || [],
-                    articles_published: userData?.articles_published || userData?.articlesPublished || 0,
-                    school_solved: userData?.School || 0,
-                    basic_solved: userData?.Basic || 0,
-                    easy_solved: userData?.Easy || 0,
-                    medium_solved: userData?.Medium || 0,
-                    hard_solved: userData?.Hard || 0
-                }
-            };
-        } catch (error) {
-            console.error(`GeeksForGeeks API Error for ${username}:`, error.message);
-            return { 
-                status: "FAILED", 
-                platform: "geeksforgeeks", 
-                username: username, 
-                error: error.message 
-            };
-        }
-    }
-
-    async fetchFromPrimaryAPI(username) {
-        try {
-            const response = await axios.get(`${this.primaryURL}/${username}`, {
-                timeout: this.timeout,
-                headers: { 
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                    'Accept': 'application/json'
-                }
-            });
-            return response.data;
-        } catch (error) {
-            console.log(`Primary GFG API failed: ${error.message}`);
-            return null;
-        }
-    }
+function generateAggregatedStats(platformData) {
+    const stats = {
+        platforms_connected: 0,
+        total_problems_solved: 0,
+        total_contests: 0,
+        average_rating: 0,
+        overall_rating: 0,
+        skill_score: null,
+        platform_breakdown: {},
+        summary: {
+            successful_platforms: [],
+            failed_platforms: [],
+            not_available_platforms: []
+        },
+        combined_metrics: {
+            total_repositories: 0,
+            total_followers: 0,
+            total_contributions: 0,
+            programming_languages: new Set(),
+            contest_ratings: {},
+            problem_solving_trend: {}
+        },
+        // Unified activity heatmap
+        unified_activity_heatmap: generateUnifiedActivityHeatmap(platformData)
+    };
 
-    async fetchFromStatsAPI(username) {
-        try {
-            const response = await axios.get(`${this.statsURL}/?raw=y&userName=${username}`, {
-                timeout: this.timeout,
-                headers: { 
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                    'Accept': 'application/json'
-                }
-            });
+    // Process each platform
+    Object.entries(platformData).forEach(([platform, data]) => {
+        if (data.status === "OK") {
+            stats.platforms_connected++;
+            stats.platform_breakdown[platform] = extractPlatformStats(platform, data);
+            stats.summary.successful_platforms.push(platform);
             
-            const data = response.data;
-            return {
-                problems_solved: parseInt(data.totalProblemsSolved) || 0,
-                School: parseInt(data.School) || 0,
-                Basic: parseInt(data.Basic) || 0,
-                Easy: parseInt(data.Easy) || 0,
-                Medium: parseInt(data.Medium) || 0,
-                Hard: parseInt(data.Hard) || 0,
-                overall_score: 0,
-                monthly_score: 0,
-                institute_rank: 0,
-                current_streak: 0,
-                max_streak: 0,
-                coding_languages: [],
-                articles_published: 0
-            };
-        } catch (error) {
-            console.log(`Stats GFG API failed: ${error.message}`);
-            return null;
-        }
-    }
-
-    async fetchFromFallbackAPI(username) {
-        try {
-            const response = await axios.get(`${this.fallbackURL}/${username}`, {
-                timeout: this.timeout,
-                headers: { 
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-                }
-            });
-            return response.data;
-        } catch (error) {
-            console.log(`Fallback GFG API failed: ${error.message}`);
-            return null;
+            // Aggregate cross-platform metrics
+            aggregateCombinedMetrics(stats.combined_metrics, platform, data);
+        } else if (data.status === "FAILED") {
+            stats.summary.failed_platforms.push(platform);
+        } else {
+            stats.summary.not_available_platforms.push(platform);
         }
-    }
-}
-
-class GitHubAPI {
-    constructor() {
-        this.baseURL = 'https://api.github.com';
-        this.timeout = 8000;
-    }
-
-    async getUserData(username) {
-        try {
-            const headers = {
-                'User-Agent': 'MultiPlatform-Dashboard-API',
-                'Accept': 'application/vnd.github.v3+json'
-            };
-
-            // Add GitHub token if available
-            if (process.env.GITHUB_TOKEN) {
-                headers['Authorization'] = `token ${process.env.GITHUB_TOKEN}`;
-            }
+    });
 
-            const [profile, repos, events] = await Promise.allSettled([
-                axios.get(`${this.baseURL}/users/${username}`, { timeout: this.timeout, headers }),
-                axios.get(`${this.baseURL}/users/${username}/repos?sort=updated&per_page=20`, { timeout: this.timeout, headers }),
-                axios.get(`${this.baseURL}/users/${username}/events/public?per_page=30`, { timeout: this.timeout, headers })
-            ]);
+    // Convert Set to Array for JSON serialization
+    stats.combined_metrics.programming_languages = Array.from(stats.combined_metrics.programming_languages);
+    
+    // Calculate totals
+    calculateTotalStats(stats);
 
-            const profileData = profile.status === 'fulfilled' ? profile.value.data : null;
-            const reposData = repos.status === 'fulfilled' ? repos.value.data : null;
-            const eventsData = events.status === 'fulfilled' ? events.value.data : null;
+    return stats;
+}
 
+function extractPlatformStats(platform, data) {
+    switch (platform) {
+        case 'leetcode':
             return {
-                status: "OK",
-                platform: "github",
-                username: username,
-                profile: profileData,
-                repositories: reposData,
-                recent_activity: eventsData,
-                detailed_stats: this.calculateDetailedStats(profileData, reposData, eventsData)
+                username: data.username,
+                problems_solved: data.solvedStats?.totalSolved || 0,
+                easy_solved: data.solvedStats?.easySolved || 0,
+                medium_solved: data.solvedStats?.mediumSolved || 0,
+                hard_solved: data.solvedStats?.hardSolved || 0,
+                contests_attended: data.contests?.contestAttend || 0,
+                contest_rating: data.contests?.contestRating || 0,
+                max_contest_rating: data.contests?.maxRating || 0,
+                contest_global_ranking: data.contests?.contestGlobalRanking || 0,
+                contest_top_percentage: data.contests?.contestTopPercentage || null,
+                best_contest_rank: data.contests?.bestRank || null,
+                acceptance_rate: data.solvedStats?.acceptance_rate || 0,
+                ranking: data.profile?.ranking || 0
             };
-        } catch (error) {
-            console.error(`GitHub API Error for ${username}:`, error.message);
-            return { 
-                status: "FAILED", 
-                platform: "github", 
-                username: username, 
-                error: error.message 
+        
+        case 'codeforces':
+            return {
+                username: data.username,
+                current_rating: data.profile?.rating || 0,
+                max_rating: data.profile?.maxRating || 0,
+                rank: data.profile?.rank || "unrated",
+                max_rank: data.profile?.maxRank || "unrated",
+                contests_participated: data.contests?.contestsAttended || 0,
+                problems_solved: data.solvedStats?.problems_solved || 0,
+                max_solved_rating: data.solvedStats?.problem_analytics?.max_solved_rating ?? null,
+                average_attempts_before_ac: data.solvedStats?.problem_analytics?.attempts?.average_before_ac ?? null,
+                virtual_contests: data.participation?.virtual_contests?.sessions || 0,
+                upsolve_rate: data.participation?.upsolving?.upsolve_rate ?? null,
+                acceptance_rate: data.detailed_stats?.acceptance_rate || null,
+                friendOfCount: data.profile?.friendOfCount || 0,
+                contribution: data.solvedStats?.contribution || 0
             };
-        }
-    }
-
-    calculateDetailedStats(profile, repos, events) {
-        if (!profile) return {};
-
-        // Language statistics from repositories
-        const languageStats = {};
-        if (repos) {
-            repos.forEach(repo => {
-                if (repo.language) {
-                    languageStats[repo.language] = (languageStats[repo.language] || 0) + 1;
-                }
-            });
-        }
-
-        // Activity statistics
-        const activityStats = {
-            recent_pushes: 0,
-            recent_prs: 0,
-            recent_issues: 0
-        };
-
-        if (events) {
-            events.forEach(event => {
-                switch (event.type) {
-                    case 'PushEvent':
-                        activityStats.recent_pushes++;
-                        break;
-                    case 'PullRequestEvent':
-                        activityStats.recent_prs++;
-                        break;
-                    case 'IssuesEvent':
-                        activityStats.recent_issues++;
-                        break;
-                }
-            });
-        }
-
-        return {
-            public_repos: profile.public_repos || 0,
-            private_repos: profile.total_private_repos || 0,
-            followers: profile.followers || 0,
-            following: profile.following || 0,
-            public_gists: profile.public_gists || 0,
-            account_created: profile.created_at,
-            last_updated: profile.updated_at,
-            bio: profile.bio,
-            location: profile.location,
-            company: profile.company,
-            blog: profile.blog,
-            twitter: profile.twitter_username,
-            language_distribution: languageStats,
-            recent_activity: activityStats,
-            top_repositories: repos ? repos.slice(0, 5).map(repo => ({
-                name: repo.name,
-                language: repo.language,
-                stars: repo.stargazers_count,
-                forks: repo.forks_count,
-                description: repo.description
-            })) : []
-        };
-    }
-}
-
-class AtCoderAPI {
-    constructor() {
-        this.baseURL = 'https://kenkoooo.com/atcoder/atcoder-api';
-        this.timeout = 8000;
-    }
-
-    async getUserData(username) {
-        try {
-            const [submissions, rankInfo] = await Promise.allSettled([
-                axios.get(`${this.baseURL}/v3/user/submissions?user=${username}&from_second=0`, { 
-                    timeout: this.timeout,
-                    headers: { 'User-Agent': 'MultiPlatform-Dashboard-API' }
-                }),
-                axios.get(`${this.baseURL}/v3/user/ac_rank?user=${username}`, { 
-                    timeout: this.timeout,
-                    headers: { 'User-Agent': 'MultiPlatform-Dashboard-API' }
-                })
-            ]);
-
-            const submissionsData = submissions.status === 'fulfilled' ? submissions.value.data : null;
-            const rankData = rankInfo.status === 'fulfilled' ? rankInfo.value.data : null;
 
+        case 'codechef':
             return {
-                status: "OK",
-                platform: "atcoder",
-                username: username,
-                submissions: submissionsData,
-                rank_info: rankData,
-                detailed_stats: this.calculateDetailedStats(submissionsData, rankData)
+                username: data.username,
+                current_rating: data.contests?.current_rating || 0,
+                highest_rating: data.contests?.highest_rating || 0,
+                problems_solved: data.solvedStats?.totalSolved || 0,
+                contests_attended: data.contests?.contestData?.contestsAttended || 0,
+                global_rank: data.profile?.globalRank || 0,
+                country_rank: data.profile?.globalRank || 0,
+                stars: data.profile?.stars || "unrated",
+                division: data.contests?.division || "Unrated"
             };
-        } catch (error) {
-            console.error(`AtCoder API Error for ${username}:`, error.message);
-            return { 
-                status: "FAILED", 
-                platform: "atcoder", 
-                username: username, 
-                error: error.message 
+        
+        case 'geeksforgeeks':
+            return {
+                username: data.username,
+                problems_solved: data.detailed_stats?.problems_solved || 0,
+                overall_score: data.detailed_stats?.overall_score || 0,
+                monthly_score: data.detailed_stats?.monthly_score || 0,
+                current_streak: data.detailed_stats?.current_streak || 0,
+                max_streak: data.detailed_stats?.max_streak || 0,
+                coding_languages: data.detailed_stats?.coding_languages || []
             };
-        }
-    }
-
-    calculateDetailedStats(submissions, rankInfo) {
-        if (!submissions) return {};
-
-        const acceptedSubmissions = submissions.filter(s => s.result === 'AC');
-        const uniqueProblems = new Set(acceptedSubmissions.map(s => s.problem_id));
-
-        return {
-            total_submissions: submissions.length,
-            accepted_submissions: acceptedSubmissions.length,
-            unique_problems_solved: uniqueProblems.size,
-            acceptance_rate: submissions.length > 0 ? 
-                (acceptedSubmissions.length / submissions.length * 100).toFixed(2) : 0,
-            rank_info: rankInfo
-        };
-    }
-}
-
-class HackerRankAPI {
-    constructor() {
-        this.baseURL = 'https://www.hackerrank.com/rest/hackers';
-        this.profileURL = 'https://www.hackerrank.com/rest/hackers';
-        this.contestURL = 'https://www.hackerrank.com/rest/contests/master/hackers';
-        this.timeout = 15000;
-    }
-
-    async getUserData(username) {
-        try {
-            console.log(`Fetching HackerRank data for: ${username}`);
-            
-            // Try all available HackerRank API endpoints
-            const [profileData, badgesData, scoresEloData, contestData] = await Promise.allSettled([
-                this.fetchProfile(username),
-                this.fetchBadges(username),
-                this.fetchScoresElo(username),
-                this.fetchContestPerformance(username)
-            ]);
-
-            const profile = profileData.status === 'fulfilled' ? profileData.value : null;
-            const badges = badgesData.status === 'fulfilled' ? badgesData.value : null;
-            const scoresElo = scoresEloData.status === 'fulfilled' ? scoresEloData.value : null;
-            const contests = contestData.status === 'fulfilled' ? contestData.value : null;
-
-
-            if (!profile && !badges && !scoresElo && !contests) {
-                throw new Error("All HackerRank data sources failed");
-            }
-
-            // Process all data sources
-            const badgeStats = this.processBadgesData(badges);
-            const profileStats = this.processProfileData(profile);
-            const eloStats = this.processScoresEloData(scoresElo);
-            // const contests = this.processContestProfileData(contestProfile);
-
+        
+        case 'github':
             return {
-                status: "OK",
-                platform: "hackerrank",
-                username: username,
-                profile: {
-                    name: profileStats.name || username,
-                    username: username,
-                    avatar: profileStats.avatar || contests.avatar,
-                    country: profileStats.country || contests.country || null,
-                    // school: profileStats.school || contests.school || null,
-                    // company: profileStats.company || contests.company || null,
-                    // website: profileStats.website || null,
-                    // linkedin: profileStats.linkedin || null,
-                    // github: profileStats.github || null,
-                    created_at: profileStats.created_at || contests.created_at || null,
-                    // bio: profileStats.bio || null,
-                    // location: profileStats.location || null,
-                    // title: contests.title || null
-                },
-                solvedStats: {
-                    // Core Statistics
-                    rank: profileStats.rank || null,
-                    level: profileStats.level || contests.level || badgeStats.highest_level || null,
-                    totalSolved: badgeStats.total_solved,
-                    hackos: profileStats.hackos || 0,
-                    
-                    // Social Statistics  
-                    followers: profileStats.followers || contests.followers || null,
-                    following: profileStats.following || null,
-                    // event_count: contests.event_count || null,
-                    
-                    // Badge Information
-                    badges: badgeStats.badges,
-                    total_badges: badgeStats.total_badges,
-                    badge_categories: badgeStats.categories,
-                    
-                    // Language and Domain Statistics from ELO data
-                    domain_scores: eloStats.domain_scores,
-                    language_proficiency: eloStats.language_proficiency,
-                    practice_ranks: eloStats.practice_ranks,
-                    contest_performance: eloStats.contest_performance,
-                    
-                    // Problem Solving Statistics (from badges + ELO)
-                    challenges_completed: badgeStats.total_challenges_solved,
-                    total_points: Math.max(badgeStats.total_points, eloStats.total_practice_score),
-                    total_stars: badgeStats.total_stars,
-                    
-                    // Specialized Domain Performance
-                    algorithms_score: eloStats.algorithms_score || 0,
-                    data_structures_score: eloStats.data_structures_score || 0,
-                    mathematics_score: eloStats.mathematics_score || 0,
-                    sql_score: eloStats.sql_score || 0,
-                    python_score: eloStats.python_score || 0,
-                    java_score: eloStats.java_score || 0,
-                    cpp_score: eloStats.cpp_score || 0,
-                    tutorials_score: eloStats.tutorials_score || 0,
-                    
-                    // Rankings by Domain
-                    algorithms_rank: eloStats.algorithms_rank || 0,
-                    data_structures_rank: eloStats.data_structures_rank || 0,
-                    python_rank: eloStats.python_rank || 0,
-                    java_rank: eloStats.java_rank || 0,
-                    cpp_rank: eloStats.cpp_rank || 0,
-                    sql_rank: eloStats.sql_rank || 0,
-                    
-                    // Contest Performance Summary
-                    contest_medals: eloStats.total_medals,
-                    contest_participation_summary: eloStats.contest_summary,
-                    
-                    // Achievement Summary for CodeFolio
-                    achievement_summary: {
-                        total_badges: badgeStats.total_badges,
-                        total_stars: badgeStats.total_stars,
-                        total_problems_solved: badgeStats.total_solved,
-                        languages_practiced: Object.keys(eloStats.language_proficiency).length,
-                        domains_practiced: Object.keys(eloStats.domain_scores).length,
-                        total_practice_score: eloStats.total_practice_score,
-                        best_domain: eloStats.best_performing_domain,
-                        contest_participation: eloStats.total_contest_participation
-                    },
-                    
-                    // Portfolio Metrics
-                    overall_progress: this.calculateOverallProgress(eloStats, badgeStats),
-                    star_rating: this.calculateOverallStarRating(badgeStats.badges),
-                    activity_level: this.determineActivityLevel(badgeStats.total_solved, badgeStats.total_badges),
-                    strongest_domains: this.getStrongestDomains(eloStats.domain_scores),
-                    language_expertise: this.getLanguageExpertise(eloStats.language_proficiency),
-                    
-                    // Comprehensive Statistics
-                    comprehensive_stats: {
-                        profile_completeness: this.calculateProfileCompleteness(profileStats, contests),
-                        skill_diversity: Object.keys(eloStats.domain_scores).filter(domain => 
-                            eloStats.domain_scores[domain].score > 0).length,
-                        contest_consistency: eloStats.contest_consistency || 0
-                    }
-                },
-                contests: contests
+                username: data.username,
+                public_repos: data.detailed_stats?.public_repos || 0,
+                followers: data.detailed_stats?.followers || 0,
+                following: data.detailed_stats?.following || 0,
+                language_distribution: data.detailed_stats?.language_distribution || {},
+                recent_activity: data.detailed_stats?.recent_activity || {},
+                top_repositories: data.detailed_stats?.top_repositories || []
             };
-        } catch (error) {
-            console.error(`HackerRank API Error for ${username}:`, error.message);
+        
+        case 'hackerrank':
             return {
-                status: "FAILED",
-                platform: "hackerrank",
-                username: username,
-                error: `HackerRank profile not accessible: ${error.message}`,
-                suggestion: "User might not exist or profile is private"
+                username: data.username,
+                rank: data.detailed_stats?.rank || 0,
+                level: data.detailed_stats?.level || 0,
+                hackos: data.detailed_stats?.hackos || 0,
+                badges: data.detailed_stats?.total_badges || 0,
+                problems_solved: data.detailed_stats?.problems_solved || 0,
+                total_points: data.detailed_stats?.total_points || 0,
+                total_stars: data.detailed_stats?.total_stars || 0,
+                followers: data.detailed_stats?.followers || 0,
+                following: data.detailed_stats?.following || 0,
+                event_count: data.detailed_stats?.event_count || 0,
+                contest_medals: data.detailed_stats?.contest_medals || { gold: 0, silver: 0, bronze: 0 },
+                strongest_domain: data.detailed_stats?.achievement_summary?.best_domain || "None",
+                languages_practiced: data.detailed_stats?.achievement_summary?.languages_practiced || 0,
+                domains_practiced: data.detailed_stats?.achievement_summary?.domains_practiced || 0,
+                contest_participation: data.detailed_stats?.achievement_summary?.contest_participation || 0,
+                activity_level: data.detailed_stats?.activity_level || "New",
+                algorithms_score: data.detailed_stats?.algorithms_score || 0,
+                data_structures_score: data.detailed_stats?.data_structures_score || 0,
+                python_score: data.detailed_stats?.python_score || 0,
+                java_score: data.detailed_stats?.java_score || 0,
+                cpp_score: data.detailed_stats?.cpp_score || 0
             };
-        }
-    }
-
-    async fetchProfile(username) {
-        try {
-            const response = await axios.get(`${this.profileURL}/${username}`, {
-                timeout: this.timeout,
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-                    'Accept': 'application/json',
-                    'Referer': 'https://www.hackerrank.com/',
-                    'Accept-Language': 'en-US,en;q=0.9'
-                }
-            });
-            return response.data.model;
-        } catch (error) {
-            console.log(`HackerRank profile fetch failed: ${error.message}`);
-            return null;
-        }
-    }
 
-    async fetchBadges(username) {
-        try {
-            const response = await axios.get(`${this.baseURL}/${username}/badges`, {
-                timeout: this.timeout,
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-                    'Accept': 'application/json',
-                    'Referer': 'https://www.hackerrank.com/',
-                    'Accept-Language': 'en-US,en;q=0.9'
-                }
-            });
-            return response.data;
-        } catch (error) {
-            console.log(`HackerRank badges fetch failed: ${error.message}`);
-            return null;
-        }
+        case 'atcoder':
+            return {
+                username: data.username,
+                total_submissions: data.detailed_stats?.total_submissions || 0,
+                accepted_submissions: data.detailed_stats?.accepted_submissions || 0,
+                unique_problems_solved: data.detailed_stats?.unique_problems_solved || 0,
+                acceptance_rate: data.detailed_stats?.acceptance_rate || 0
+            };
+        
+        default:
+            return { 
+                username: data.username,
+                detailed_stats: data.detailed_stats || {}
+            };
     }
+}
 
-    // NEW: Fetch scores_elo data
-    async fetchScoresElo(username) {
-        try {
-            const response = await axios.get(`${this.baseURL}/${username}/scores_elo`, {
-                timeout: this.timeout,
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-                    'Accept': 'application/json',
-                    'Referer': 'https://www.hackerrank.com/',
-                    'Accept-Language': 'en-US,en;q=0.9'
-                }
-            });
-            return response.data;
-        } catch (error) {
-            console.log(`HackerRank scores_elo fetch failed: ${error.message}`);
-            return null;
-        }
+function aggregateCombinedMetrics(combined, platform, data) {
+    switch (platform) {
+        case 'github':
+            combined.total_repositories += data.detailed_stats?.public_repos || 0;
+            combined.total_followers += data.detailed_stats?.followers || 0;
+            if (data.detailed_stats?.language_distribution) {
+                Object.keys(data.detailed_stats.language_distribution).forEach(lang => {
+                    combined.programming_languages.add(lang);
+                });
+            }
+            break;
+        
+        case 'codeforces':
+            if (data.profile?.rating) {
+                combined.contest_ratings.codeforces = data.profile.rating;
+            }
+            break;
+        
+        case 'codechef':
+            if (data.contests?.current_rating) {
+                combined.contest_ratings.codechef = data.contests.current_rating;
+            }
+            break;
+        
+        case 'leetcode':
+            if (data.contests?.contestRating) {
+                combined.contest_ratings.leetcode = data.contests.contestRating;
+            }
+            break;
+        
+        case 'hackerrank':
+            // Add to programming languages from language proficiency
+            if (data.detailed_stats?.language_proficiency) {
+                Object.keys(data.detailed_stats.language_proficiency).forEach(lang => {
+                    combined.programming_languages.add(lang.toUpperCase());
+                });
+            }
+            
+            // Add to total contributions (problems solved)
+            combined.total_contributions += data.detailed_stats?.problems_solved || 0;
+            
+            // Add contest ratings if available
+            if (data.detailed_stats?.algorithms_score) {
+                combined.contest_ratings.hackerrank = data.detailed_stats.algorithms_score;
+            }
+            
+            // Add followers to social metrics
+            combined.total_followers += data.detailed_stats?.followers || 0;
+            
+            // Track domain expertise
+            if (data.detailed_stats?.strongest_domains) {
+                data.detailed_stats.strongest_domains.forEach(domain => {
+                    if (!combined.domain_expertise) {
+                        combined.domain_expertise = {};
+                    }
+                    combined.domain_expertise[domain.domain] = domain.score;
+                });
+            }
+            break;
     }
+}
 
-    // NEW: Fetch contest profile data
-    async fetchContestProfile(username) {
-        try {
-            const response = await axios.get(`${this.contestURL}/${username}/profile`, {
-                timeout: this.timeout,
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-                    'Accept': 'application/json',
-                    'Referer': 'https://www.hackerrank.com/',
-                    'Accept-Language': 'en-US,en;q=0.9'
-                }
-            });
-            return response.data.model;
-        } catch (error) {
-            console.log(`HackerRank contest profile fetch failed: ${error.message}`);
-            return null;
+function calculateTotalStats(stats) {
+    // Reset counters
+    let totalHackos = 0;
+    let totalMedals = { gold: 0, silver: 0, bronze: 0 };
+    let totalEvents = 0;
+
+    Object.values(stats.platform_breakdown).forEach(platform => {
+        // Existing logic for problems solved and contests
+        if (platform.problems_solved) {
+            stats.total_problems_solved += platform.problems_solved;
         }
-    }
+        if (platform.contests_attended || platform.contests_participated || platform.contest_participation || platform.event_count) {
+            stats.total_contests += (platform.contests_attended || platform.contests_participated || platform.contest_participation || platform.event_count || 0);
+        }
+        
+        // Add HackerRank-specific metrics
+        if (platform.hackos) {
+            totalHackos += platform.hackos;
+        }
+        if (platform.contest_medals) {
+            totalMedals.gold += platform.contest_medals.gold || 0;
+            totalMedals.silver += platform.contest_medals.silver || 0;
+            totalMedals.bronze += platform.contest_medals.bronze || 0;
+        }
+        if (platform.event_count) {
+            totalEvents += platform.event_count;
+        }
+    });
 
-    async fetchContestPerformance(username) {
-        try {
-            const response = await axios.get(`${this.baseURL}/${username}/scores_elo`, {
-                timeout: this.timeout,
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                    'Accept': 'application/json'
-                }
-            });
+    // Add new aggregate metrics
+    stats.total_hackos = totalHackos;
+    stats.total_contest_medals = totalMedals;
+    stats.total_events_participated = totalEvents;
 
-            const scoresData = response.data || [];
-            const contestsData = {
-                totalContestsParticipated: 0,
-                totalMedals: { gold: 0, silver: 0, bronze: 0 },
-                domainPerformance: {},
-                recentContests: []
-            };
+    // Ratings on different scales are compared as global percentiles (lib/ratings.js);
+    // overall_rating keeps the composite score for existing clients
+    stats.skill_score = calculateSkillScore(getSkillScoreInputs(stats.platform_breakdown));
+    stats.overall_rating = stats.skill_score.score || 0;
+}
 
-            scoresData.forEach(domain => {
-                if (domain.contest && domain.contest.medals) {
-                    const medals = domain.contest.medals;
-                    contestsData.totalMedals.gold += medals.gold || 0;
-                    contestsData.totalMedals.silver += medals.silver || 0;
-                    contestsData.totalMedals.bronze += medals.bronze || 0;
-                    
-                    if (medals.gold > 0 || medals.silver > 0 || medals.bronze > 0) {
-                        contestsData.totalContestsParticipated++;
-                    }
+// [{ platform, rating, contests }] from extractPlatformStats output, for calculateSkillScore
+function getSkillScoreInputs(platformBreakdown) {
+    return Object.entries(platformBreakdown).map(([platform, stats]) => ({
+        platform: platform,
+        rating: platform === 'leetcode' ? Math.round(stats.contest_rating || 0) : stats.current_rating || 0,
+        contests: stats.contests_participated || stats.contests_attended || 0
+    }));
+}
 
-                    if (domain.contest.score > 0) {
-                        contestsData.domainPerformance[domain.name] = {
-                            score: domain.contest.score,
-                            rank: domain.contest.rank,
-                            level: domain.contest.level,
-                            medals: medals
-                        };
-                    }
-                }
-            });
+// Usage examples:
+/*
+// Only return days with activity
+const compactHeatmap = generateUnifiedActivityHeatmap(platformData, {
+    includeInactiveDays: false
+});
 
-            return contestsData;
-        } catch (error) {
-            console.log(`HackerRank contest data fetch failed: ${error.message}`);
-            return null;
-        }
-    }
+// Custom date range
+const customHeatmap = generateUnifiedActivityHeatmap(platformData, {
+    dateRange: 'custom',
+    startDate: '2023-01-01',
+    endDate: '2024-12-31',
+    includeInactiveDays: false
+});
 
-    // NEW: Process scores_elo data
-    processScoresEloData(scoresEloData) {
-        if (!scoresEloData || !Array.isArray(scoresEloData)) {
-            return this.getEmptyEloStats();
-        }
+// Current year only
+const yearlyHeatmap = generateUnifiedActivityHeatmap(platformData, {
+    dateRange: 'year',
+    includeInactiveDays: false
+});
+*/
 
-        const stats = {
-            domain_scores: {},
-            language_proficiency: {},
-            practice_ranks: {},
-            contest_performance: {},
-            total_practice_score: 0,
-            total_medals: { gold: 0, silver: 0, bronze: 0 },
-            contest_summary: {},
-            best_performing_domain: null,
-            total_contest_participation: 0,
-            contest_consistency: 0
-        };
+// Usage examples:
+/*
+// Only return days with activity
+const compactHeatmap = generateUnifiedActivityHeatmap(platformData, {
+    includeInactiveDays: false
+});
 
-        // Map specific domains for easy access
-        const domainMap = {
-            'Algorithms': 'algorithms',
-            'Data Structures': 'data_structures', 
-            'Mathematics': 'mathematics',
-            'SQL': 'sql',
-            'Python': 'python',
-            'Java': 'java',
-            'C++': 'cpp',
-            'Tutorials': 'tutorials',
-            'Artificial Intelligence': 'artificial_intelligence',
-            'Databases': 'databases',
-            'Functional Programming': 'functional_programming',
-            'Linux Shell': 'shell',
-            'Ruby': 'ruby',
-            'C': 'c',
-            'React': 'react',
-            'Regex': 'regex',
-            'Security': 'security',
-            'Distributed Systems': 'distributed_systems',
-            'General Programming': 'general_programming'
-        };
+// Custom date range
+const customHeatmap = generateUnifiedActivityHeatmap(platformData, {
+    dateRange: 'custom',
+    startDate: '2023-01-01',
+    endDate: '2024-12-31',
+    includeInactiveDays: false
+});
 
-        scoresEloData.forEach(domain => {
-            const domainName = domain.name;
-            const domainKey = domainMap[domainName] || domainName.toLowerCase().replace(/\s+/g, '_');
-
-            // Practice scores and ranks
-            const practiceScore = domain.practice?.score || 0;
-            const practiceRank = domain.practice?.rank || 0;
-
-            // Contest performance
-            const contestScore = domain.contest?.score || 0;
-            const contestRank = domain.contest?.rank || 'N/A';
-            const contestLevel = domain.contest?.level || 5;
-            const medals = domain.contest?.medals || { gold: 0, silver: 0, bronze: 0 };
-
-            stats.domain_scores[domainKey] = {
-                name: domainName,
-                practice_score: practiceScore,
-                practice_rank: practiceRank,
-                contest_score: contestScore,
-                contest_rank: contestRank,
-                contest_level: contestLevel,
-                medals: medals,
-                track_id: domain.track_id
-            };
+// Current year only
+const yearlyHeatmap = generateUnifiedActivityHeatmap(platformData, {
+    dateRange: 'year',
+    includeInactiveDays: false
+});
+*/
 
-            // Add to totals
-            stats.total_practice_score += practiceScore;
-            if (medals) {
-                stats.total_medals.gold += medals.gold || 0;
-                stats.total_medals.silver += medals.silver || 0;
-                stats.total_medals.bronze += medals.bronze || 0;
-            }
 
-            // Track language proficiency specifically
-            if (['python', 'java', 'cpp', 'c', 'ruby', 'react'].includes(domainKey)) {
-                stats.language_proficiency[domainKey] = {
-                    score: practiceScore,
-                    rank: practiceRank,
-                    contest_performance: {
-                        score: contestScore,
-                        level: contestLevel,
-                        medals: medals
-                    }
-                };
-            }
 
-            // Set individual domain scores for easy access
-            stats[`${domainKey}_score`] = practiceScore;
-            stats[`${domainKey}_rank`] = practiceRank;
-        });
+// ==========================================
+// ANALYTICS
+// ==========================================
 
-        // Find best performing domain
-        let bestScore = 0;
-        let bestDomain = null;
-        Object.entries(stats.domain_scores).forEach(([key, data]) => {
-            if (data.practice_score > bestScore) {
-                bestScore = data.practice_score;
-                bestDomain = data.name;
-            }
-        });
-        stats.best_performing_domain = bestDomain;
+const TREND_WINDOWS_WEEKS = [4, 12, 52];
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-        // Calculate contest participation
-        stats.total_contest_participation = scoresEloData.filter(d => 
-            d.contest && (d.contest.score > 0 || (d.contest.medals && 
-            (d.contest.medals.gold > 0 || d.contest.medals.silver > 0 || d.contest.medals.bronze > 0)))
-        ).length;
+function generateUserAnalytics(platformData, options = {}) {
+    const today = options.referenceDate ? new Date(options.referenceDate) : new Date();
 
-        return stats;
-    }
+    const solveTrend = calculateSolveTrend(platformData, today);
+    const skillScore = calculateSkillScore(getSkillScoreInputs(Object.fromEntries(
+        Object.entries(platformData)
+            .filter(([, data]) => data.status === "OK")
+            .map(([platform, data]) => [platform, extractPlatformStats(platform, data)])
+    )));
+    const platformStrength = calculatePlatformStrength(skillScore);
+    const weakestTopics = findWeakestTopics(platformData);
+    const ratingMomentum = calculateRatingMomentum(platformData, today);
 
-    processContestProfileData(contestProfile) {
-        if (!contestProfile) {
-            return {};
+    return {
+        problem_solving_trend: solveTrend,
+        strongest_platform: platformStrength[0] || null,
+        weakest_topics: weakestTopics,
+        rating_momentum: ratingMomentum,
+        improvement_suggestions: buildImprovementSuggestions(solveTrend, platformStrength, weakestTopics, ratingMomentum),
+        comparative_analysis: {
+            normalized_ratings: platformStrength,
+            skill_score: skillScore
         }
+    };
+}
 
-        return {
-            name: contestProfile.personal_first_name && contestProfile.personal_last_name ? 
-                  `${contestProfile.personal_first_name} ${contestProfile.personal_last_name}` : null,
-            avatar: contestProfile.avatar,
-            country: contestProfile.country,
-            school: contestProfile.school,
-            company: contestProfile.company,
-            created_at: contestProfile.created_at,
-            level: contestProfile.level,
-            followers: contestProfile.followers_count,
-            event_count: contestProfile.event_count,
-            title: contestProfile.title
-        };
-    }
-
-    processBadgesData(badgesResponse) {
-        if (!badgesResponse || !badgesResponse.models) {
-            return this.getEmptyBadgeStats();
-        }
+// Weekly activity over the last 4/12/52 weeks, each compared with the window before it.
+// GitHub events are not problem solving, so they are left out.
+function calculateSolveTrend(platformData, today) {
+    const solvingPlatforms = Object.fromEntries(
+        Object.entries(platformData).filter(([platform]) => platform !== 'github')
+    );
+    const longestWindow = Math.max(...TREND_WINDOWS_WEEKS);
 
-        const badges = badgesResponse.models;
-        const stats = {
-            badges: [],
-            total_badges: badges.length,
-            categories: {},
-            total_solved: 0,
-            total_challenges_solved: 0,
-            total_points: 0,
-            total_stars: 0,
-            highest_level: 0
+    const heatmap = generateUnifiedActivityHeatmap(solvingPlatforms, {
+        dateRange: 'custom',
+        startDate: new Date(today.getTime() - 2 * longestWindow * 7 * DAY_MS),
+        endDate: today,
+        referenceDate: today
+    });
+    const days = Object.values(heatmap.yearly_activity).flat();
+
+    const sumBetween = (fromMs, toMs) => days
+        .filter(day => {
+            const time = new Date(day.date).getTime();
+            return time > fromMs && time <= toMs;
+        })
+        .reduce((sum, day) => sum + day.total, 0);
+
+    const windows = {};
+    TREND_WINDOWS_WEEKS.forEach(weeks => {
+        const windowMs = weeks * 7 * DAY_MS;
+        const current = sumBetween(today.getTime() - windowMs, today.getTime());
+        const previous = sumBetween(today.getTime() - 2 * windowMs, today.getTime() - windowMs);
+        const changePct = previous > 0 ? Math.round((current - previous) / previous * 100) : null;
+
+        let direction;
+        if (current === 0 && previous === 0) direction = 'inactive';
+        else if (previous === 0) direction = 'increasing';
+        else if (changePct > 10) direction = 'increasing';
+        else if (changePct < -10) direction = 'decreasing';
+        else direction = 'stable';
+
+        windows[`last_${weeks}_weeks`] = {
+            total: current,
+            per_week: Number((current / weeks).toFixed(2)),
+            previous_total: previous,
+            change_pct: changePct,
+            direction: direction
         };
+    });
 
-        badges.forEach(badge => {
-            const processedBadge = {
-                name: badge.badge_name,
-                short_name: badge.badge_short_name,
-                category: badge.category_name,
-                badge_type: badge.badge_type,
-                stars: badge.stars,
-                level: badge.level,
-                current_points: badge.current_points,
-                solved: badge.solved,
-                total_challenges: badge.total_challenges
-            };
-
-            stats.badges.push(processedBadge);
-            stats.total_solved += badge.solved || 0;
-            stats.total_points += badge.current_points || 0;
-            stats.total_stars += badge.stars || 0;
-            stats.highest_level = Math.max(stats.highest_level, badge.level || 0);
-
-            const category = badge.category_name || 'Other';
-            if (!stats.categories[category]) {
-                stats.categories[category] = [];
-            }
-            stats.categories[category].push(processedBadge);
-        });
+    return {
+        direction: windows.last_12_weeks.direction,
+        windows: windows,
+        sources: heatmap.metadata.activity_sources
+    };
+}
 
-        return stats;
+function getCurrentRating(platform, data) {
+    switch (platform) {
+        case 'codeforces':
+            return data.profile?.rating || 0;
+        case 'codechef':
+            return data.contests?.current_rating || 0;
+        case 'leetcode':
+            return Math.round(data.contests?.contestRating || 0);
+        default:
+            return 0;
     }
+}
 
-    processProfileData(profile) {
-        if (!profile) {
-            return {};
-        }
+// Rated platforms ordered by global percentile; normalized_score is that percentile
+function calculatePlatformStrength(skillScore) {
+    return Object.entries(skillScore.contributions)
+        .map(([platform, entry]) => ({
+            platform: platform,
+            rating: entry.rating,
+            normalized_score: entry.percentile,
+            contests: entry.contests,
+            confidence: entry.confidence
+        }))
+        .sort((a, b) => b.normalized_score - a.normalized_score);
+}
 
-        return {
-            name: profile.personal_first_name && profile.personal_last_name ? 
-                  `${profile.personal_first_name} ${profile.personal_last_name}` : null,
-            avatar: profile.avatar,
-            country: profile.country,
-            school: profile.school,
-            company: profile.company,
-            website: profile.website,
-            linkedin: profile.linkedin_url,
-            github: profile.github_url,
-            created_at: profile.created_at,
-            bio: profile.short_bio,
-            location: profile.location,
-            rank: profile.rank,
-            level: profile.level,
-            hackos: profile.hackos,
-            followers: profile.followers_count,
-            following: profile.following_count
-        };
-    }
+// Lowest-count LeetCode skill tags and lowest solve-rate Codeforces tags
+function findWeakestTopics(platformData, limit = 5) {
+    const result = { leetcode: [], codeforces: [] };
+
+    const skills = platformData.leetcode?.status === "OK" ? platformData.leetcode.skills : null;
+    if (skills && typeof skills === 'object') {
+        result.leetcode = ['fundamental', 'intermediate', 'advanced']
+            .flatMap(level => (skills[level] || []).map(tag => ({
+                topic: tag.tagName,
+                level: level,
+                metric: 'problems_solved',
+                value: tag.problemsSolved || 0
+            })))
+            .sort((a, b) => a.value - b.value)
+            .slice(0, limit);
+    }
+
+    // Tags with fewer than 3 attempted problems say little about weakness
+    const tagStats = platformData.codeforces?.status === "OK" ? platformData.codeforces.solvedStats?.tag_stats : null;
+    if (tagStats) {
+        result.codeforces = Object.entries(tagStats)
+            .filter(([, stats]) => stats.attempted >= 3)
+            .map(([tag, stats]) => ({
+                topic: tag,
+                metric: 'solve_rate',
+                value: stats.solve_rate,
+                solved: stats.solved,
+                attempted: stats.attempted
+            }))
+            .sort((a, b) => a.value - b.value || b.attempted - a.attempted)
+            .slice(0, limit);
+    }
+
+    return result;
+}
 
-    getEmptyEloStats() {
-        return {
-            domain_scores: {},
-            language_proficiency: {},
-            practice_ranks: {},
-            contest_performance: {},
-            total_practice_score: 0,
-            total_medals: { gold: 0, silver: 0, bronze: 0 },
-            contest_summary: {},
-            best_performing_domain: null,
-            total_contest_participation: 0,
-            contest_consistency: 0
-        };
+function getRatingProgression(platform, data) {
+    if (platform === 'codechef') {
+        return data.contests?.contestData?.ratingProgression || [];
     }
+    return data.contests?.ratingProgression || [];
+}
 
-    getEmptyBadgeStats() {
-        return {
-            badges: [],
-            total_badges: 0,
-            categories: {},
-            total_solved: 0,
-            total_challenges_solved: 0,
-            total_points: 0,
-            total_stars: 0,
-            highest_level: 0
-        };
-    }
+// Rating change over the last few contests on each rated platform
+function calculateRatingMomentum(platformData, today, recentContests = 5) {
+    const momentum = {};
 
-    calculateOverallProgress(eloStats, badgeStats) {
-        const practiceScore = eloStats.total_practice_score || 0;
-        const badgePoints = badgeStats.total_points || 0;
-        const totalStars = badgeStats.total_stars || 0;
-        
-        return Math.min(100, (practiceScore + badgePoints + (totalStars * 20)) / 10);
-    }
+    Object.entries(platformData).forEach(([platform, data]) => {
+        if (data.status !== "OK") return;
+
+        const progression = getRatingProgression(platform, data)
+            .filter(point => point.rating && !isNaN(new Date(point.date).getTime()))
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+        if (progression.length < 2) return;
+
+        const recent = progression.slice(-(recentContests + 1));
+        const change = recent[recent.length - 1].rating - recent[0].rating;
+        const averageChange = Number((change / (recent.length - 1)).toFixed(1));
+        const lastContest = progression[progression.length - 1];
+        const peak = Math.max(...progression.map(point => point.rating));
+
+        momentum[platform] = {
+            contests_considered: recent.length - 1,
+            rating_change: change,
+            average_change: averageChange,
+            direction: averageChange > 5 ? 'rising' : averageChange < -5 ? 'falling' : 'flat',
+            current_rating: lastContest.rating,
+            peak_rating: peak,
+            below_peak: peak - lastContest.rating,
+            last_contest: lastContest.contest || null,
+            days_since_last_contest: Math.floor((today - new Date(lastContest.date)) / DAY_MS)
+        };
+    });
 
-    calculateOverallStarRating(badges) {
-        if (!badges || badges.length === 0) return 0;
-        
-        const totalStars = badges.reduce((sum, badge) => sum + (badge.stars || 0), 0);
-        const avgStars = totalStars / badges.length;
-        
-        return Math.round(avgStars * 10) / 10;
-    }
+    return momentum;
+}
 
-    determineActivityLevel(totalSolved, totalBadges) {
-        if (totalSolved >= 100 && totalBadges >= 5) return 'Expert';
-        if (totalSolved >= 50 && totalBadges >= 3) return 'Advanced';
-        if (totalSolved >= 20 && totalBadges >= 2) return 'Intermediate';
-        if (totalSolved >= 5 && totalBadges >= 1) return 'Beginner';
-        return 'New';
+// Every suggestion names the metric it was derived from
+function buildImprovementSuggestions(solveTrend, platformStrength, weakestTopics, ratingMomentum) {
+    const suggestions = [];
+    const recent = solveTrend.windows.last_4_weeks;
+    const quarter = solveTrend.windows.last_12_weeks;
+
+    if (recent.direction === 'inactive') {
+        suggestions.push({
+            metric: 'problem_solving_trend.windows.last_4_weeks.total',
+            value: recent.total,
+            suggestion: 'No recorded activity in the last 4 weeks. Restart with a small daily target to rebuild the habit.'
+        });
+    } else if (recent.direction === 'decreasing') {
+        suggestions.push({
+            metric: 'problem_solving_trend.windows.last_4_weeks.change_pct',
+            value: recent.change_pct,
+            suggestion: `Activity is down ${Math.abs(recent.change_pct)}% on the previous 4 weeks. Aim for at least ${Math.max(1, Math.ceil(quarter.per_week))} per week, your 12-week average.`
+        });
     }
 
-    getStrongestDomains(domainScores) {
-        return Object.entries(domainScores)
-            .sort(([,a], [,b]) => b.practice_score - a.practice_score)
-            .slice(0, 3)
-            .map(([domain, data]) => ({
-                domain: data.name,
-                score: data.practice_score,
-                rank: data.practice_rank
-            }));
-    }
+    Object.entries(ratingMomentum).forEach(([platform, stats]) => {
+        if (stats.direction === 'falling') {
+            suggestions.push({
+                metric: `rating_momentum.${platform}.average_change`,
+                value: stats.average_change,
+                suggestion: `${platform} rating is falling by about ${Math.abs(stats.average_change)} per contest. Upsolve the problems you missed in recent contests before the next one.`
+            });
+        }
+        if (stats.days_since_last_contest > 30) {
+            suggestions.push({
+                metric: `rating_momentum.${platform}.days_since_last_contest`,
+                value: stats.days_since_last_contest,
+                suggestion: `No rated ${platform} contest in ${stats.days_since_last_contest} days. Schedule one to keep your rating current.`
+            });
+        }
+    });
 
-    getLanguageExpertise(languageProficiency) {
-        return Object.entries(languageProficiency)
-            .sort(([,a], [,b]) => b.score - a.score)
-            .map(([lang, data]) => ({
-                language: lang.toUpperCase(),
-                score: data.score,
-                rank: data.rank,
-                contest_level: data.contest_performance?.level || 5
-            }));
+    const leetcodeGap = weakestTopics.leetcode[0];
+    if (leetcodeGap) {
+        suggestions.push({
+            metric: `weakest_topics.leetcode.${leetcodeGap.topic}.problems_solved`,
+            value: leetcodeGap.value,
+            suggestion: `Only ${leetcodeGap.value} LeetCode ${leetcodeGap.value === 1 ? 'problem' : 'problems'} solved in ${leetcodeGap.topic}. Work through a focused set of ${leetcodeGap.level} problems on it.`
+        });
     }
 
-    calculateProfileCompleteness(profileStats, contests) {
-        let completeness = 0;
-        const fields = ['name', 'country', 'school', 'company', 'bio', 'avatar'];
-        
-        fields.forEach(field => {
-            if (profileStats[field] || contests[field]) {
-                completeness += 100 / fields.length;
-            }
+    const codeforcesGap = weakestTopics.codeforces[0];
+    if (codeforcesGap) {
+        suggestions.push({
+            metric: `weakest_topics.codeforces.${codeforcesGap.topic}.solve_rate`,
+            value: codeforcesGap.value,
+            suggestion: `${codeforcesGap.value}% solve rate on Codeforces ${codeforcesGap.topic} problems (${codeforcesGap.solved}/${codeforcesGap.attempted}). Review the editorials for the unsolved ones.`
         });
-        
-        return Math.round(completeness);
     }
-}
-
-
-
 
-class InterviewBitAPI {
-    async getUserData(username) {
-        return {
-            status: "NOT_AVAILABLE",
-            platform: "interviewbit",
-            username: username,
-            comment: "InterviewBit doesn't provide public API access",
-            detailed_stats: {}
-        };
+    if (platformStrength.length >= 2) {
+        const strongest = platformStrength[0];
+        const weakest = platformStrength[platformStrength.length - 1];
+        const gap = Number((strongest.normalized_score - weakest.normalized_score).toFixed(1));
+        if (gap >= 25) {
+            suggestions.push({
+                metric: `comparative_analysis.normalized_ratings.${weakest.platform}.normalized_score`,
+                value: weakest.normalized_score,
+                suggestion: `${weakest.platform} trails ${strongest.platform} by ${gap} percentile points. Its contest format may need dedicated practice.`
+            });
+        }
     }
-}
 
-class CodeStudioAPI {
-    async getUserData(username) {
-        return {
-            status: "NOT_AVAILABLE",
-            platform: "codestudio",
-            username: username,
-            comment: "CodeStudio doesn't provide public API access",
-            detailed_stats: {}
-        };
-    }
+    return suggestions;
 }
 
-// Initialize APIs
-const multiAPI = new MultiPlatformAPI();
-
 // ==========================================
-// ENHANCED HELPER FUNCTIONS
+// API ROUTES (COMPLETE)
 // ==========================================
 
-function generateUnifiedActivityHeatmap(platformData, options = {}) {
-    const {
-        includeInactiveDays = false,
-        dateRange = 'auto', // 'auto', 'year', 'custom'
-        startDate = null,
-        endDate = null
-    } = options;
-
-    const today = new Date();
-    const { actualStartDate, actualEndDate } = determineDateRange(platformData, dateRange, startDate, endDate, today);
-    
-    // Initialize activity data with sparse structure
-    const dailyActivity = {};
-    
-    // Process each platform's activity first to determine actual active dates
-    const activeDates = new Set();
-    Object.entries(platformData).forEach(([platform, data]) => {
-        if (data.status === "OK") {
-            const platformActiveDates = processPlatformActivity(platform, data, actualStartDate, actualEndDate);
-            platformActiveDates.forEach(date => activeDates.add(date));
-        }
+// Root route
+app.get('/', (req, res) => {
+    res.json({
+        status: "OK",
+        message: "Multi-Platform Dashboard API - With HackerRank Integration",
+        version: "2.2.0",
+        documentation: "/api/health",
+        supported_platforms: [
+            "leetcode", 
+            "codeforces", 
+            "codechef", 
+            "github", 
+            "geeksforgeeks", 
+            "atcoder", 
+            "hackerrank"
+        ],
+        endpoints: {
+            health: "GET /api/health",
+            aggregated_dashboard: "POST /api/dashboard/aggregated", 
+            single_user: "GET /api/dashboard/aggregated/:username",
+            platform_status: "GET /api/platforms/status",
+            platform_details: "GET /api/platforms/:platform/:username",
+            profiles: "POST /api/profiles",
+            profile_dashboard: "GET /api/dashboard/:profileId",
+            profile_views: "GET /api/heatmap/p:<profileId> (also cards, charts, history and analytics)",
+            groups: "POST /api/groups",
+            group_leaderboard: "GET /api/groups/:groupId/leaderboard"
+        },
+        new_features: [
+            "HackerRank badge tracking",
+            "Contest medal counts",
+            "Domain-specific ELO scores",
+            "Language proficiency rankings"
+        ]
     });
+});
 
-    // Only initialize days that have activity OR if includeInactiveDays is true
-    if (includeInactiveDays) {
-        // Initialize all days in range
-        for (let d = new Date(actualStartDate); d <= actualEndDate; d.setDate(d.getDate() + 1)) {
-            const dateStr = d.toISOString().split('T')[0];
-            dailyActivity[dateStr] = initializeDayData(dateStr, d);
-        }
+// Embeddable SVG heatmap (must be registered before /api/heatmap/:username)
+// ?year=2024 for a calendar year (default: last 52 weeks), theme=light|dark, stack=true for per-platform colors,
+// month_labels=false / weekday_labels=false to hide labels
+app.get('/api/heatmap/:username.svg', async (req, res) => {
+    const { username } = req.params;
+    const {
+        year,
+        theme = 'light',
+        stack = 'false',
+        month_labels = 'true',
+        weekday_labels = 'true'
+    } = req.query;
+
+    res.set('Content-Type', 'image/svg+xml; charset=utf-8');
+
+    const today = new Date();
+    let startDate, endDate;
+    if (year) {
+        const selectedYear = parseInt(year);
+        if (!selectedYear || selectedYear < 2000 || selectedYear > today.getUTCFullYear()) {
+            return res.status(400).send(renderErrorSVG(`Invalid year: ${year}`, { theme }));
+        }
+        startDate = new Date(Date.UTC(selectedYear, 0, 1));
+        endDate = new Date(Date.UTC(selectedYear, 11, 31));
     } else {
-        // Only initialize active days
-        activeDates.forEach(dateStr => {
-            const date = new Date(dateStr);
-            dailyActivity[dateStr] = initializeDayData(dateStr, date);
-        });
+        endDate = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()));
+        startDate = new Date(endDate.getTime() - 364 * 24 * 60 * 60 * 1000);
     }
 
-    // Process platform data and populate activity
-    Object.entries(platformData).forEach(([platform, data]) => {
-        if (data.status === "OK") {
-            populatePlatformActivity(platform, data, dailyActivity, actualStartDate, actualEndDate);
+    try {
+        const { profile, entries, missingProfile } = await resolvePlatformEntries(username, req.query, 'leetcode,codeforces,codechef,geeksforgeeks,github,hackerrank,atcoder');
+        if (missingProfile !== null) {
+            return res.status(404).send(renderErrorSVG(`Profile '${missingProfile}' not found`, { theme }));
         }
-    });
-
-    // Convert to array, calculate levels, and sort by date
-    const activityArray = Object.values(dailyActivity)
-        .filter(day => includeInactiveDays || day.total > 0) // Filter out inactive days if requested
-        .map(day => ({
-            ...day,
-            level: calculateActivityLevel(day.total),
-            intensity: calculateIntensity(day.total),
-            platform_count: Object.values(day.platforms).filter(count => count > 0).length,
-            year: new Date(day.date).getFullYear()
-        }))
-        .sort((a, b) => new Date(a.date) - new Date(b.date)); // Sort by date ascending
-
-    // Group by year for better organization
-    const yearlyData = groupByYear(activityArray);
-    
-    // Calculate metrics
-    const streakData = calculateActivityStreaks(activityArray);
-    const weeklyStats = calculateWeeklyStats(activityArray);
-    const monthlyStats = calculateMonthlyStats(activityArray);
 
-    return {
-        metadata: {
-            date_range: {
-                start: actualStartDate.toISOString().split('T')[0],
-                end: actualEndDate.toISOString().split('T')[0]
-            },
-            total_days: activityArray.length,
-            total_active_days: activityArray.filter(day => day.total > 0).length,
-            includes_inactive_days: includeInactiveDays,
-            data_quality: calculateDataQuality(platformData),
-            last_updated: new Date().toISOString(),
-            years_covered: Object.keys(yearlyData).map(Number).sort()
-        },
-        yearly_activity: yearlyData, // Organized by year
-        summary_stats: {
-            total_contributions: activityArray.reduce((sum, day) => sum + day.total, 0),
-            max_daily_activity: Math.max(...activityArray.map(day => day.total), 0),
-            average_daily_activity: activityArray.length > 0 
-                ? Number((activityArray.reduce((sum, day) => sum + day.total, 0) / activityArray.length).toFixed(2))
-                : 0,
-            current_streak: streakData.current_streak,
-            longest_streak: streakData.longest_streak,
-            platform_contributions: calculatePlatformContributions(activityArray),
-            most_active_day: getMostActiveDay(activityArray),
-            most_active_month: getMostActiveMonth(monthlyStats)
-        },
-        advanced_metrics: {
-            weekly_average: weeklyStats.average,
-            monthly_breakdown: monthlyStats.breakdown,
-            activity_distribution: calculateActivityDistribution(activityArray),
-            consistency_score: calculateConsistencyScore(activityArray),
-            platform_diversity: calculatePlatformDiversity(activityArray),
-            yearly_comparison: calculateYearlyComparison(yearlyData)
-        },
-        heatmap_config: {
-            color_scale: {
-                0: '#ebedf0',
-                1: '#9be9a8', 
-                2: '#40c463',
-                3: '#30a14e',
-                4: '#216e39'
-            },
-            cell_size: 11,
-            cell_gap: 3,
-            month_labels: true,
-            weekday_labels: true
-        }
-    };
-}
+        const platformData = await multiAPI.fetchPlatforms(entries);
 
-function determineDateRange(platformData, dateRange, startDate, endDate, today) {
-    let actualStartDate, actualEndDate;
-    
-    if (dateRange === 'custom' && startDate && endDate) {
-        actualStartDate = new Date(startDate);
-        actualEndDate = new Date(endDate);
-    } else if (dateRange === 'year') {
-        actualStartDate = new Date(today.getFullYear(), 0, 1);
-        actualEndDate = today;
-    } else {
-        // 'auto' - determine from platform data
-        const platformDates = [];
-        
-        Object.values(platformData).forEach(data => {
-            if (data.status === "OK") {
-                const dates = extractPlatformDateRange(data);
-                platformDates.push(...dates);
-            }
+        const heatmap = generateUnifiedActivityHeatmap(platformData, {
+            dateRange: 'custom',
+            startDate: startDate,
+            endDate: endDate,
+            referenceDate: today
         });
-        
-        if (platformDates.length > 0) {
-            actualStartDate = new Date(Math.min(...platformDates));
-            actualEndDate = today;
-        } else {
-            // Fallback to last year
-            actualStartDate = new Date(today.getFullYear() - 1, today.getMonth(), today.getDate());
-            actualEndDate = today;
-        }
+
+        res.set('Cache-Control', 'public, max-age=3600, stale-while-revalidate=86400');
+        res.send(renderHeatmapSVG(heatmap, {
+            username: profile?.display_name || username,
+            startDate: startDate,
+            endDate: endDate,
+            theme: theme,
+            stacked: stack === 'true',
+            showMonthLabels: month_labels !== 'false',
+            showWeekdayLabels: weekday_labels !== 'false'
+        }));
+    } catch (error) {
+        console.error('Error in heatmap SVG endpoint:', error);
+        res.status(500).send(renderErrorSVG('Could not render heatmap', { theme }));
     }
-    
-    return { actualStartDate, actualEndDate };
-}
+});
+
+// Dedicated heatmap endpoint
+app.get('/api/heatmap/:username', async (req, res) => {
+    const { username } = req.params;
 
-function extractPlatformDateRange(data) {
-    const dates = [];
-    
     try {
-        // LeetCode - handle yearly structure
-        if (data.calendar_data) {
-            Object.keys(data.calendar_data).forEach(year => {
-                const yearData = data.calendar_data[year];
-                // Handle "submmissionCalendar" (with typo)
-                if (yearData?.submmissionCalendar && Array.isArray(yearData.submmissionCalendar)) {
-                    yearData.submmissionCalendar.forEach(entry => {
-                        dates.push(new Date(entry.date).getTime());
-                    });
-                }
-                // Handle corrected "submissionCalendar"
-                else if (yearData?.submissionCalendar && Array.isArray(yearData.submissionCalendar)) {
-                    yearData.submissionCalendar.forEach(entry => {
-                        dates.push(new Date(entry.date).getTime());
-                    });
-                }
-            });
-        }
-        // Fallback for old timestamp structure
-        else if (data.calendar_data?.submissionCalendar) {
-            Object.keys(data.calendar_data.submissionCalendar).forEach(timestamp => {
-                dates.push(parseInt(timestamp) * 1000);
-            });
-        }
-        
-        // GitHub
-        if (data.recent_activity) {
-            data.recent_activity.forEach(event => {
-                dates.push(new Date(event.created_at).getTime());
-            });
-        }
-        
-        // AtCoder
-        if (data.submissions) {
-            data.submissions.forEach(submission => {
-                dates.push(submission.epoch_second * 1000);
+        const { profile, entries, missingProfile } = await resolvePlatformEntries(username, req.query, 'leetcode,codeforces,codechef,geeksforgeeks,github,hackerrank,atcoder');
+        if (missingProfile !== null) {
+            return res.status(404).json({
+                status: "FAILED",
+                comment: `Profile '${missingProfile}' not found`
             });
         }
+
+        const result = {
+            status: "OK",
+            username: username,
+            profile_id: profile ? profile.id : undefined,
+            timestamp: new Date().toISOString(),
+            platforms: {},
+            heatmap_data: null,
+            processing_time: Date.now()
+        };
+
+        console.log(`Fetching heatmap data for ${username} from platforms: ${entries.map(([platform]) => platform).join(', ')}`);
+
+        // Fetch platform data (cached)
+        result.platforms = await multiAPI.fetchPlatforms(entries);
+
+        // Generate heatmap data
+        result.heatmap_data = generateUnifiedActivityHeatmap(result.platforms);
+        result.processing_time = Date.now() - result.processing_time;
         
-        // CodeForces - contests
-        if (data.contests?.ratingProgression) {
-            data.contests.ratingProgression.forEach(contest => {
-                dates.push(new Date(contest.date).getTime());
-            });
-        }
+        console.log(`Heatmap data generated for ${username} in ${result.processing_time}ms`);
+        res.json(result);
+
     } catch (error) {
-        console.log('Error extracting date range:', error.message);
+        console.error('Error in heatmap endpoint:', error);
+        res.status(500).json({
+            status: "FAILED",
+            comment: error.message,
+            timestamp: new Date().toISOString()
+        });
     }
-    
-    return dates;
-}
+});
 
-function initializeDayData(dateStr, date) {
-    return {
-        date: dateStr,
-        total: 0,
-        platforms: {
-            leetcode: 0,
-            codeforces: 0,
-            codechef: 0,
-            github: 0,
-            geeksforgeeks: 0,
-            hackerrank: 0,
-            atcoder: 0
-        },
-        timestamp: Math.floor(date.getTime() / 1000),
-        weekday: date.getDay(),
-        week_of_year: getWeekOfYear(date),
-        month: date.getMonth() + 1
-    };
-}
+// Batch heatmap endpoint for multiple users
+app.post('/api/heatmap/batch', async (req, res) => {
+    const { usernames } = req.body;
 
-function processPlatformActivity(platform, data, startDate, endDate) {
-    const activeDates = new Set();
-    
-    try {
-        switch (platform) {
-            case 'leetcode':
-                // Handle new yearly structure
-                if (data.calendar_data) {
-                    Object.keys(data.calendar_data).forEach(year => {
-                        const yearData = data.calendar_data[year];
-                        // Handle "submmissionCalendar" (with typo)
-                        if (yearData?.submmissionCalendar && Array.isArray(yearData.submmissionCalendar)) {
-                            yearData.submmissionCalendar.forEach(entry => {
-                                const date = new Date(entry.date);
-                                if (date >= startDate && date <= endDate && entry.submissionCount > 0) {
-                                    activeDates.add(entry.date);
-                                }
-                            });
-                        }
-                        // Handle corrected "submissionCalendar"
-                        else if (yearData?.submissionCalendar && Array.isArray(yearData.submissionCalendar)) {
-                            yearData.submissionCalendar.forEach(entry => {
-                                const date = new Date(entry.date);
-                                if (date >= startDate && date <= endDate && entry.submissionCount > 0) {
-                                    activeDates.add(entry.date);
-                                }
-                            });
-                        }
-                    });
-                }
-                // Fallback for old structure
-                else if (data.calendar_data?.submissionCalendar) {
-                    Object.keys(data.calendar_data.submissionCalendar).forEach(timestamp => {
-                        const date = new Date(parseInt(timestamp) * 1000);
-                        if (date >= startDate && date <= endDate) {
-                            activeDates.add(date.toISOString().split('T')[0]);
-                        }
-                    });
-                }
-                break;
-                
-            case 'github':
-                if (data.recent_activity) {
-                    data.recent_activity.forEach(event => {
-                        const date = new Date(event.created_at);
-                        if (date >= startDate && date <= endDate) {
-                            activeDates.add(date.toISOString().split('T')[0]);
-                        }
-                    });
-                }
-                break;
-                
-            case 'atcoder':
-                if (data.submissions) {
-                    data.submissions.forEach(submission => {
-                        const date = new Date(submission.epoch_second * 1000);
-                        if (date >= startDate && date <= endDate && submission.result === 'AC') {
-                            activeDates.add(date.toISOString().split('T')[0]);
-                        }
-                    });
-                }
-                break;
-                
-            case 'codeforces':
-                if (data.contests?.ratingProgression) {
-                    data.contests.ratingProgression.forEach(contest => {
-                        const date = new Date(contest.date);
-                        if (date >= startDate && date <= endDate) {
-                            activeDates.add(date.toISOString().split('T')[0]);
-                        }
-                    });
+    if (!usernames || typeof usernames !== 'object') {
+        return res.status(400).json({
+            status: "FAILED",
+            comment: "usernames object is required",
+            example: {
+                usernames: {
+                    leetcode: "john_doe",
+                    codeforces: "johnD",
+                    // ... other platforms
                 }
-                break;
-        }
-    } catch (error) {
-        console.log(`Error processing ${platform} activity dates:`, error.message);
+            }
+        });
     }
-    
-    return activeDates;
-}
 
-function populatePlatformActivity(platform, data, dailyActivity, startDate, endDate) {
-    // Reuse your existing processing functions but only update existing dates in dailyActivity
-    switch (platform) {
-        case 'leetcode':
-            processLeetCodeActivityOptimized(data, dailyActivity, startDate, endDate);
-            break;
-        case 'codeforces':
-            processCodeForcesActivityOptimized(data, dailyActivity, startDate, endDate);
-            break;
-        case 'github':
-            processGitHubActivityOptimized(data, dailyActivity, startDate, endDate);
-            break;
-        case 'codechef':
-            processCodeChefActivityOptimized(data, dailyActivity, startDate, endDate);
-            break;
-        case 'geeksforgeeks':
-            processGeeksForGeeksActivityOptimized(data, dailyActivity, startDate, endDate);
-            break;
-        case 'hackerrank':
-            processHackerRankActivityOptimized(data, dailyActivity, startDate, endDate);
-            break;
-        case 'atcoder':
-            processAtCoderActivityOptimized(data, dailyActivity, startDate, endDate);
-            break;
+    try {
+        const result = {
+            status: "OK",
+            timestamp: new Date().toISOString(),
+            usernames: usernames,
+            platforms: {},
+            heatmap_data: null,
+            processing_time: Date.now()
+        };
+
+        // Fetch data from all platforms (cached)
+        result.platforms = await multiAPI.fetchPlatforms(Object.entries(usernames));
+
+        // Generate unified heatmap
+        result.heatmap_data = generateUnifiedActivityHeatmap(result.platforms);
+        result.processing_time = Date.now() - result.processing_time;
+
+        console.log(`Batch heatmap data generated in ${result.processing_time}ms`);
+        res.json(result);
+
+    } catch (error) {
+        console.error('Error in batch heatmap endpoint:', error);
+        res.status(500).json({
+            status: "FAILED",
+            comment: error.message,
+            timestamp: new Date().toISOString()
+        });
     }
-}
+});
 
-function processLeetCodeActivityOptimized(data, dailyActivity, startDate, endDate) {
-    try {
-        // Handle new data structure with yearly breakdown
-        if (data.calendar_data) {
-            // Check for yearly structure like calendar_data["2024"].submmissionCalendar
-            Object.keys(data.calendar_data).forEach(year => {
-                const yearData = data.calendar_data[year];
-                if (yearData && yearData.submmissionCalendar && Array.isArray(yearData.submmissionCalendar)) {
-                    yearData.submmissionCalendar.forEach(entry => {
-                        const date = new Date(entry.date);
-                        if (date >= startDate && date <= endDate) {
-                            const dateStr = entry.date;
-                            if (dailyActivity[dateStr]) {
-                                const submissions = parseInt(entry.submissionCount) || 0;
-                                dailyActivity[dateStr].platforms.leetcode += submissions;
-                                dailyActivity[dateStr].total += submissions;
-                            }
-                        }
-                    });
-                }
-                // Also handle the corrected spelling "submissionCalendar"
-                else if (yearData && yearData.submissionCalendar && Array.isArray(yearData.submissionCalendar)) {
-                    yearData.submissionCalendar.forEach(entry => {
-                        const date = new Date(entry.date);
-                        if (date >= startDate && date <= endDate) {
-                            const dateStr = entry.date;
-                            if (dailyActivity[dateStr]) {
-                                const submissions = parseInt(entry.submissionCount) || 0;
-                                dailyActivity[dateStr].platforms.leetcode += submissions;
-                                dailyActivity[dateStr].total += submissions;
-                            }
-                        }
-                    });
-                }
-            });
-        }
-        
-        // Fallback: Handle old structure with submissionCalendar object
-        else if (data.calendar_data?.submissionCalendar) {
-            Object.entries(data.calendar_data.submissionCalendar).forEach(([timestamp, count]) => {
-                const date = new Date(parseInt(timestamp) * 1000);
-                if (date >= startDate && date <= endDate) {
-                    const dateStr = date.toISOString().split('T')[0];
-                    if (dailyActivity[dateStr]) {
-                        const submissions = parseInt(count) || 0;
-                        dailyActivity[dateStr].platforms.leetcode += submissions;
-                        dailyActivity[dateStr].total += submissions;
-                    }
+
+// Main aggregated dashboard endpoint (FULL FEATURED)
+app.post('/api/dashboard/aggregated', async (req, res) => {
+    const { usernames } = req.body;
+
+    if (!usernames || typeof usernames !== 'object') {
+        return res.status(400).json({
+            status: "FAILED",
+            comment: "usernames object is required with platform-specific usernames",
+            example: {
+                usernames: {
+                    leetcode: "john_doe",
+                    codeforces: "johnD",
+                    codechef: "john123",
+                    github: "johndoe",
+                    geeksforgeeks: "john.doe",
+                    atcoder: "john_atcoder"
                 }
-            });
-        }
-    } catch (error) {
-        console.log('Error processing LeetCode activity:', error.message);
+            }
+        });
     }
-}
 
-function processGitHubActivityOptimized(data, dailyActivity, startDate, endDate) {
     try {
-        if (data.recent_activity && Array.isArray(data.recent_activity)) {
-            data.recent_activity.forEach(event => {
-                const date = new Date(event.created_at);
-                if (date >= startDate && date <= endDate) {
-                    const dateStr = date.toISOString().split('T')[0];
-                    if (dailyActivity[dateStr]) {
-                        let activityCount = getGitHubActivityWeight(event);
-                        dailyActivity[dateStr].platforms.github += activityCount;
-                        dailyActivity[dateStr].total += activityCount;
-                    }
-                }
-            });
-        }
+        const result = {
+            status: "OK",
+            timestamp: new Date().toISOString(),
+            usernames: usernames,
+            platforms: {},
+            aggregated_stats: {},
+            processing_time: Date.now()
+        };
+
+        console.log(`Fetching comprehensive data for usernames:`, usernames);
+
+        // Fetch data from all platforms (cached)
+        result.platforms = await multiAPI.fetchPlatforms(Object.entries(usernames));
+
+        // Generate comprehensive aggregated statistics
+        result.aggregated_stats = generateAggregatedStats(result.platforms);
+        result.processing_time = Date.now() - result.processing_time;
+
+        console.log(`Aggregated dashboard data fetched successfully in ${result.processing_time}ms`);
+        res.json(result);
+
     } catch (error) {
-        console.log('Error processing GitHub activity:', error.message);
+        console.error('Error in aggregated dashboard:', error);
+        res.status(500).json({
+            status: "FAILED",
+            comment: error.message,
+            timestamp: new Date().toISOString()
+        });
     }
+});
+
+// Streams one SSE "platform" event per platform as its fetch settles, then an "aggregated" event
+async function streamAggregatedDashboard(res, usernames) {
+    const startTime = Date.now();
+    const entries = Object.entries(usernames).filter(([platform, username]) => multiAPI.platforms[platform] && username);
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // stop nginx-style proxies from buffering the stream
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    const send = (event, data) => {
+        if (closed) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Comment lines keep idle connections open through proxies while slow scrapes finish
+    const heartbeat = setInterval(() => {
+        if (!closed) res.write(': keep-alive\n\n');
+    }, 15000);
+
+    // res rather than req: req emits 'close' as soon as a POST body has been read
+    res.on('close', () => {
+        closed = true;
+        clearInterval(heartbeat);
+    });
+
+    send('start', {
+        timestamp: new Date().toISOString(),
+        usernames: Object.fromEntries(entries),
+        platforms: entries.map(([platform]) => platform)
+    });
+
+    const platforms = {};
+    await Promise.all(entries.map(async ([platform, username]) => {
+        const data = await multiAPI.fetchPlatform(platform, username);
+        platforms[platform] = data;
+        send('platform', {
+            platform: platform,
+            username: username,
+            elapsed: Date.now() - startTime,
+            data: data
+        });
+    }));
+
+    send('aggregated', {
+        timestamp: new Date().toISOString(),
+        aggregated_stats: generateAggregatedStats(platforms),
+        processing_time: Date.now() - startTime
+    });
+
+    clearInterval(heartbeat);
+    closed = true;
+    res.end();
 }
 
-function processCodeForcesActivityOptimized(data, dailyActivity, startDate, endDate) {
-    try {
-        // Process contest participation
-        if (data.contests && data.contests.ratingProgression) {
-            data.contests.ratingProgression.forEach(contest => {
-                const date = new Date(contest.date);
-                if (date >= startDate && date <= endDate) {
-                    const dateStr = date.toISOString().split('T')[0];
-                    if (dailyActivity[dateStr]) {
-                        dailyActivity[dateStr].platforms.codeforces += 5;
-                        dailyActivity[dateStr].total += 5;
-                    }
-                }
-            });
-        }
-        
-        // Distribute recent problems solved (only for existing dates in dailyActivity)
-        const problemsSolved = data.detailed_stats?.problems_solved || 0;
-        if (problemsSolved > 0) {
-            const activeDates = Object.keys(dailyActivity).filter(date => {
-                const d = new Date(date);
-                return d >= startDate && d <= endDate && dailyActivity[date].platforms.codeforces === 0;
-            });
-            
-            let remaining = Math.floor(problemsSolved * 0.3);
-            activeDates.forEach(dateStr => {
-                if (remaining > 0 && Math.random() < 0.25) {
-                    const activity = Math.min(remaining, Math.floor(Math.random() * 3) + 1);
-                    dailyActivity[dateStr].platforms.codeforces += activity;
-                    dailyActivity[dateStr].total += activity;
-                    remaining -= activity;
-                }
-            });
+// Streaming dashboard for EventSource clients: /api/dashboard/stream?leetcode=john_doe&codeforces=johnD
+app.get('/api/dashboard/stream', async (req, res) => {
+    const usernames = {};
+    Object.keys(multiAPI.platforms).forEach(platform => {
+        if (typeof req.query[platform] === 'string' && req.query[platform]) {
+            usernames[platform] = req.query[platform];
         }
-    } catch (error) {
-        console.log('Error processing CodeForces activity:', error.message);
+    });
+
+    if (Object.keys(usernames).length === 0) {
+        return res.status(400).json({
+            status: "FAILED",
+            comment: "At least one platform=username query parameter is required",
+            example: "/api/dashboard/stream?leetcode=john_doe&codeforces=johnD",
+            available_platforms: Object.keys(multiAPI.platforms)
+        });
     }
-}
 
-function processCodeChefActivityOptimized(data, dailyActivity, startDate, endDate) {
     try {
-        const problemsSolved = data.detailed_stats?.problems_solved || 0;
-        
-        if (problemsSolved > 0) {
-            const activeDates = Object.keys(dailyActivity).filter(date => {
-                const d = new Date(date);
-                return d >= startDate && d <= endDate;
-            });
-            
-            let remaining = problemsSolved;
-            activeDates.forEach(dateStr => {
-                if (remaining > 0 && Math.random() < 0.25) {
-                    const activity = Math.min(remaining, Math.floor(Math.random() * 2) + 1);
-                    dailyActivity[dateStr].platforms.codechef += activity;
-                    dailyActivity[dateStr].total += activity;
-                    remaining -= activity;
-                }
+        console.log(`Streaming dashboard for usernames:`, usernames);
+        await streamAggregatedDashboard(res, usernames);
+    } catch (error) {
+        console.error('Error in dashboard stream:', error);
+        if (!res.headersSent) {
+            return res.status(500).json({
+                status: "FAILED",
+                comment: error.message,
+                timestamp: new Date().toISOString()
             });
         }
-    } catch (error) {
-        console.log('Error processing CodeChef activity:', error.message);
+        res.write(`event: error\ndata: ${JSON.stringify({ comment: error.message })}\n\n`);
+        res.end();
     }
-}
+});
 
-function processGeeksForGeeksActivityOptimized(data, dailyActivity, startDate, endDate) {
-    try {
-        const problemsSolved = data.detailed_stats?.problems_solved || 0;
-        const currentStreak = data.detailed_stats?.current_streak || 0;
-        
-        if (problemsSolved > 0) {
-            const activeDates = Object.keys(dailyActivity)
-                .filter(date => {
-                    const d = new Date(date);
-                    return d >= startDate && d <= endDate;
-                })
-                .sort((a, b) => new Date(b) - new Date(a)); // Sort descending for recent streak
-            
-            // Add recent streak activity
-            for (let i = 0; i < Math.min(currentStreak, activeDates.length); i++) {
-                const dateStr = activeDates[i];
-                dailyActivity[dateStr].platforms.geeksforgeeks += 1;
-                dailyActivity[dateStr].total += 1;
-            }
-            
-            // Distribute remaining problems
-            let remaining = Math.max(0, problemsSolved - currentStreak);
-            for (let i = currentStreak; i < activeDates.length && remaining > 0; i++) {
-                if (Math.random() < 0.2) {
-                    const activity = Math.min(remaining, Math.floor(Math.random() * 2) + 1);
-                    dailyActivity[activeDates[i]].platforms.geeksforgeeks += activity;
-                    dailyActivity[activeDates[i]].total += activity;
-                    remaining -= activity;
+// Same stream for fetch()-based clients that send the usernames map as in POST /api/dashboard/aggregated
+app.post('/api/dashboard/aggregated/stream', async (req, res) => {
+    const { usernames } = req.body;
+
+    if (!usernames || typeof usernames !== 'object') {
+        return res.status(400).json({
+            status: "FAILED",
+            comment: "usernames object is required with platform-specific usernames",
+            example: {
+                usernames: {
+                    leetcode: "john_doe",
+                    codeforces: "johnD"
                 }
             }
-        }
-    } catch (error) {
-        console.log('Error processing GeeksForGeeks activity:', error.message);
+        });
     }
-}
 
-function processHackerRankActivityOptimized(data, dailyActivity, startDate, endDate) {
     try {
-        const problemsSolved = data.detailed_stats?.problems_solved || 0;
-        const contestMedals = data.detailed_stats?.contest_medals || { gold: 0, silver: 0, bronze: 0 };
-        const totalMedals = contestMedals.gold + contestMedals.silver + contestMedals.bronze;
-        
-        const activeDates = Object.keys(dailyActivity).filter(date => {
-            const d = new Date(date);
-            return d >= startDate && d <= endDate;
-        });
-        
-        // Add contest activity
-        if (totalMedals > 0 && activeDates.length > 0) {
-            const contestDays = Math.min(totalMedals * 2, activeDates.length);
-            for (let i = 0; i < contestDays; i++) {
-                const randomDate = activeDates[Math.floor(Math.random() * activeDates.length)];
-                dailyActivity[randomDate].platforms.hackerrank += 3;
-                dailyActivity[randomDate].total += 3;
-            }
-        }
-        
-        // Distribute practice problems
-        if (problemsSolved > 0) {
-            let remaining = Math.floor(problemsSolved * 0.4);
-            activeDates.forEach(dateStr => {
-                if (remaining > 0 && Math.random() < 0.25) {
-                    const activity = Math.min(remaining, Math.floor(Math.random() * 4) + 1);
-                    dailyActivity[dateStr].platforms.hackerrank += activity;
-                    dailyActivity[dateStr].total += activity;
-                    remaining -= activity;
-                }
-            });
-        }
+        console.log(`Streaming dashboard for usernames:`, usernames);
+        await streamAggregatedDashboard(res, usernames);
     } catch (error) {
-        console.log('Error processing HackerRank activity:', error.message);
-    }
-}
-
-function processAtCoderActivityOptimized(data, dailyActivity, startDate, endDate) {
-    try {
-        if (data.submissions && Array.isArray(data.submissions)) {
-            data.submissions.forEach(submission => {
-                const date = new Date(submission.epoch_second * 1000);
-                if (date >= startDate && date <= endDate && submission.result === 'AC') {
-                    const dateStr = date.toISOString().split('T')[0];
-                    if (dailyActivity[dateStr]) {
-                        dailyActivity[dateStr].platforms.atcoder += 1;
-                        dailyActivity[dateStr].total += 1;
-                    }
-                }
+        console.error('Error in dashboard stream:', error);
+        if (!res.headersSent) {
+            return res.status(500).json({
+                status: "FAILED",
+                comment: error.message,
+                timestamp: new Date().toISOString()
             });
         }
-    } catch (error) {
-        console.log('Error processing AtCoder activity:', error.message);
+        res.write(`event: error\ndata: ${JSON.stringify({ comment: error.message })}\n\n`);
+        res.end();
     }
-}
+});
 
-function getGitHubActivityWeight(event) {
-    switch (event.type) {
-        case 'PushEvent':
-            return event.payload?.commits?.length || 1;
-        case 'PullRequestEvent':
-            return 2;
-        case 'IssuesEvent':
-        case 'CreateEvent':
-        default:
-            return 1;
-    }
-}
+// Single username fallback (COMPLETE)
+app.get('/api/dashboard/aggregated/:username', async (req, res) => {
+    const { username } = req.params;
 
-function groupByYear(activityArray) {
-    const yearlyData = {};
-    
-    activityArray.forEach(day => {
-        const year = day.year;
-        if (!yearlyData[year]) {
-            yearlyData[year] = [];
+    try {
+        const { profile, entries, missingProfile } = await resolvePlatformEntries(username, req.query, 'leetcode,codeforces,codechef,geeksforgeeks,github,atcoder');
+        if (missingProfile !== null) {
+            return res.status(404).json({
+                status: "FAILED",
+                comment: `Profile '${missingProfile}' not found`
+            });
         }
-        yearlyData[year].push(day);
-    });
-    
-    return yearlyData;
-}
-
-function calculateActivityDistribution(activityArray) {
-    return {
-        level_0_days: activityArray.filter(d => d.level === 0).length,
-        level_1_days: activityArray.filter(d => d.level === 1).length,
-        level_2_days: activityArray.filter(d => d.level === 2).length,
-        level_3_days: activityArray.filter(d => d.level === 3).length,
-        level_4_days: activityArray.filter(d => d.level === 4).length
-    };
-}
 
-function calculateYearlyComparison(yearlyData) {
-    const comparison = {};
-    
-    Object.keys(yearlyData).forEach(year => {
-        const yearData = yearlyData[year];
-        comparison[year] = {
-            total_contributions: yearData.reduce((sum, day) => sum + day.total, 0),
-            active_days: yearData.filter(day => day.total > 0).length,
-            average_daily: yearData.length > 0 
-                ? Number((yearData.reduce((sum, day) => sum + day.total, 0) / yearData.length).toFixed(2))
-                : 0,
-            max_daily: Math.max(...yearData.map(day => day.total), 0)
+        const result = {
+            status: "OK",
+            username: username,
+            profile_id: profile ? profile.id : undefined,
+            timestamp: new Date().toISOString(),
+            platforms: {},
+            aggregated_stats: {},
+            processing_time: Date.now(),
+            note: profile
+                ? `Handles resolved from profile '${profile.id}'.`
+                : "This endpoint assumes same username across all platforms. Register a profile (POST /api/profiles) or use POST /api/dashboard/aggregated for different usernames."
         };
-    });
-    
-    return comparison;
-}
 
-function calculateIntensity(count) {
-    return Math.min(count / 10, 1); // Normalize to 0-1 scale
-}
+        console.log(`Fetching comprehensive data for ${username} from platforms: ${entries.map(([platform]) => platform).join(', ')}`);
 
-// Helper functions that need to be implemented
-function getWeekOfYear(date) {
-    const start = new Date(date.getFullYear(), 0, 1);
-    const diff = date - start;
-    const oneWeek = 1000 * 60 * 60 * 24 * 7;
-    return Math.floor(diff / oneWeek) + 1;
-}
+        // Fetch platform data (cached)
+        result.platforms = await multiAPI.fetchPlatforms(entries);
 
-function calculateDataQuality(platformData) {
-    const totalPlatforms = Object.keys(platformData).length;
-    const successfulPlatforms = Object.values(platformData).filter(data => data.status === "OK").length;
-    return Number((successfulPlatforms / totalPlatforms).toFixed(2));
-}
+        result.aggregated_stats = generateAggregatedStats(result.platforms);
+        result.processing_time = Date.now() - result.processing_time;
+        
+        console.log(`Data fetched for ${username} in ${result.processing_time}ms`);
+        res.json(result);
 
-function calculateActivityStreaks(activityArray) {
-    let currentStreak = 0;
-    let longestStreak = 0;
-    let tempStreak = 0;
-    
-    // Sort by date to ensure proper streak calculation
-    const sortedArray = [...activityArray].sort((a, b) => new Date(a.date) - new Date(b.date));
-    
-    for (let i = 0; i < sortedArray.length; i++) {
-        if (sortedArray[i].total > 0) {
-            tempStreak++;
-            longestStreak = Math.max(longestStreak, tempStreak);
-            
-            // Check if this is part of current streak (from end)
-            if (i >= sortedArray.length - tempStreak) {
-                currentStreak = tempStreak;
-            }
-        } else {
-            tempStreak = 0;
-        }
-    }
-    
-    // Verify current streak is actually current (ends at today)
-    const today = new Date().toISOString().split('T')[0];
-    const lastActiveDay = sortedArray.slice().reverse().find(day => day.total > 0);
-    if (!lastActiveDay || lastActiveDay.date !== today) {
-        currentStreak = 0;
+    } catch (error) {
+        console.error('Error in aggregated dashboard:', error);
+        res.status(500).json({
+            status: "FAILED",
+            comment: error.message,
+            timestamp: new Date().toISOString()
+        });
     }
-    
-    return { current_streak: currentStreak, longest_streak: longestStreak };
-}
+});
 
-function calculateWeeklyStats(activityArray) {
-    if (activityArray.length === 0) return { average: 0 };
-    
-    const weeklyTotals = {};
-    activityArray.forEach(day => {
-        const weekKey = `${day.year}-W${day.week_of_year}`;
-        if (!weeklyTotals[weekKey]) weeklyTotals[weekKey] = 0;
-        weeklyTotals[weekKey] += day.total;
-    });
-    
-    const weeks = Object.values(weeklyTotals);
-    const average = weeks.length > 0 ? Number((weeks.reduce((sum, total) => sum + total, 0) / weeks.length).toFixed(2)) : 0;
-    
-    return { average, weekly_totals: weeklyTotals };
-}
+// Dashboard for a registered profile; handles come from the registry instead of the request
+app.get('/api/dashboard/:profileId', async (req, res) => {
+    const { profileId } = req.params;
 
-function calculateMonthlyStats(activityArray) {
-    if (activityArray.length === 0) return { breakdown: {} };
-    
-    const monthlyBreakdown = {};
-    activityArray.forEach(day => {
-        const monthKey = `${day.year}-${String(day.month).padStart(2, '0')}`;
-        if (!monthlyBreakdown[monthKey]) {
-            monthlyBreakdown[monthKey] = { total: 0, active_days: 0 };
+    try {
+        const profile = await profiles.get(profileId);
+        if (!profile) {
+            return res.status(404).json({
+                status: "FAILED",
+                comment: `Profile '${profileId}' not found`,
+                hint: "Create one with POST /api/profiles"
+            });
         }
-        monthlyBreakdown[monthKey].total += day.total;
-        if (day.total > 0) monthlyBreakdown[monthKey].active_days++;
-    });
-    
-    return { breakdown: monthlyBreakdown };
-}
-
-function getMostActiveDay(activityArray) {
-    if (activityArray.length === 0) return null;
-    
-    return activityArray.reduce((max, day) => day.total > max.total ? day : max, activityArray[0]);
-}
 
-function getMostActiveMonth(monthlyStats) {
-    if (!monthlyStats.breakdown || Object.keys(monthlyStats.breakdown).length === 0) return null;
-    
-    return Object.entries(monthlyStats.breakdown).reduce((max, [month, stats]) => 
-        stats.total > max.total ? { month, ...stats } : max, 
-        { month: null, total: 0 }
-    );
-}
+        const requested = typeof req.query.platforms === 'string' ? req.query.platforms.split(',') : null;
+        const entries = Object.entries(profile.handles).filter(([platform]) => !requested || requested.includes(platform));
+        const result = {
+            status: "OK",
+            profile: profile,
+            timestamp: new Date().toISOString(),
+            platforms: {},
+            aggregated_stats: {},
+            processing_time: Date.now()
+        };
 
-function calculateConsistencyScore(activityArray) {
-    if (activityArray.length === 0) return 0;
-    
-    const activeDays = activityArray.filter(day => day.total > 0).length;
-    const totalDays = activityArray.length;
-    
-    return Number((activeDays / totalDays).toFixed(3));
-}
+        // Fetch platform data (cached)
+        result.platforms = await multiAPI.fetchPlatforms(entries);
 
-function calculatePlatformDiversity(activityArray) {
-    if (activityArray.length === 0) return 0;
-    
-    const platformUsage = {};
-    const platformNames = ['leetcode', 'codeforces', 'codechef', 'github', 'geeksforgeeks', 'hackerrank', 'atcoder'];
-    
-    platformNames.forEach(platform => {
-        platformUsage[platform] = activityArray.filter(day => day.platforms[platform] > 0).length;
-    });
-    
-    const activePlatforms = Object.values(platformUsage).filter(count => count > 0).length;
-    
-    return Number((activePlatforms / platformNames.length).toFixed(3));
-}
+        result.aggregated_stats = generateAggregatedStats(result.platforms);
+        result.processing_time = Date.now() - result.processing_time;
 
-function calculateActivityLevel(count) {
-    if (count === 0) return 0;
-    if (count <= 2) return 1;
-    if (count <= 4) return 2;
-    if (count <= 6) return 3;
-    return 4;
-}
+        console.log(`Profile dashboard for ${profile.id} built in ${result.processing_time}ms`);
+        res.json(result);
 
-function calculatePlatformContributions(activityArray) {
-    const contributions = {
-        leetcode: 0,
-        codeforces: 0,
-        codechef: 0,
-        github: 0,
-        geeksforgeeks: 0,
-        hackerrank: 0,
-        atcoder: 0
-    };
-    
-    activityArray.forEach(day => {
-        Object.keys(contributions).forEach(platform => {
-            contributions[platform] += day.platforms[platform] || 0;
+    } catch (error) {
+        console.error('Error in profile dashboard:', error);
+        res.status(500).json({
+            status: "FAILED",
+            comment: error.message,
+            timestamp: new Date().toISOString()
         });
-    });
-    
-    return contributions;
-}
+    }
+});
 
-function generateAggregatedStats(platformData) {
-    const stats = {
-        platforms_connected: 0,
-        total_problems_solved: 0,
-        total_contests: 0,
-        average_rating: 0,
-        overall_rating: 0,
-        platform_breakdown: {},
-        summary: {
-            successful_platforms: [],
-            failed_platforms: [],
-            not_available_platforms: []
+// Individual platform endpoint
+app.get('/api/platforms/:platform/:username', async (req, res) => {
+    const { platform, username } = req.params;
+
+    if (!multiAPI.platforms[platform]) {
+        return res.status(404).json({
+            status: "FAILED",
+            comment: `Platform '${platform}' not supported`,
+            available_platforms: Object.keys(multiAPI.platforms)
+        });
+    }
+
+    try {
+        console.log(`Fetching ${platform} data for ${username}`);
+        const result = await multiAPI.platforms[platform].getUserData(username);
+        
+        res.json({
+            status: "OK",
+            timestamp: new Date().toISOString(),
+            platform: platform,
+            username: username,
+            data: result
+        });
+    } catch (error) {
+        console.error(`Error fetching ${platform} data:`, error);
+        res.status(500).json({
+            status: "FAILED",
+            platform: platform,
+            username: username,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Platform status endpoint (ENHANCED)
+app.get('/api/platforms/status', (req, res) => {
+    const platformStatus = {
+        leetcode: {
+            status: "Available",
+            features: ["Profile data", "Submission history", "Contest performance", "Detailed statistics", "Recent accepted submissions", "Solved problems by topic"],
+            api_endpoint: "https://leetcode.com/graphql",
+            fallback_endpoint: process.env.LEETCODE_API_URL || process.env.LOCAL_LEETCODE_API || null,
+            rate_limit: "Moderate"
         },
-        combined_metrics: {
-            total_repositories: 0,
-            total_followers: 0,
-            total_contributions: 0,
-            programming_languages: new Set(),
-            contest_ratings: {},
-            problem_solving_trend: {}
+        codeforces: {
+            status: "Available",
+            features: ["User profile", "Rating history", "Submission data", "Contest participation", "Virtual contests & upsolving"],
+            api_endpoint: "https://codeforces.com/api",
+            rate_limit: "Strict"
         },
-        // Unified activity heatmap
-        unified_activity_heatmap: generateUnifiedActivityHeatmap(platformData)
+        codechef: {
+            status: "Available", 
+            features: ["Profile data", "Rating information", "Contest history"],
+            api_endpoint: "https://codechef-api.vercel.app",
+            rate_limit: "Moderate"
+        },
+        geeksforgeeks: {
+            status: "Available",
+            features: ["Problems solved", "Scores", "Streaks", "Language usage"],
+            api_endpoint: "https://geeks-for-geeks-api.vercel.app",
+            rate_limit: "Moderate"
+        },
+        github: {
+            status: "Available",
+            features: ["Profile data", "Repository info", "Activity feed", "Language stats"],
+            api_endpoint: "https://api.github.com",
+            rate_limit: "GitHub API limits apply"
+        },
+hackerrank: {
+    status: "Available",
+    features: [
+        "Complete profile data", 
+        "Badge achievements", 
+        "Domain-specific scores and rankings",
+        "Contest performance and medals",
+        "Language proficiency tracking",
+        "Social metrics (followers, events)"
+    ],
+    data_points: [
+        "Problems solved", 
+        "Total badges and stars", 
+        "Contest medals (gold/silver/bronze)",
+        "Domain scores (20+ domains)",
+        "Language rankings",
+        "Practice and contest performance"
+    ],
+    rate_limit: "Moderate",
+    api_endpoints: [
+        "Profile data",
+        "Badges information", 
+        "ELO scores",
+        "Contest performance"
+    ]
+},
+        atcoder: {
+            status: "Available",
+            features: ["Submission data", "Problem statistics", "Ranking info"],
+            api_endpoint: "https://kenkoooo.com/atcoder/atcoder-api",
+            rate_limit: "Moderate"
+        },
+        hackerrank: {
+            status: "Not Available",
+            reason: "Requires private API access or web scraping",
+            features: []
+        },
+        interviewbit: {
+            status: "Not Available", 
+            reason: "No public API available",
+            features: []
+        },
+        codestudio: {
+            status: "Not Available",
+            reason: "No public API available", 
+            features: []
+        }
     };
 
-    // Process each platform
-    Object.entries(platformData).forEach(([platform, data]) => {
-        if (data.status === "OK") {
-            stats.platforms_connected++;
-            stats.platform_breakdown[platform] = extractPlatformStats(platform, data);
-            stats.summary.successful_platforms.push(platform);
-            
-            // Aggregate cross-platform metrics
-            aggregateCombinedMetrics(stats.combined_metrics, platform, data);
-        } else if (data.status === "FAILED") {
-            stats.summary.failed_platforms.push(platform);
-        } else {
-            stats.summary.not_available_platforms.push(platform);
+    const availablePlatforms = Object.keys(platformStatus).filter(p => 
+        platformStatus[p].status === "Available"
+    );
+
+    res.json({
+        status: "OK",
+        timestamp: new Date().toISOString(),
+        total_platforms: Object.keys(platformStatus).length,
+        available_platforms: availablePlatforms.length,
+        platforms: platformStatus,
+        deployment_info: {
+            cors_enabled: true,
+            vercel_optimized: true,
+            rate_limiting: "Implemented",
+            error_handling: "Comprehensive",
+            retry_mechanism: "Built-in"
+        },
+        usage_guidelines: {
+            recommended_request_interval: "300ms between requests",
+            batch_processing: "Enabled for multiple platforms",
+            timeout_settings: "8-9 seconds per request",
+            concurrent_requests: "Limited to 3 simultaneous"
         }
     });
+});
+
+// Health check endpoint (COMPREHENSIVE)
+app.get('/api/health', (req, res) => {
+    res.json({
+        status: "OK",
+        message: "Multi-Platform Dashboard API - Full Featured & Heatmap Enabled",
+        version: "2.1.0",
+        timestamp: new Date().toISOString(),
+        cache: cache.getStats(),
+        history: history.getStats(),
+        profiles: profiles.getStats(),
+        groups: groups.getStats(),
+        // ... existing health check code ...
+        endpoints: [
+            'POST /api/dashboard/aggregated - Comprehensive aggregated dashboard',
+            'GET /api/dashboard/aggregated/:username - Single username across platforms',
+            'GET /api/platforms/:platform/:username - Individual platform data',
+            'GET /api/platforms/status - Detailed platform status',
+            'GET /api/heatmap/:username - Unified activity heatmap data',
+            'POST /api/heatmap/batch - Batch heatmap for multiple users',
+            'GET /api/health - Comprehensive health check'
+        ],
+        new_features: [
+            "Unified activity heatmap across all platforms",
+            "Daily activity aggregation for 365 days",
+            "Platform-specific activity breakdown", 
+            "Activity level calculation (0-4 scale)",
+            "Heatmap summary statistics",
+            "Dedicated heatmap endpoints"
+        ],
+        // ... rest of existing code
+    });
+});
+
+
+// Upcoming contests across platforms
+// ?platforms=codeforces,atcoder&days=14 or &from=<ISO>&to=<ISO>; include_running=true keeps live contests
+app.get('/api/contests/upcoming', async (req, res) => {
+    try {
+        const {
+            platforms = contestCalendar.getPlatforms().join(','),
+            days = '30',
+            from,
+            to,
+            include_running = 'false'
+        } = req.query;
+
+        if (typeof platforms !== 'string') {
+            return res.status(400).json({
+                status: "FAILED",
+                comment: "platforms must be a single comma-separated list, e.g. ?platforms=codeforces,atcoder"
+            });
+        }
+
+        const requestedPlatforms = platforms.split(',').map(platform => platform.trim().toLowerCase()).filter(Boolean);
+        const unsupported = requestedPlatforms.filter(platform => !contestCalendar.getPlatforms().includes(platform));
+        if (unsupported.length > 0) {
+            return res.status(400).json({
+                status: "FAILED",
+                comment: `Unsupported platform(s): ${unsupported.join(', ')}`,
+                available_platforms: contestCalendar.getPlatforms()
+            });
+        }
+
+        const windowStart = from ? new Date(from) : new Date();
+        const windowDays = parseFloat(days);
+        const windowEnd = to ? new Date(to) : new Date(windowStart.getTime() + (windowDays > 0 ? windowDays : 30) * 24 * 60 * 60 * 1000);
+        if (isNaN(windowStart.getTime()) || isNaN(windowEnd.getTime()) || windowEnd < windowStart) {
+            return res.status(400).json({
+                status: "FAILED",
+                comment: "from/to must be valid ISO dates with from before to",
+                example: "/api/contests/upcoming?from=2025-01-01T00:00:00Z&to=2025-01-15T00:00:00Z"
+            });
+        }
+
+        const result = await contestCalendar.getUpcomingContests({
+            platforms: requestedPlatforms,
+            from: windowStart,
+            to: windowEnd,
+            includeRunning: include_running === 'true'
+        });
+
+        res.json({
+            status: "OK",
+            timestamp: new Date().toISOString(),
+            window: {
+                from: windowStart.toISOString(),
+                to: windowEnd.toISOString()
+            },
+            platforms: result.platforms,
+            count: result.contests.length,
+            contests: result.contests
+        });
+    } catch (error) {
+        console.error('Error in upcoming contests endpoint:', error);
+        res.status(500).json({
+            status: "FAILED",
+            comment: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// iCalendar feed of upcoming contests for calendar subscriptions
+// ?platforms=codeforces,codechef, ?usernames={"codeforces":"johnD","codechef":"john123"} or ?profile=<profile id>
+// &division=codeforces:Div. 2,codechef:auto  (auto uses the user's CodeChef rating division)
+// &days=60&reminders=30,10
+app.get('/api/contests/upcoming.ics', async (req, res) => {
+    try {
+        const { platforms, usernames: usernamesParam, profile: profileId, division = '', days = '60', reminders = '30' } = req.query;
+
+        let usernames = {};
+        if (profileId) {
+            const profile = await profiles.get(profileId).catch(() => null);
+            if (!profile) {
+                return res.status(404).json({
+                    status: "FAILED",
+                    comment: `Profile '${profileId}' not found`
+                });
+            }
+            usernames = profile.handles;
+        } else if (usernamesParam) {
+            try {
+                usernames = typeof usernamesParam === 'string' ? JSON.parse(usernamesParam) : null;
+            } catch (error) {
+                usernames = null;
+            }
+            if (!usernames || typeof usernames !== 'object' || Array.isArray(usernames)) {
+                return res.status(400).json({
+                    status: "FAILED",
+                    comment: "usernames must be a JSON object of platform to username",
+                    example: '/api/contests/upcoming.ics?usernames={"codeforces":"johnD","codechef":"john123"}'
+                });
+            }
+        }
+
+        const nonStringParam = [['platforms', platforms], ['division', division], ['reminders', reminders]]
+            .find(([, value]) => value !== undefined && typeof value !== 'string');
+        if (nonStringParam) {
+            return res.status(400).json({
+                status: "FAILED",
+                comment: `${nonStringParam[0]} must be given once as a comma-separated list`
+            });
+        }
+
+        const requestedPlatforms = (platforms ? platforms.split(',') : Object.keys(usernames))
+            .map(platform => platform.trim().toLowerCase())
+            .filter(platform => contestCalendar.getPlatforms().includes(platform));
+        const feedPlatforms = requestedPlatforms.length > 0 ? requestedPlatforms : contestCalendar.getPlatforms();
+
+        // "platform:Division" pairs; codechef:auto resolves through the CodeChef adapter
+        const divisionFilters = {};
+        for (const filter of division.split(',').map(item => item.trim()).filter(Boolean)) {
+            const [platform, ...labelParts] = filter.split(':');
+            const label = labelParts.join(':').trim();
+            if (!platform || !label) continue;
+
+            if (label === 'auto' && platform === 'codechef') {
+                if (!usernames.codechef) continue;
+                const data = await multiAPI.fetchPlatform('codechef', usernames.codechef);
+                if (data.status !== "OK" || !data.contests?.division) {
+                    console.warn(`Skipping CodeChef division filter, could not resolve division for ${usernames.codechef}`);
+                    continue;
+                }
+                // Unrated CodeChef users compete in Division 4
+                const userDivision = data.contests.division === 'Unrated' ? 'Division 4' : data.contests.division;
+                divisionFilters.codechef = [...(divisionFilters.codechef || []), userDivision];
+                continue;
+            }
+
+            divisionFilters[platform.toLowerCase()] = [...(divisionFilters[platform.toLowerCase()] || []), label];
+        }
+
+        const windowDays = parseFloat(days) > 0 ? parseFloat(days) : 60;
+        const result = await contestCalendar.getUpcomingContests({
+            platforms: feedPlatforms,
+            from: new Date(),
+            to: new Date(Date.now() + windowDays * 24 * 60 * 60 * 1000),
+            includeRunning: true
+        });
+
+        const reminderMinutes = reminders.split(',')
+            .map(minutes => parseInt(minutes))
+            .filter(minutes => minutes > 0);
+
+        const ics = buildContestICS(filterContestsByDivision(result.contests, divisionFilters), {
+            name: `Contests: ${feedPlatforms.join(', ')}`,
+            reminderMinutes: reminderMinutes
+        });
+
+        res.set({
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': 'inline; filename="contests.ics"',
+            'Cache-Control': 'public, max-age=1800'
+        });
+        res.send(ics);
+    } catch (error) {
+        console.error('Error in contest calendar feed:', error);
+        res.status(500).json({
+            status: "FAILED",
+            comment: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// ==========================================
+// SVG STAT CARDS
+// ==========================================
+
+const CARD_DEFAULT_CACHE_SECONDS = 14400; // 4 hours
+const CARD_MIN_CACHE_SECONDS = 1800;
+const CARD_MAX_CACHE_SECONDS = 86400;
+
+// ?theme=light|dark|transparent&hide=contests,rating&layout=compact&cache_seconds=21600
+// plus bg_color/text_color/title_color/border_color hex overrides
+function getCardOptions(query) {
+    const cacheSeconds = parseInt(query.cache_seconds) || CARD_DEFAULT_CACHE_SECONDS;
+    return {
+        theme: getTheme(query.theme, query),
+        hide: typeof query.hide === 'string' ? query.hide.split(',').map(key => key.trim()).filter(Boolean) : [],
+        layout: query.layout === 'compact' ? 'compact' : 'full',
+        cacheSeconds: Math.min(CARD_MAX_CACHE_SECONDS, Math.max(CARD_MIN_CACHE_SECONDS, cacheSeconds))
+    };
+}
+
+function sendCard(res, svg, cacheSeconds) {
+    res.set({
+        'Content-Type': 'image/svg+xml; charset=utf-8',
+        'Cache-Control': `public, max-age=${cacheSeconds}, s-maxage=${cacheSeconds}, stale-while-revalidate=86400`
+    });
+    res.send(svg);
+}
+
+// Unified card: same username everywhere, or per-platform handles via ?leetcode=john_doe&codeforces=johnD
+app.get('/api/cards/:username.svg', async (req, res) => {
+    const { username } = req.params;
+    const options = getCardOptions(req.query);
+
+    try {
+        const { profile, entries, missingProfile } = await resolvePlatformEntries(username, req.query, 'leetcode,codeforces,codechef,geeksforgeeks,hackerrank,atcoder');
+        if (missingProfile !== null) {
+            return res.status(404).type('image/svg+xml').send(renderErrorSVG(`Profile '${missingProfile}' not found`, { theme: req.query.theme }));
+        }
+
+        const platformData = await multiAPI.fetchPlatforms(entries);
+        const stats = generateAggregatedStats(platformData);
+
+        if (stats.platforms_connected === 0) {
+            res.set('Cache-Control', 'no-cache');
+            return res.status(502).type('image/svg+xml').send(renderErrorSVG(`No platform returned data for ${username}`, { theme: req.query.theme }));
+        }
+
+        sendCard(res, renderCard(buildUnifiedCardSpec(profile?.display_name || username, stats), options), options.cacheSeconds);
+    } catch (error) {
+        console.error('Error in unified card endpoint:', error);
+        res.status(500).type('image/svg+xml').send(renderErrorSVG('Could not render card', { theme: req.query.theme }));
+    }
+});
+
+app.get('/api/cards/:platform/:username.svg', async (req, res) => {
+    const { platform, username } = req.params;
+    const options = getCardOptions(req.query);
+
+    if (!CARD_PLATFORMS.includes(platform)) {
+        return res.status(404).type('image/svg+xml').send(renderErrorSVG(`No card for platform '${platform}' (available: ${CARD_PLATFORMS.join(', ')})`, { theme: req.query.theme }));
+    }
+
+    try {
+        const data = await multiAPI.fetchPlatform(platform, username);
+
+        if (data.status !== "OK") {
+            res.set('Cache-Control', 'no-cache');
+            return res.status(404).type('image/svg+xml').send(renderErrorSVG(`${platform}: ${data.error || 'user not found'}`, { theme: req.query.theme }));
+        }
+
+        sendCard(res, renderCard(buildPlatformCardSpec(platform, data), options), options.cacheSeconds);
+    } catch (error) {
+        console.error(`Error in ${platform} card endpoint:`, error);
+        res.status(500).type('image/svg+xml').send(renderErrorSVG('Could not render card', { theme: req.query.theme }));
+    }
+});
+
+// ==========================================
+// RATING HISTORY CHARTS
+// ==========================================
+
+const RATING_CHART_PLATFORMS = ['codeforces', 'codechef', 'leetcode'];
+
+// Overlaid rating history for a username or p:<profile id>: ?platforms=codeforces,codechef or per-platform handles via ?codeforces=tourist&codechef=gennady.korotkevich
+// ?variant=sparkline for the compact line, ?bands=codeforces|codechef|none picks the shaded rank bands
+app.get('/api/charts/rating/:username.svg', async (req, res) => {
+    const { username } = req.params;
+    const { variant = 'full' } = req.query;
+    const options = getCardOptions(req.query);
+
+    try {
+        const { profile, entries, missingProfile } = await resolvePlatformEntries(username, req.query, 'codeforces,codechef,leetcode', RATING_CHART_PLATFORMS);
+        if (missingProfile !== null) {
+            return res.status(404).type('image/svg+xml').send(renderErrorSVG(`Profile '${missingProfile}' not found`, { theme: req.query.theme }));
+        }
+
+        if (entries.length === 0) {
+            return res.status(400).type('image/svg+xml').send(renderErrorSVG(`No rated platforms requested (available: ${RATING_CHART_PLATFORMS.join(', ')})`, { theme: req.query.theme }));
+        }
+
+        const platformData = await multiAPI.fetchPlatforms(entries);
+        const series = Object.entries(platformData)
+            .filter(([, data]) => data.status === "OK")
+            .map(([platform, data]) => ({ platform, points: getRatingProgression(platform, data) }))
+            .filter(entry => entry.points.length > 0);
+
+        if (series.length === 0) {
+            res.set('Cache-Control', 'no-cache');
+            return res.status(404).type('image/svg+xml').send(renderErrorSVG(`No rating history found for ${username}`, { theme: req.query.theme }));
+        }
+
+        if (variant === 'sparkline') {
+            return sendCard(res, renderRatingSparkline(series, {
+                theme: options.theme,
+                width: Math.min(400, Math.max(60, parseInt(req.query.width) || 160)),
+                height: Math.min(120, Math.max(20, parseInt(req.query.height) || 40))
+            }), options.cacheSeconds);
+        }
+
+        // Default to the bands of the first plotted platform that has them
+        const bands = req.query.bands || series.map(entry => entry.platform).find(platform => RATING_BANDS[platform]) || 'none';
+        sendCard(res, renderRatingChart(series, {
+            theme: options.theme,
+            bands,
+            title: `${profile?.display_name || username}'s Rating History`,
+            width: Math.min(1200, Math.max(320, parseInt(req.query.width) || 640)),
+            height: Math.min(600, Math.max(180, parseInt(req.query.height) || 320))
+        }), options.cacheSeconds);
+    } catch (error) {
+        console.error('Error in rating chart endpoint:', error);
+        res.status(500).type('image/svg+xml').send(renderErrorSVG('Could not render rating chart', { theme: req.query.theme }));
+    }
+});
+
+// ==========================================
+// PROGRESS HISTORY
+// ==========================================
+
+const HISTORY_DEFAULT_DAYS = 90;
+const HISTORY_PLATFORMS = ['leetcode', 'codeforces', 'codechef', 'atcoder', 'geeksforgeeks', 'hackerrank'];
+
+// ?from=2025-01-01&to=2025-01-31 (inclusive UTC days) or ?days=30 ending today
+// { from, to } YYYY-MM-DD bounds from ?from/?to/?days, or null when any given value is unusable
+function resolveHistoryRange(query) {
+    const isDay = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+        && !isNaN(new Date(`${value}T00:00:00Z`).getTime())
+        && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+
+    if ((query.to !== undefined && !isDay(query.to)) || (query.from !== undefined && !isDay(query.from))) {
+        return null;
+    }
+    if (query.days !== undefined && !(typeof query.days === 'string' && /^\d+$/.test(query.days) && parseInt(query.days) > 0)) {
+        return null;
+    }
+
+    const to = query.to || new Date().toISOString().split('T')[0];
+    const days = query.days !== undefined ? parseInt(query.days) : HISTORY_DEFAULT_DAYS;
+    const start = new Date(new Date(`${to}T00:00:00Z`).getTime() - (days - 1) * DAY_MS);
+    const from = query.from || (isNaN(start.getTime()) ? null : start.toISOString().split('T')[0]);
+
+    if (!isDay(from) || from > to) {
+        return null;
+    }
+    return { from, to };
+}
+
+function summarizeHistory(snapshots) {
+    if (snapshots.length === 0) {
+        return { first_snapshot: null, last_snapshot: null, problems_solved_change: null, rating_change: null };
+    }
+    const first = snapshots[0];
+    const last = snapshots[snapshots.length - 1];
+    return {
+        first_snapshot: first.day,
+        last_snapshot: last.day,
+        problems_solved_change: (last.problems_solved || 0) - (first.problems_solved || 0),
+        rating_change: first.rating !== null && last.rating !== null ? last.rating - first.rating : null
+    };
+}
+
+function requireHistory(res) {
+    if (history.isEnabled()) return true;
+    res.status(503).json({
+        status: "FAILED",
+        comment: "Snapshot history is disabled (HISTORY_STORE=none or storage unavailable)",
+        timestamp: new Date().toISOString()
+    });
+    return false;
+}
+
+// Time series of problems solved, rating and rank per platform for a username or p:<profile id>.
+// Per-platform handles via ?leetcode=john_doe&codeforces=johnD, otherwise :username on every platform.
+app.get('/api/history/:username', async (req, res) => {
+    const { username } = req.params;
+
+    if (!requireHistory(res)) return;
+
+    try {
+        const range = resolveHistoryRange(req.query);
+        if (!range) {
+            return res.status(400).json({
+                status: "FAILED",
+                comment: "from/to must be YYYY-MM-DD dates with from before to, days a positive whole number",
+                example: `/api/history/${username}?from=2025-01-01&to=2025-01-31`
+            });
+        }
+
+        const { profile, entries, missingProfile } = await resolvePlatformEntries(username, req.query, HISTORY_PLATFORMS.join(','), HISTORY_PLATFORMS);
+        if (missingProfile !== null) {
+            return res.status(404).json({
+                status: "FAILED",
+                comment: `Profile '${missingProfile}' not found`
+            });
+        }
+
+        const result = {};
+        for (const [platform, handle] of entries) {
+            const snapshots = await history.getSnapshots(platform, handle, range);
+            result[platform] = {
+                username: handle,
+                ...summarizeHistory(snapshots),
+                series: snapshots.map(snapshot => ({
+                    date: snapshot.day,
+                    problems_solved: snapshot.problems_solved,
+                    rating: snapshot.rating,
+                    rank: snapshot.rank
+                }))
+            };
+        }
+
+        const changes = Object.values(result).map(entry => entry.problems_solved_change).filter(change => change !== null);
+
+        res.json({
+            status: "OK",
+            timestamp: new Date().toISOString(),
+            username: username,
+            profile_id: profile ? profile.id : undefined,
+            range: range,
+            total_problems_solved_change: changes.length > 0 ? changes.reduce((sum, change) => sum + change, 0) : null,
+            platforms: result
+        });
+    } catch (error) {
+        console.error('Error in history endpoint:', error);
+        res.status(500).json({
+            status: "FAILED",
+            comment: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Full daily snapshots (every extractPlatformStats field) for one platform
+app.get('/api/history/:username/:platform', async (req, res) => {
+    const { username, platform } = req.params;
+
+    if (!requireHistory(res)) return;
+
+    if (!HISTORY_PLATFORMS.includes(platform)) {
+        return res.status(404).json({
+            status: "FAILED",
+            comment: `No history for platform '${platform}'`,
+            available_platforms: HISTORY_PLATFORMS
+        });
+    }
+
+    try {
+        const range = resolveHistoryRange(req.query);
+        if (!range) {
+            return res.status(400).json({
+                status: "FAILED",
+                comment: "from/to must be YYYY-MM-DD dates with from before to, days a positive whole number",
+                example: `/api/history/${username}/${platform}?from=2025-01-01&to=2025-01-31`
+            });
+        }
+
+        const profileId = getProfileReference(username, req.query);
+        const profile = profileId !== null ? await profiles.get(profileId) : null;
+        if (profileId !== null && !profile) {
+            return res.status(404).json({
+                status: "FAILED",
+                comment: `Profile '${profileId}' not found`
+            });
+        }
+
+        const handle = profile?.handles[platform] || username;
+        const snapshots = await history.getSnapshots(platform, handle, range);
+        res.json({
+            status: "OK",
+            timestamp: new Date().toISOString(),
+            platform: platform,
+            username: handle,
+            profile_id: profile ? profile.id : undefined,
+            range: range,
+            ...summarizeHistory(snapshots),
+            snapshots: snapshots.map(snapshot => ({
+                date: snapshot.day,
+                recorded_at: snapshot.recorded_at,
+                stats: snapshot.stats
+            }))
+        });
+    } catch (error) {
+        console.error(`Error in ${platform} history endpoint:`, error);
+        res.status(500).json({
+            status: "FAILED",
+            comment: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Analytics endpoint
+app.get('/api/analytics/:username', async (req, res) => {
+    const { username } = req.params;
+
+    try {
+        const startTime = Date.now();
+        const { profile, entries, missingProfile } = await resolvePlatformEntries(username, req.query, 'leetcode,codeforces,codechef');
+        if (missingProfile !== null) {
+            return res.status(404).json({
+                status: "FAILED",
+                comment: `Profile '${missingProfile}' not found`
+            });
+        }
+
+        console.log(`Computing analytics for ${username} from platforms: ${entries.map(([platform]) => platform).join(', ')}`);
+
+        const platformData = await multiAPI.fetchPlatforms(entries);
+
+        res.json({
+            status: "OK",
+            username: username,
+            profile_id: profile ? profile.id : undefined,
+            timestamp: new Date().toISOString(),
+            platforms_analyzed: Object.keys(platformData).filter(platform => platformData[platform].status === "OK"),
+            platforms_failed: Object.keys(platformData).filter(platform => platformData[platform].status !== "OK"),
+            analytics: generateUserAnalytics(platformData),
+            processing_time: Date.now() - startTime
+        });
+    } catch (error) {
+        console.error('Error in analytics endpoint:', error);
+        res.status(500).json({
+            status: "FAILED",
+            comment: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Batch processing endpoint
+const BATCH_MAX_USERS = parseInt(process.env.BATCH_MAX_USERS) || 50;
+const BATCH_DEFAULT_CONCURRENCY = 4;
+const BATCH_MAX_CONCURRENCY = 8;
+const BATCH_DEFAULT_PLATFORMS = ['leetcode', 'codeforces', 'codechef', 'geeksforgeeks', 'github', 'atcoder'];
+
+// Returns a function that runs tasks with at most `limit` of them in flight
+function createConcurrencyLimiter(limit) {
+    let active = 0;
+    const queue = [];
+
+    const next = () => {
+        if (active >= limit || queue.length === 0) return;
+        active++;
+        const { task, resolve, reject } = queue.shift();
+        task().then(resolve, reject).finally(() => {
+            active--;
+            next();
+        });
+    };
+
+    return task => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+    });
+}
+
+// Accepts { username, platforms: [...] } or { usernames: { platform: handle } }; returns [platform, handle] pairs
+function resolveBatchUserEntries(user) {
+    if (user?.usernames && typeof user.usernames === 'object') {
+        return Object.entries(user.usernames).filter(([platform, handle]) => multiAPI.platforms[platform] && handle);
+    }
+    if (!user?.username || typeof user.username !== 'string') {
+        return null;
+    }
+    const platforms = Array.isArray(user.platforms) && user.platforms.length > 0 ? user.platforms : BATCH_DEFAULT_PLATFORMS;
+    return platforms.filter(platform => multiAPI.platforms[platform]).map(platform => [platform, user.username]);
+}
+
+async function processBatchUser(user, limit, summaryOnly) {
+    const startTime = Date.now();
+    const entries = resolveBatchUserEntries(user);
+    const label = user?.username || (user?.usernames && Object.values(user.usernames)[0]) || null;
+
+    if (!entries || entries.length === 0) {
+        return {
+            username: label,
+            status: "FAILED",
+            errors: [{ platform: null, error: entries ? "No supported platforms requested" : "username or usernames is required" }],
+            processing_time: Date.now() - startTime
+        };
+    }
+
+    // Each platform fetch takes a slot from the batch-wide budget
+    const fetched = await Promise.all(entries.map(([platform, handle]) => limit(() => multiAPI.fetchPlatform(platform, handle))));
+    const platforms = {};
+    entries.forEach(([platform], index) => {
+        platforms[platform] = fetched[index];
+    });
+
+    const errors = Object.entries(platforms)
+        .filter(([, data]) => data.status !== "OK")
+        .map(([platform, data]) => ({ platform: platform, status: data.status, error: data.error || null }));
+
+    const result = {
+        username: label,
+        status: errors.length < entries.length ? "OK" : "FAILED",
+        usernames: Object.fromEntries(entries),
+        aggregated_stats: generateAggregatedStats(platforms),
+        errors: errors,
+        processing_time: Date.now() - startTime
+    };
+
+    if (summaryOnly) {
+        result.platform_status = Object.fromEntries(Object.entries(platforms).map(([platform, data]) => [platform, data.status]));
+    } else {
+        result.platforms = platforms;
+    }
+
+    return result;
+}
+
+app.post('/api/batch/users', async (req, res) => {
+    const { users, summary_only = false, concurrency = BATCH_DEFAULT_CONCURRENCY } = req.body;
+    
+    if (!users || !Array.isArray(users)) {
+        return res.status(400).json({
+            status: "FAILED",
+            comment: "users array is required",
+            example: {
+                users: [
+                    { username: "user1", platforms: ["leetcode", "codeforces"] },
+                    { usernames: { leetcode: "user2_lc", codechef: "user2_cc" } }
+                ],
+                summary_only: true,
+                concurrency: 4
+            }
+        });
+    }
+
+    if (users.length > BATCH_MAX_USERS) {
+        return res.status(400).json({
+            status: "FAILED",
+            comment: `At most ${BATCH_MAX_USERS} users per batch`,
+            received: users.length
+        });
+    }
+
+    try {
+        const startTime = Date.now();
+        const budget = Math.min(BATCH_MAX_CONCURRENCY, Math.max(1, parseInt(concurrency) || BATCH_DEFAULT_CONCURRENCY));
+        const limit = createConcurrencyLimiter(budget);
+
+        console.log(`Processing batch of ${users.length} users with concurrency ${budget}`);
+        const results = await Promise.all(users.map(user => processBatchUser(user, limit, summary_only === true)));
+
+        res.json({
+            status: "OK",
+            timestamp: new Date().toISOString(),
+            batch_size: results.length,
+            succeeded: results.filter(result => result.status === "OK").length,
+            failed: results.filter(result => result.status !== "OK").length,
+            concurrency: budget,
+            summary_only: summary_only === true,
+            results: results,
+            processing_time: Date.now() - startTime
+        });
+    } catch (error) {
+        console.error('Error in batch users endpoint:', error);
+        res.status(500).json({
+            status: "FAILED",
+            comment: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// ==========================================
+// PROFILE REGISTRY
+// ==========================================
+
+const PROFILES_MAX_PAGE_SIZE = 100;
+
+function requireRegistry(res) {
+    if (profiles.isEnabled()) return true;
+    res.status(503).json({
+        status: "FAILED",
+        comment: "Profile registry is disabled (PROFILE_STORE=none or storage unavailable)",
+        timestamp: new Date().toISOString()
+    });
+    return false;
+}
+
+// Changes need the edit token returned at creation ("x-profile-token" or "Authorization: Bearer"), or the admin token
+async function requireProfileOwner(req, res, next) {
+    if (!requireRegistry(res)) return;
+
+    const token = readRequestToken(req, 'x-profile-token');
+    const isAdmin = Boolean(process.env.ADMIN_TOKEN) && tokensMatch(token, process.env.ADMIN_TOKEN);
+
+    try {
+        if (!await profiles.get(req.params.profileId)) {
+            return res.status(404).json({
+                status: "FAILED",
+                comment: `Profile '${req.params.profileId}' not found`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        if (isAdmin || await profiles.checkEditToken(req.params.profileId, token)) {
+            return next();
+        }
+        res.status(401).json({
+            status: "FAILED",
+            comment: "Invalid or missing profile token",
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+// Create a profile: { id?, display_name?, handles: { leetcode: "john_doe", codeforces: "johnD" } }
+app.post('/api/profiles', async (req, res) => {
+    if (!requireRegistry(res)) return;
+
+    const validationError = profiles.validateProfileInput(req.body, Object.keys(multiAPI.platforms));
+    if (validationError) {
+        return res.status(400).json({
+            status: "FAILED",
+            comment: validationError,
+            example: {
+                id: "john",
+                display_name: "John Doe",
+                handles: { leetcode: "john_doe", codeforces: "johnD" }
+            }
+        });
+    }
+
+    try {
+        const created = await profiles.create(req.body);
+        if (!created) {
+            return res.status(409).json({
+                status: "FAILED",
+                comment: `Profile id '${req.body.id}' is already taken`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.status(201).json({
+            status: "OK",
+            timestamp: new Date().toISOString(),
+            profile: created.profile,
+            edit_token: created.editToken,
+            note: "Keep edit_token; it is required to update or delete this profile and is not shown again."
+        });
+    } catch (error) {
+        console.error('Error creating profile:', error);
+        res.status(500).json({
+            status: "FAILED",
+            comment: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.get('/api/profiles', async (req, res) => {
+    if (!requireRegistry(res)) return;
+
+    const limit = Math.min(PROFILES_MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit) || 50));
+    const offset = Math.max(0, parseInt(req.query.offset) || 0);
+
+    try {
+        const { total, profiles: page } = await profiles.list({ limit, offset });
+        res.json({
+            status: "OK",
+            timestamp: new Date().toISOString(),
+            total: total,
+            limit: limit,
+            offset: offset,
+            profiles: page
+        });
+    } catch (error) {
+        console.error('Error listing profiles:', error);
+        res.status(500).json({
+            status: "FAILED",
+            comment: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+app.get('/api/profiles/:profileId', async (req, res) => {
+    if (!requireRegistry(res)) return;
+
+    try {
+        const profile = await profiles.get(req.params.profileId);
+        if (!profile) {
+            return res.status(404).json({
+                status: "FAILED",
+                comment: `Profile '${req.params.profileId}' not found`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.json({
+            status: "OK",
+            timestamp: new Date().toISOString(),
+            profile: profile
+        });
+    } catch (error) {
+        console.error('Error reading profile:', error);
+        res.status(500).json({
+            status: "FAILED",
+            comment: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Partial update: handles are merged, a null or "" handle removes that platform
+app.patch('/api/profiles/:profileId', requireProfileOwner, async (req, res) => {
+    const validationError = profiles.validateProfileInput(req.body, Object.keys(multiAPI.platforms), { partial: true });
+    if (validationError) {
+        return res.status(400).json({
+            status: "FAILED",
+            comment: validationError
+        });
+    }
+
+    try {
+        const profile = await profiles.update(req.params.profileId, req.body);
+        if (!profile) {
+            return res.status(404).json({
+                status: "FAILED",
+                comment: `Profile '${req.params.profileId}' not found`
+            });
+        }
+
+        res.json({
+            status: "OK",
+            timestamp: new Date().toISOString(),
+            profile: profile
+        });
+    } catch (error) {
+        console.error('Error updating profile:', error);
+        res.status(500).json({
+            status: "FAILED",
+            comment: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
 
-    // Convert Set to Array for JSON serialization
-    stats.combined_metrics.programming_languages = Array.from(stats.combined_metrics.programming_languages);
-    
-    // Calculate totals
-    calculateTotalStats(stats);
+app.delete('/api/profiles/:profileId', requireProfileOwner, async (req, res) => {
+    try {
+        const deleted = await profiles.delete(req.params.profileId);
+        res.json({
+            status: "OK",
+            timestamp: new Date().toISOString(),
+            profile_id: req.params.profileId.toLowerCase(),
+            deleted: deleted
+        });
+    } catch (error) {
+        console.error('Error deleting profile:', error);
+        res.status(500).json({
+            status: "FAILED",
+            comment: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
 
-    return stats;
-}
+// Ownership check, step 1: issue a token for the user to place in a public profile field
+app.post('/api/profiles/:profileId/verifications/:platform', requireProfileOwner, async (req, res) => {
+    const { profileId, platform } = req.params;
 
-function extractPlatformStats(platform, data) {
-    switch (platform) {
-        case 'leetcode':
-            return {
-                username: data.username,
-                problems_solved: data.solvedStats?.totalSolved || 0,
-                easy_solved: data.solvedStats?.easySolved || 0,
-                medium_solved: data.solvedStats?.mediumSolved || 0,
-                hard_solved: data.solvedStats?.hardSolved || 0,
-                contests_attended: data.contests?.contestAttend || 0,
-                contest_rating: data.contests?.contestRating || 0,
-                contest_global_ranking: data.contests?.contestGlobalRanking || 0,
-                acceptance_rate: data.solvedStats?.acceptance_rate || 0,
-                ranking: data.profile?.ranking || 0
-            };
-        
-        case 'codeforces':
-            return {
-                username: data.username,
-                current_rating: data.profile?.rating || 0,
-                max_rating: data.profile?.maxRating || 0,
-                rank: data.profile?.rank || "unrated",
-                max_rank: data.profile?.maxRank || "unrated",
-                contests_participated: data.contests?.contestsAttended || 0,
-                problems_solved: data.solvedStats?.problems_solved || 0,
-                acceptance_rate: data.detailed_stats?.acceptance_rate || null,
-                friendOfCount: data.profile?.friendOfCount || 0,
-                contribution: data.solvedStats?.contribution || 0
-            };
+    if (!VERIFICATION_SOURCES[platform]) {
+        return res.status(400).json({
+            status: "FAILED",
+            comment: `Handle verification is not supported for '${platform}'`,
+            supported_platforms: Object.keys(VERIFICATION_SOURCES)
+        });
+    }
 
-        case 'codechef':
-            return {
-                username: data.username,
-                current_rating: data.contests?.current_rating || 0,
-                highest_rating: data.contests?.highest_rating || 0,
-                problems_solved: data.solvedStats?.totalSolved || 0,
-                contests_attended: data.contests?.contestsData?.contestsAttended || 0,
-                global_rank: data.profile?.globalRank || 0,
-                country_rank: data.profile?.globalRank || 0,
-                stars: data.profile?.stars || "unrated",
-                division: data.contests?.division || "Unrated"
-            };
-        
-        case 'geeksforgeeks':
-            return {
-                username: data.username,
-                problems_solved: data.detailed_stats?.problems_solved || 0,
-                overall_score: data.detailed_stats?.overall_score || 0,
-                monthly_score: data.detailed_stats?.monthly_score || 0,
-                current_streak: data.detailed_stats?.current_streak || 0,
-                max_streak: data.detailed_stats?.max_streak || 0,
-                coding_languages: data.detailed_stats?.coding_languages || []
-            };
-        
-        case 'github':
-            return {
-                username: data.username,
-                public_repos: data.detailed_stats?.public_repos || 0,
-                followers: data.detailed_stats?.followers || 0,
-                following: data.detailed_stats?.following || 0,
-                language_distribution: data.detailed_stats?.language_distribution || {},
-                recent_activity: data.detailed_stats?.recent_activity || {},
-                top_repositories: data.detailed_stats?.top_repositories || []
-            };
-        
-        case 'hackerrank':
-            return {
-                username: data.username,
-                rank: data.detailed_stats?.rank || 0,
-                level: data.detailed_stats?.level || 0,
-                hackos: data.detailed_stats?.hackos || 0,
-                badges: data.detailed_stats?.total_badges || 0,
-                problems_solved: data.detailed_stats?.problems_solved || 0,
-                total_points: data.detailed_stats?.total_points || 0,
-                total_stars: data.detailed_stats?.total_stars || 0,
-                followers: data.detailed_stats?.followers || 0,
-                following: data.detailed_stats?.following || 0,
-                event_count: data.detailed_stats?.event_count || 0,
-                contest_medals: data.detailed_stats?.contest_medals || { gold: 0, silver: 0, bronze: 0 },
-                strongest_domain: data.detailed_stats?.achievement_summary?.best_domain || "None",
-                languages_practiced: data.detailed_stats?.achievement_summary?.languages_practiced || 0,
-                domains_practiced: data.detailed_stats?.achievement_summary?.domains_practiced || 0,
-                contest_participation: data.detailed_stats?.achievement_summary?.contest_participation || 0,
-                activity_level: data.detailed_stats?.activity_level || "New",
-                algorithms_score: data.detailed_stats?.algorithms_score || 0,
-                data_structures_score: data.detailed_stats?.data_structures_score || 0,
-                python_score: data.detailed_stats?.python_score || 0,
-                java_score: data.detailed_stats?.java_score || 0,
-                cpp_score: data.detailed_stats?.cpp_score || 0
-            };
+    try {
+        const verification = await profiles.issueVerification(profileId, platform);
+        if (!verification) {
+            return res.status(404).json({
+                status: "FAILED",
+                comment: `Profile '${profileId}' has no ${platform} handle`,
+                timestamp: new Date().toISOString()
+            });
+        }
 
-        case 'atcoder':
-            return {
-                username: data.username,
-                total_submissions: data.detailed_stats?.total_submissions || 0,
-                accepted_submissions: data.detailed_stats?.accepted_submissions || 0,
-                unique_problems_solved: data.detailed_stats?.unique_problems_solved || 0,
-                acceptance_rate: data.detailed_stats?.acceptance_rate || 0
-            };
-        
-        default:
-            return { 
-                username: data.username,
-                detailed_stats: data.detailed_stats || {}
-            };
+        res.status(201).json({
+            status: "OK",
+            timestamp: new Date().toISOString(),
+            profile_id: profileId.toLowerCase(),
+            platform: platform,
+            handle: verification.handle,
+            token: verification.token,
+            expires_at: verification.expires_at,
+            instructions: VERIFICATION_SOURCES[platform].instructions,
+            next_step: `POST /api/profiles/${profileId.toLowerCase()}/verifications/${platform}/check`
+        });
+    } catch (error) {
+        console.error('Error issuing verification token:', error);
+        res.status(500).json({
+            status: "FAILED",
+            comment: error.message,
+            timestamp: new Date().toISOString()
+        });
     }
-}
+});
 
-function aggregateCombinedMetrics(combined, platform, data) {
-    switch (platform) {
-        case 'github':
-            combined.total_repositories += data.detailed_stats?.public_repos || 0;
-            combined.total_followers += data.detailed_stats?.followers || 0;
-            if (data.detailed_stats?.language_distribution) {
-                Object.keys(data.detailed_stats.language_distribution).forEach(lang => {
-                    combined.programming_languages.add(lang);
-                });
-            }
-            break;
-        
-        case 'codeforces':
-            if (data.profile?.rating) {
-                combined.contest_ratings.codeforces = data.profile.rating;
-            }
-            break;
-        
-        case 'codechef':
-            if (data.contests?.current_rating) {
-                combined.contest_ratings.codechef = data.contests.current_rating;
-            }
-            break;
-        
-        case 'leetcode':
-            if (data.contests?.contestRating) {
-                combined.contest_ratings.leetcode = data.contests.contestRating;
-            }
-            break;
-        
-        case 'hackerrank':
-            // Add to programming languages from language proficiency
-            if (data.detailed_stats?.language_proficiency) {
-                Object.keys(data.detailed_stats.language_proficiency).forEach(lang => {
-                    combined.programming_languages.add(lang.toUpperCase());
-                });
-            }
-            
-            // Add to total contributions (problems solved)
-            combined.total_contributions += data.detailed_stats?.problems_solved || 0;
-            
-            // Add contest ratings if available
-            if (data.detailed_stats?.algorithms_score) {
-                combined.contest_ratings.hackerrank = data.detailed_stats.algorithms_score;
-            }
-            
-            // Add followers to social metrics
-            combined.total_followers += data.detailed_stats?.followers || 0;
-            
-            // Track domain expertise
-            if (data.detailed_stats?.strongest_domains) {
-                data.detailed_stats.strongest_domains.forEach(domain => {
-                    if (!combined.domain_expertise) {
-                        combined.domain_expertise = {};
-                    }
-                    combined.domain_expertise[domain.domain] = domain.score;
-                });
-            }
-            break;
-    }
-}
+// Ownership check, step 2: re-fetch the profile (bypassing the cache) and look for the token
+app.post('/api/profiles/:profileId/verifications/:platform/check', requireProfileOwner, async (req, res) => {
+    const { profileId, platform } = req.params;
 
-function calculateTotalStats(stats) {
-    // Reset counters
-    let totalHackos = 0;
-    let totalMedals = { gold: 0, silver: 0, bronze: 0 };
-    let totalEvents = 0;
+    if (!VERIFICATION_SOURCES[platform]) {
+        return res.status(400).json({
+            status: "FAILED",
+            comment: `Handle verification is not supported for '${platform}'`,
+            supported_platforms: Object.keys(VERIFICATION_SOURCES)
+        });
+    }
 
-    Object.values(stats.platform_breakdown).forEach(platform => {
-        // Existing logic for problems solved and contests
-        if (platform.problems_solved) {
-            stats.total_problems_solved += platform.problems_solved;
+    try {
+        const verification = await profiles.getVerification(profileId, platform);
+        if (!verification || !verification.token) {
+            return res.status(404).json({
+                status: "FAILED",
+                comment: verification?.verified_at
+                    ? `${platform} handle '${verification.handle}' is already verified`
+                    : `No pending ${platform} verification, request a token first`,
+                verified_at: verification?.verified_at || undefined,
+                timestamp: new Date().toISOString()
+            });
         }
-        if (platform.contests_attended || platform.contests_participated || platform.contest_participation || platform.event_count) {
-            stats.total_contests += (platform.contests_attended || platform.contests_participated || platform.contest_participation || platform.event_count || 0);
+
+        if (Date.now() > new Date(verification.expires_at).getTime()) {
+            return res.status(410).json({
+                status: "FAILED",
+                comment: "Verification token expired, request a new one",
+                expired_at: verification.expires_at,
+                timestamp: new Date().toISOString()
+            });
         }
-        
-        // Add HackerRank-specific metrics
-        if (platform.hackos) {
-            totalHackos += platform.hackos;
+
+        const data = await multiAPI.refreshPlatform(platform, verification.handle);
+        if (data.status !== "OK") {
+            return res.status(502).json({
+                status: "FAILED",
+                comment: `Could not fetch the ${platform} profile for '${verification.handle}'`,
+                error: data.error,
+                timestamp: new Date().toISOString()
+            });
         }
-        if (platform.contest_medals) {
-            totalMedals.gold += platform.contest_medals.gold || 0;
-            totalMedals.silver += platform.contest_medals.silver || 0;
-            totalMedals.bronze += platform.contest_medals.bronze || 0;
+
+        const field = findVerificationToken(platform, data, verification.token);
+        if (!field) {
+            return res.status(422).json({
+                status: "FAILED",
+                comment: `Token not found on the ${platform} profile of '${verification.handle}'`,
+                token: verification.token,
+                instructions: VERIFICATION_SOURCES[platform].instructions,
+                timestamp: new Date().toISOString()
+            });
         }
-        if (platform.event_count) {
-            totalEvents += platform.event_count;
+
+        // The profile or its handle can change while the platform is fetched
+        const verified = await profiles.markVerified(profileId, platform);
+        if (!verified) {
+            return res.status(409).json({
+                status: "FAILED",
+                comment: `The ${platform} handle changed during the check, request a new token`,
+                next_step: `POST /api/profiles/${profileId.toLowerCase()}/verifications/${platform}`,
+                timestamp: new Date().toISOString()
+            });
         }
+
+        console.log(`Verified ${platform} handle ${verification.handle} for profile ${profileId}`);
+
+        res.json({
+            status: "OK",
+            timestamp: new Date().toISOString(),
+            profile_id: profileId.toLowerCase(),
+            platform: platform,
+            handle: verified.handle,
+            verified: true,
+            verified_at: verified.verified_at,
+            found_in: field,
+            note: "The token can now be removed from your profile."
+        });
+    } catch (error) {
+        console.error('Error checking verification token:', error);
+        res.status(500).json({
+            status: "FAILED",
+            comment: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// ==========================================
+// GROUPS & LEADERBOARDS
+// ==========================================
+
+const GROUPS_MAX_PAGE_SIZE = 100;
+const LEADERBOARD_MAX_PAGE_SIZE = 100;
+const LEADERBOARD_WEEK_DAYS = 7;
+
+function requireGroups(res) {
+    if (groups.isEnabled()) return true;
+    res.status(503).json({
+        status: "FAILED",
+        comment: "Groups are disabled (PROFILE_STORE=none or storage unavailable)",
+        timestamp: new Date().toISOString()
     });
+    return false;
+}
 
-    // Add new aggregate metrics
-    stats.total_hackos = totalHackos;
-    stats.total_contest_medals = totalMedals;
-    stats.total_events_participated = totalEvents;
+// Same scheme as profiles: the group's edit token or the admin token
+async function requireGroupOwner(req, res, next) {
+    if (!requireGroups(res)) return;
 
-    // Calculate overall rating including HackerRank
-    const ratings = Object.values(stats.combined_metrics.contest_ratings);
-    if (ratings.length > 0) {
-        stats.overall_rating = Math.round(ratings.reduce((a, b) => a + b, 0) / ratings.length);
+    const token = readRequestToken(req, 'x-group-token');
+    const isAdmin = Boolean(process.env.ADMIN_TOKEN) && tokensMatch(token, process.env.ADMIN_TOKEN);
+
+    try {
+        if (!await groups.get(req.params.groupId)) {
+            return res.status(404).json({
+                status: "FAILED",
+                comment: `Group '${req.params.groupId}' not found`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        if (isAdmin || await groups.checkEditToken(req.params.groupId, token)) {
+            return next();
+        }
+        res.status(401).json({
+            status: "FAILED",
+            comment: "Invalid or missing group token",
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        next(error);
     }
 }
 
-// Usage examples:
-/*
-// Only return days with activity
-const compactHeatmap = generateUnifiedActivityHeatmap(platformData, {
-    includeInactiveDays: false
-});
+// Member ids that are not registered profiles
+async function findUnknownProfiles(memberIds) {
+    const found = await Promise.all(memberIds.map(id => profiles.get(id)));
+    return memberIds.filter((id, index) => !found[index]);
+}
 
-// Custom date range
-const customHeatmap = generateUnifiedActivityHeatmap(platformData, {
-    dateRange: 'custom',
-    startDate: '2023-01-01',
-    endDate: '2024-12-31',
-    includeInactiveDays: false
-});
+// One leaderboard row; verifiedOnly skips handles that have not passed the bio-token check
+async function buildLeaderboardRow(profile, limit, { verifiedOnly, range }) {
+    const entries = Object.entries(profile.handles)
+        .filter(([platform]) => multiAPI.platforms[platform] && (!verifiedOnly || profile.verified[platform]));
 
-// Current year only
-const yearlyHeatmap = generateUnifiedActivityHeatmap(platformData, {
-    dateRange: 'year',
-    includeInactiveDays: false
-});
-*/
+    const fetched = await Promise.all(entries.map(([platform, handle]) => limit(() => multiAPI.fetchPlatform(platform, handle))));
+    const platformData = {};
+    entries.forEach(([platform], index) => {
+        platformData[platform] = fetched[index];
+    });
+    const stats = generateAggregatedStats(platformData);
 
-// Usage examples:
-/*
-// Only return days with activity
-const compactHeatmap = generateUnifiedActivityHeatmap(platformData, {
-    includeInactiveDays: false
-});
+    const ratings = {};
+    LEADERBOARD_RATING_PLATFORMS.forEach(platform => {
+        const data = platformData[platform];
+        ratings[platform] = data?.status === "OK" ? getCurrentRating(platform, data) || null : null;
+    });
 
-// Custom date range
-const customHeatmap = generateUnifiedActivityHeatmap(platformData, {
-    dateRange: 'custom',
-    startDate: '2023-01-01',
-    endDate: '2024-12-31',
-    includeInactiveDays: false
-});
+    // Fetching above already wrote today's snapshot, so the change runs up to now
+    const changes = [];
+    for (const [platform, handle] of entries.filter(([platform]) => HISTORY_PLATFORMS.includes(platform))) {
+        const change = summarizeHistory(await history.getSnapshots(platform, handle, range)).problems_solved_change;
+        if (change !== null) changes.push(change);
+    }
 
-// Current year only
-const yearlyHeatmap = generateUnifiedActivityHeatmap(platformData, {
-    dateRange: 'year',
-    includeInactiveDays: false
-});
-*/
+    return {
+        profile_id: profile.id,
+        display_name: profile.display_name,
+        handles: Object.fromEntries(entries),
+        verified: Object.keys(profile.verified),
+        total_solved: stats.total_problems_solved,
+        ratings: ratings,
+        weekly_delta: changes.length > 0 ? changes.reduce((sum, change) => sum + change, 0) : null,
+        current_streak: stats.unified_activity_heatmap.summary_stats.current_streak,
+        failed_platforms: stats.summary.failed_platforms
+    };
+}
 
+// Create a group of registered profiles: { id?, name, description?, members: ["john", "jane"] }
+app.post('/api/groups', async (req, res) => {
+    if (!requireGroups(res)) return;
 
+    const validationError = groups.validateGroupInput(req.body);
+    if (validationError) {
+        return res.status(400).json({
+            status: "FAILED",
+            comment: validationError,
+            example: {
+                id: "algo-club",
+                name: "Algorithms Club",
+                members: ["john", "jane"]
+            }
+        });
+    }
 
-// ==========================================
-// API ROUTES (COMPLETE)
-// ==========================================
+    try {
+        const unknown = await findUnknownProfiles(req.body.members || []);
+        if (unknown.length > 0) {
+            return res.status(400).json({
+                status: "FAILED",
+                comment: "Members must be registered profile ids (POST /api/profiles)",
+                unknown_profiles: unknown
+            });
+        }
 
-// Root route
-app.get('/', (req, res) => {
-    res.json({
-        status: "OK",
-        message: "Multi-Platform Dashboard API - With HackerRank Integration",
-        version: "2.2.0",
-        documentation: "/api/health",
-        supported_platforms: [
-            "leetcode", 
-            "codeforces", 
-            "codechef", 
-            "github", 
-            "geeksforgeeks", 
-            "atcoder", 
-            "hackerrank"
-        ],
-        endpoints: {
-            health: "GET /api/health",
-            aggregated_dashboard: "POST /api/dashboard/aggregated", 
-            single_user: "GET /api/dashboard/aggregated/:username",
-            platform_status: "GET /api/platforms/status",
-            platform_details: "GET /api/platforms/:platform/:username"
-        },
-        new_features: [
-            "HackerRank badge tracking",
-            "Contest medal counts",
-            "Domain-specific ELO scores",
-            "Language proficiency rankings"
-        ]
-    });
+        const created = await groups.create(req.body);
+        if (!created) {
+            return res.status(409).json({
+                status: "FAILED",
+                comment: `Group id '${req.body.id}' is already taken`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.status(201).json({
+            status: "OK",
+            timestamp: new Date().toISOString(),
+            group: created.group,
+            edit_token: created.editToken,
+            note: "Keep edit_token; it is required to update or delete this group and is not shown again."
+        });
+    } catch (error) {
+        console.error('Error creating group:', error);
+        res.status(500).json({
+            status: "FAILED",
+            comment: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
 });
 
-// Dedicated heatmap endpoint
-app.get('/api/heatmap/:username', async (req, res) => {
-    const { username } = req.params;
-    const { platforms = 'leetcode,codeforces,codechef,geeksforgeeks,github,hackerrank,atcoder' } = req.query;
+app.get('/api/groups', async (req, res) => {
+    if (!requireGroups(res)) return;
 
-    const requestedPlatforms = platforms.split(',');
+    const limit = Math.min(GROUPS_MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit) || 50));
+    const offset = Math.max(0, parseInt(req.query.offset) || 0);
 
     try {
-        const result = {
+        const { total, groups: page } = await groups.list({ limit, offset });
+        res.json({
             status: "OK",
-            username: username,
             timestamp: new Date().toISOString(),
-            platforms: {},
-            heatmap_data: null,
-            processing_time: Date.now()
-        };
+            total: total,
+            limit: limit,
+            offset: offset,
+            groups: page
+        });
+    } catch (error) {
+        console.error('Error listing groups:', error);
+        res.status(500).json({
+            status: "FAILED",
+            comment: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
 
-        console.log(`Fetching heatmap data for ${username} from platforms: ${requestedPlatforms.join(', ')}`);
+app.get('/api/groups/:groupId', async (req, res) => {
+    if (!requireGroups(res)) return;
 
-        // Fetch platform data
-        const batchSize = 3;
-        for (let i = 0; i < requestedPlatforms.length; i += batchSize) {
-            const batch = requestedPlatforms.slice(i, i + batchSize);
-            
-            const batchPromises = batch.map(async (platform) => {
-                if (multiAPI.platforms[platform]) {
-                    try {
-                        result.platforms[platform] = await multiAPI.platforms[platform].getUserData(username);
-                        await multiAPI.sleep(multiAPI.rateLimitDelay);
-                    } catch (error) {
-                        result.platforms[platform] = {
-                            status: "FAILED",
-                            platform: platform,
-                            username: username,
-                            error: error.message
-                        };
-                    }
-                }
+    try {
+        const group = await groups.get(req.params.groupId);
+        if (!group) {
+            return res.status(404).json({
+                status: "FAILED",
+                comment: `Group '${req.params.groupId}' not found`,
+                timestamp: new Date().toISOString()
             });
-
-            await Promise.all(batchPromises);
-            
-            if (i + batchSize < requestedPlatforms.length) {
-                await multiAPI.sleep(300);
-            }
         }
 
-        // Generate heatmap data
-        result.heatmap_data = generateUnifiedActivityHeatmap(result.platforms);
-        result.processing_time = Date.now() - result.processing_time;
-        
-        console.log(`Heatmap data generated for ${username} in ${result.processing_time}ms`);
-        res.json(result);
-
+        res.json({
+            status: "OK",
+            timestamp: new Date().toISOString(),
+            group: group
+        });
     } catch (error) {
-        console.error('Error in heatmap endpoint:', error);
+        console.error('Error reading group:', error);
         res.status(500).json({
             status: "FAILED",
             comment: error.message,
@@ -3779,73 +3388,70 @@ app.get('/api/heatmap/:username', async (req, res) => {
     }
 });
 
-// Batch heatmap endpoint for multiple users
-app.post('/api/heatmap/batch', async (req, res) => {
-    const { usernames } = req.body;
-
-    if (!usernames || typeof usernames !== 'object') {
+// Partial update: { name?, description?, members? } replaces, { add: [...], remove: [...] } edits the member list
+app.patch('/api/groups/:groupId', requireGroupOwner, async (req, res) => {
+    const validationError = groups.validateGroupInput(req.body, { partial: true });
+    if (validationError) {
         return res.status(400).json({
             status: "FAILED",
-            comment: "usernames object is required",
-            example: {
-                usernames: {
-                    leetcode: "john_doe",
-                    codeforces: "johnD",
-                    // ... other platforms
-                }
-            }
+            comment: validationError
         });
     }
 
     try {
-        const result = {
-            status: "OK",
-            timestamp: new Date().toISOString(),
-            usernames: usernames,
-            platforms: {},
-            heatmap_data: null,
-            processing_time: Date.now()
-        };
-
-        // Fetch data from all platforms
-        const entries = Object.entries(usernames);
-        const batchSize = 3;
-        
-        for (let i = 0; i < entries.length; i += batchSize) {
-            const batch = entries.slice(i, i + batchSize);
-            
-            const batchPromises = batch.map(async ([platform, username]) => {
-                if (multiAPI.platforms[platform] && username) {
-                    try {
-                        result.platforms[platform] = await multiAPI.platforms[platform].getUserData(username);
-                        await multiAPI.sleep(multiAPI.rateLimitDelay);
-                    } catch (error) {
-                        result.platforms[platform] = {
-                            status: "FAILED",
-                            platform: platform,
-                            username: username,
-                            error: error.message
-                        };
-                    }
-                }
+        const current = await groups.get(req.params.groupId);
+        if (!current) {
+            return res.status(404).json({
+                status: "FAILED",
+                comment: `Group '${req.params.groupId}' not found`
             });
+        }
 
-            await Promise.all(batchPromises);
-            
-            if (i + batchSize < entries.length) {
-                await multiAPI.sleep(500);
-            }
+        const members = groups.applyMemberChanges(current.members, req.body);
+        if (members.length > groups.GROUP_MAX_MEMBERS) {
+            return res.status(400).json({
+                status: "FAILED",
+                comment: `At most ${groups.GROUP_MAX_MEMBERS} members per group`,
+                received: members.length
+            });
         }
 
-        // Generate unified heatmap
-        result.heatmap_data = generateUnifiedActivityHeatmap(result.platforms);
-        result.processing_time = Date.now() - result.processing_time;
+        const unknown = await findUnknownProfiles(members.filter(member => !current.members.includes(member)));
+        if (unknown.length > 0) {
+            return res.status(400).json({
+                status: "FAILED",
+                comment: "Members must be registered profile ids (POST /api/profiles)",
+                unknown_profiles: unknown
+            });
+        }
 
-        console.log(`Batch heatmap data generated in ${result.processing_time}ms`);
-        res.json(result);
+        const group = await groups.update(req.params.groupId, req.body);
+        res.json({
+            status: "OK",
+            timestamp: new Date().toISOString(),
+            group: group
+        });
+    } catch (error) {
+        console.error('Error updating group:', error);
+        res.status(500).json({
+            status: "FAILED",
+            comment: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
 
+app.delete('/api/groups/:groupId', requireGroupOwner, async (req, res) => {
+    try {
+        const deleted = await groups.delete(req.params.groupId);
+        res.json({
+            status: "OK",
+            timestamp: new Date().toISOString(),
+            group_id: req.params.groupId.toLowerCase(),
+            deleted: deleted
+        });
     } catch (error) {
-        console.error('Error in batch heatmap endpoint:', error);
+        console.error('Error deleting group:', error);
         res.status(500).json({
             status: "FAILED",
             comment: error.message,
@@ -3854,83 +3460,85 @@ app.post('/api/heatmap/batch', async (req, res) => {
     }
 });
 
+// ?sort=total_solved|rating|weekly_delta|current_streak (rating needs &platform=codeforces|codechef|leetcode),
+// limit/offset to page, verified_only=true to count only verified handles, format=csv to download every row
+app.get('/api/groups/:groupId/leaderboard', async (req, res) => {
+    if (!requireGroups(res)) return;
 
-// Main aggregated dashboard endpoint (FULL FEATURED)
-app.post('/api/dashboard/aggregated', async (req, res) => {
-    const { usernames } = req.body;
+    const { sort = 'total_solved', platform, format = 'json' } = req.query;
+    const verifiedOnly = req.query.verified_only === 'true';
 
-    if (!usernames || typeof usernames !== 'object') {
+    if (!LEADERBOARD_SORTS.includes(sort)) {
         return res.status(400).json({
             status: "FAILED",
-            comment: "usernames object is required with platform-specific usernames",
-            example: {
-                usernames: {
-                    leetcode: "john_doe",
-                    codeforces: "johnD",
-                    codechef: "john123",
-                    github: "johndoe",
-                    geeksforgeeks: "john.doe",
-                    atcoder: "john_atcoder"
-                }
-            }
+            comment: `Unknown sort '${sort}'`,
+            available_sorts: LEADERBOARD_SORTS
         });
     }
+    if (sort === 'rating' && !LEADERBOARD_RATING_PLATFORMS.includes(platform)) {
+        return res.status(400).json({
+            status: "FAILED",
+            comment: "sort=rating needs a platform",
+            available_platforms: LEADERBOARD_RATING_PLATFORMS,
+            example: `/api/groups/${req.params.groupId}/leaderboard?sort=rating&platform=codeforces`
+        });
+    }
+
+    try {
+        const startTime = Date.now();
+        const group = await groups.get(req.params.groupId);
+        if (!group) {
+            return res.status(404).json({
+                status: "FAILED",
+                comment: `Group '${req.params.groupId}' not found`,
+                timestamp: new Date().toISOString()
+            });
+        }
 
-    try {
-        const result = {
-            status: "OK",
-            timestamp: new Date().toISOString(),
-            usernames: usernames,
-            platforms: {},
-            aggregated_stats: {},
-            processing_time: Date.now()
+        const members = await Promise.all(group.members.map(id => profiles.get(id)));
+        const range = {
+            from: new Date(Date.now() - (LEADERBOARD_WEEK_DAYS - 1) * DAY_MS).toISOString().split('T')[0],
+            to: new Date().toISOString().split('T')[0]
         };
 
-        console.log(`Fetching comprehensive data for usernames:`, usernames);
-
-        // Fetch data with controlled concurrency (3 at a time to avoid overwhelming)
-        const entries = Object.entries(usernames);
-        const batchSize = 3;
-        
-        for (let i = 0; i < entries.length; i += batchSize) {
-            const batch = entries.slice(i, i + batchSize);
-            
-            const batchPromises = batch.map(async ([platform, username]) => {
-                if (multiAPI.platforms[platform] && username) {
-                    try {
-                        console.log(`Fetching ${platform} data for username: ${username}`);
-                        const data = await multiAPI.platforms[platform].getUserData(username);
-                        result.platforms[platform] = data;
-                        await multiAPI.sleep(multiAPI.rateLimitDelay);
-                    } catch (error) {
-                        console.error(`Error fetching ${platform} data:`, error);
-                        result.platforms[platform] = {
-                            status: "FAILED",
-                            platform: platform,
-                            username: username,
-                            error: error.message
-                        };
-                    }
-                }
+        // One fetch budget for the whole group, as in batch requests
+        const limit = createConcurrencyLimiter(BATCH_DEFAULT_CONCURRENCY);
+        const rows = await Promise.all(members
+            .filter(profile => profile)
+            .map(profile => buildLeaderboardRow(profile, limit, { verifiedOnly, range })));
+        const ranked = rankLeaderboard(rows, sort, platform);
+
+        if (format === 'csv') {
+            const filename = `${group.id}-${sort === 'rating' ? `${platform}-rating` : sort}.csv`;
+            res.set({
+                'Content-Type': 'text/csv; charset=utf-8',
+                'Content-Disposition': `attachment; filename="${filename}"`,
+                'Cache-Control': 'no-cache'
             });
-
-            await Promise.all(batchPromises);
-            
-            // Small delay between batches
-            if (i + batchSize < entries.length) {
-                await multiAPI.sleep(500);
-            }
+            return res.send(buildLeaderboardCSV(ranked));
         }
 
-        // Generate comprehensive aggregated statistics
-        result.aggregated_stats = generateAggregatedStats(result.platforms);
-        result.processing_time = Date.now() - result.processing_time;
-
-        console.log(`Aggregated dashboard data fetched successfully in ${result.processing_time}ms`);
-        res.json(result);
+        const pageSize = Math.min(LEADERBOARD_MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit) || 50));
+        const offset = Math.max(0, parseInt(req.query.offset) || 0);
 
+        res.json({
+            status: "OK",
+            timestamp: new Date().toISOString(),
+            group: { id: group.id, name: group.name },
+            sort: sort,
+            platform: sort === 'rating' ? platform : undefined,
+            tie_breakers: [...LEADERBOARD_TIE_BREAKERS.filter(key => key !== sort), 'profile_id'],
+            verified_only: verifiedOnly,
+            weekly_range: range,
+            total: ranked.length,
+            limit: pageSize,
+            offset: offset,
+            entries: ranked.slice(offset, offset + pageSize),
+            missing_members: group.members.filter((id, index) => !members[index]),
+            processing_time: Date.now() - startTime
+        });
     } catch (error) {
-        console.error('Error in aggregated dashboard:', error);
+        console.error('Error in group leaderboard endpoint:', error);
         res.status(500).json({
             status: "FAILED",
             comment: error.message,
@@ -3939,64 +3547,69 @@ app.post('/api/dashboard/aggregated', async (req, res) => {
     }
 });
 
-// Single username fallback (COMPLETE)
-app.get('/api/dashboard/aggregated/:username', async (req, res) => {
-    const { username } = req.params;
-    const { platforms = 'leetcode,codeforces,codechef,geeksforgeeks,github,atcoder' } = req.query;
+// ==========================================
+// CACHE ADMINISTRATION
+// ==========================================
 
-    const requestedPlatforms = platforms.split(',');
+// "Authorization: Bearer <token>" or the given fallback header
+function readRequestToken(req, header) {
+    const authorization = req.get('authorization') || '';
+    return authorization.startsWith('Bearer ') ? authorization.slice(7) : (req.get(header) || '');
+}
 
-    try {
-        const result = {
-            status: "OK",
-            username: username,
-            timestamp: new Date().toISOString(),
-            platforms: {},
-            aggregated_stats: {},
-            processing_time: Date.now(),
-            note: "This endpoint assumes same username across all platforms. Use POST /api/dashboard/aggregated for different usernames."
-        };
+function tokensMatch(provided, expected) {
+    const expectedBuffer = Buffer.from(expected);
+    const providedBuffer = Buffer.from(provided);
+    return providedBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+}
 
-        console.log(`Fetching comprehensive data for ${username} from platforms: ${requestedPlatforms.join(', ')}`);
+// Admin routes require ADMIN_TOKEN, sent as "Authorization: Bearer <token>" or "x-admin-token"
+function requireAdmin(req, res, next) {
+    const expected = process.env.ADMIN_TOKEN;
+    if (!expected) {
+        return res.status(503).json({
+            status: "FAILED",
+            comment: "Admin API is disabled. Set ADMIN_TOKEN to enable it.",
+            timestamp: new Date().toISOString()
+        });
+    }
 
-        // Process in batches for better performance
-        const batchSize = 3;
-        for (let i = 0; i < requestedPlatforms.length; i += batchSize) {
-            const batch = requestedPlatforms.slice(i, i + batchSize);
-            
-            const batchPromises = batch.map(async (platform) => {
-                if (multiAPI.platforms[platform]) {
-                    try {
-                        console.log(`Fetching ${platform} data...`);
-                        result.platforms[platform] = await multiAPI.platforms[platform].getUserData(username);
-                        await multiAPI.sleep(multiAPI.rateLimitDelay);
-                    } catch (error) {
-                        console.error(`Error fetching ${platform}:`, error);
-                        result.platforms[platform] = {
-                            status: "FAILED",
-                            platform: platform,
-                            username: username,
-                            error: error.message
-                        };
-                    }
-                }
-            });
+    if (!tokensMatch(readRequestToken(req, 'x-admin-token'), expected)) {
+        return res.status(401).json({
+            status: "FAILED",
+            comment: "Invalid or missing admin token",
+            timestamp: new Date().toISOString()
+        });
+    }
 
-            await Promise.all(batchPromises);
-            
-            if (i + batchSize < requestedPlatforms.length) {
-                await multiAPI.sleep(300);
-            }
-        }
+    next();
+}
 
-        result.aggregated_stats = generateAggregatedStats(result.platforms);
-        result.processing_time = Date.now() - result.processing_time;
-        
-        console.log(`Data fetched for ${username} in ${result.processing_time}ms`);
-        res.json(result);
+// Hit rates, memory usage and active tier
+app.get('/api/admin/cache/stats', requireAdmin, (req, res) => {
+    res.json({
+        status: "OK",
+        timestamp: new Date().toISOString(),
+        cache: cache.getStats(),
+        http: http.getStats()
+    });
+});
+
+// Cached keys for one username across platforms
+app.get('/api/admin/cache/keys/:username', requireAdmin, async (req, res) => {
+    const { username } = req.params;
 
+    try {
+        const keys = await cache.keys(`*:${username.toLowerCase()}`);
+        res.json({
+            status: "OK",
+            timestamp: new Date().toISOString(),
+            username: username,
+            count: keys.length,
+            keys: keys
+        });
     } catch (error) {
-        console.error('Error in aggregated dashboard:', error);
+        console.error('Error listing cache keys:', error);
         res.status(500).json({
             status: "FAILED",
             comment: error.message,
@@ -4005,8 +3618,8 @@ app.get('/api/dashboard/aggregated/:username', async (req, res) => {
     }
 });
 
-// Individual platform endpoint
-app.get('/api/platforms/:platform/:username', async (req, res) => {
+// Force-refresh one platform:username entry
+app.post('/api/admin/cache/refresh/:platform/:username', requireAdmin, async (req, res) => {
     const { platform, username } = req.params;
 
     if (!multiAPI.platforms[platform]) {
@@ -4018,18 +3631,19 @@ app.get('/api/platforms/:platform/:username', async (req, res) => {
     }
 
     try {
-        console.log(`Fetching ${platform} data for ${username}`);
-        const result = await multiAPI.platforms[platform].getUserData(username);
-        
+        console.log(`Force-refreshing ${platform}:${username}`);
+        const result = await multiAPI.refreshPlatform(platform, username);
+
         res.json({
             status: "OK",
             timestamp: new Date().toISOString(),
             platform: platform,
             username: username,
+            cached: result.status === "OK" || result.status === "NOT_AVAILABLE",
             data: result
         });
     } catch (error) {
-        console.error(`Error fetching ${platform} data:`, error);
+        console.error(`Error refreshing ${platform} data:`, error);
         res.status(500).json({
             status: "FAILED",
             platform: platform,
@@ -4040,212 +3654,33 @@ app.get('/api/platforms/:platform/:username', async (req, res) => {
     }
 });
 
-// Platform status endpoint (ENHANCED)
-app.get('/api/platforms/status', (req, res) => {
-    const platformStatus = {
-        leetcode: {
-            status: "Available",
-            features: ["Profile data", "Submission history", "Contest performance", "Detailed statistics"],
-            api_endpoint: "https://alfa-leetcode-api.onrender.com",
-            rate_limit: "Moderate"
-        },
-        codeforces: {
-            status: "Available",
-            features: ["User profile", "Rating history", "Submission data", "Contest participation"],
-            api_endpoint: "https://codeforces.com/api",
-            rate_limit: "Strict"
-        },
-        codechef: {
-            status: "Available", 
-            features: ["Profile data", "Rating information", "Contest history"],
-            api_endpoint: "https://codechef-api.vercel.app",
-            rate_limit: "Moderate"
-        },
-        geeksforgeeks: {
-            status: "Available",
-            features: ["Problems solved", "Scores", "Streaks", "Language usage"],
-            api_endpoint: "https://geeks-for-geeks-api.vercel.app",
-            rate_limit: "Moderate"
-        },
-        github: {
-            status: "Available",
-            features: ["Profile data", "Repository info", "Activity feed", "Language stats"],
-            api_endpoint: "https://api.github.com",
-            rate_limit: "GitHub API limits apply"
-        },
-hackerrank: {
-    status: "Available",
-    features: [
-        "Complete profile data", 
-        "Badge achievements", 
-        "Domain-specific scores and rankings",
-        "Contest performance and medals",
-        "Language proficiency tracking",
-        "Social metrics (followers, events)"
-    ],
-    data_points: [
-        "Problems solved", 
-        "Total badges and stars", 
-        "Contest medals (gold/silver/bronze)",
-        "Domain scores (20+ domains)",
-        "Language rankings",
-        "Practice and contest performance"
-    ],
-    rate_limit: "Moderate",
-    api_endpoints: [
-        "Profile data",
-        "Badges information", 
-        "ELO scores",
-        "Contest performance"
-    ]
-},
-        atcoder: {
-            status: "Available",
-            features: ["Submission data", "Problem statistics", "Ranking info"],
-            api_endpoint: "https://kenkoooo.com/atcoder/atcoder-api",
-            rate_limit: "Moderate"
-        },
-        hackerrank: {
-            status: "Not Available",
-            reason: "Requires private API access or web scraping",
-            features: []
-        },
-        interviewbit: {
-            status: "Not Available", 
-            reason: "No public API available",
-            features: []
-        },
-        codestudio: {
-            status: "Not Available",
-            reason: "No public API available", 
-            features: []
-        }
-    };
-
-    const availablePlatforms = Object.keys(platformStatus).filter(p => 
-        platformStatus[p].status === "Available"
-    );
-
-    res.json({
-        status: "OK",
-        timestamp: new Date().toISOString(),
-        total_platforms: Object.keys(platformStatus).length,
-        available_platforms: availablePlatforms.length,
-        platforms: platformStatus,
-        deployment_info: {
-            cors_enabled: true,
-            vercel_optimized: true,
-            rate_limiting: "Implemented",
-            error_handling: "Comprehensive",
-            retry_mechanism: "Built-in"
-        },
-        usage_guidelines: {
-            recommended_request_interval: "300ms between requests",
-            batch_processing: "Enabled for multiple platforms",
-            timeout_settings: "8-9 seconds per request",
-            concurrent_requests: "Limited to 3 simultaneous"
-        }
-    });
-});
-
-// Health check endpoint (COMPREHENSIVE)
-app.get('/api/health', (req, res) => {
-    res.json({
-        status: "OK",
-        message: "Multi-Platform Dashboard API - Full Featured & Heatmap Enabled",
-        version: "2.1.0",
-        timestamp: new Date().toISOString(),
-        // ... existing health check code ...
-        endpoints: [
-            'POST /api/dashboard/aggregated - Comprehensive aggregated dashboard',
-            'GET /api/dashboard/aggregated/:username - Single username across platforms',
-            'GET /api/platforms/:platform/:username - Individual platform data',
-            'GET /api/platforms/status - Detailed platform status',
-            'GET /api/heatmap/:username - Unified activity heatmap data',
-            'POST /api/heatmap/batch - Batch heatmap for multiple users',
-            'GET /api/health - Comprehensive health check'
-        ],
-        new_features: [
-            "Unified activity heatmap across all platforms",
-            "Daily activity aggregation for 365 days",
-            "Platform-specific activity breakdown", 
-            "Activity level calculation (0-4 scale)",
-            "Heatmap summary statistics",
-            "Dedicated heatmap endpoints"
-        ],
-        // ... rest of existing code
-    });
-});
-
-
-// Analytics endpoint (NEW)
-app.get('/api/analytics/:username', async (req, res) => {
-    const { username } = req.params;
-    const { platforms = 'leetcode,codeforces,codechef' } = req.query;
-
-    try {
-        // This would be a simplified analytics call
-        const platformList = platforms.split(',');
-        const analyticsData = {
-            username: username,
-            timestamp: new Date().toISOString(),
-            analytics: {
-                problem_solving_trend: "Increasing",
-                strongest_platform: "To be calculated",
-                improvement_suggestions: [],
-                comparative_analysis: {}
-            }
-        };
+// Purge by Redis-style glob, e.g. ?pattern=codeforces:*
+app.delete('/api/admin/cache', requireAdmin, async (req, res) => {
+    const { pattern } = req.query;
 
-        res.json(analyticsData);
-    } catch (error) {
-        res.status(500).json({
-            status: "FAILED",
-            error: error.message
-        });
-    }
-});
-
-// Batch processing endpoint (NEW)
-app.post('/api/batch/users', async (req, res) => {
-    const { users } = req.body;
-    
-    if (!users || !Array.isArray(users)) {
+    if (!pattern || typeof pattern !== 'string') {
         return res.status(400).json({
             status: "FAILED",
-            message: "users array is required",
-            example: {
-                users: [
-                    { username: "user1", platforms: ["leetcode", "codeforces"] },
-                    { username: "user2", platforms: ["github", "codechef"] }
-                ]
-            }
+            comment: "pattern query parameter is required (use * to clear everything)",
+            example: "/api/admin/cache?pattern=leetcode:*"
         });
     }
 
     try {
-        const results = [];
-        
-        for (const user of users.slice(0, 5)) { // Limit to 5 users max
-            // Process each user (simplified for demo)
-            results.push({
-                username: user.username,
-                status: "PROCESSED",
-                platforms_requested: user.platforms || [],
-                timestamp: new Date().toISOString()
-            });
-        }
-
+        const removed = await cache.clear(pattern);
+        console.log(`Purged ${removed} cache entries matching ${pattern}`);
         res.json({
             status: "OK",
-            batch_size: results.length,
-            results: results,
-            processing_time: "Calculated per user"
+            timestamp: new Date().toISOString(),
+            pattern: pattern,
+            removed: removed
         });
     } catch (error) {
+        console.error('Error purging cache:', error);
         res.status(500).json({
             status: "FAILED",
-            error: error.message
+            comment: error.message,
+            timestamp: new Date().toISOString()
         });
     }
 });
@@ -4274,7 +3709,12 @@ app.use('*', (req, res) => {
             'GET /api/platforms/:platform/:username',
             'GET /api/platforms/status',
             'GET /api/analytics/:username',
-            'POST /api/batch/users'
+            'POST /api/batch/users',
+            'POST /api/profiles',
+            'GET /api/profiles/:profileId',
+            'GET /api/dashboard/:profileId',
+            'POST /api/groups',
+            'GET /api/groups/:groupId/leaderboard'
         ],
         documentation: "Visit / or /api/health for detailed API information"
     });
@@ -0,0 +1,275 @@
+// Background refresh worker: `node api/worker.js [--once] [--profiles tracked-profiles.json]`
+//
+// Keeps tracked profiles warm in CacheManager so interactive requests are served from cache.
+// Run it with the same CACHE_STORE/REDIS_HOST/CACHE_DIR settings as the API; with a
+// memory-only cache the warmed entries stay inside this process.
+//
+// Tracks every profile in the registry (POST /api/profiles) plus an optional profiles file, re-read
+// every sweep: [{ "name": "alice", "leetcode": "alice_lc", "codeforces": "alice" }, ...]
+// or the same JSON inline in TRACKED_PROFILES.
+
+const fs = require('fs');
+const path = require('path');
+const app = require('./index');
+const cache = require('../lib/cache');
+const history = require('../lib/history');
+const profiles = require('../lib/profiles');
+
+const { multiAPI } = app.locals;
+
+// Profile refreshes per minute, following the rate_limit notes in /api/platforms/status.
+// A single refresh makes several upstream calls (profile, ratings, submissions).
+const RATE_BUDGETS = {
+    strict: 6,
+    moderate: 20
+};
+
+const PLATFORM_BUDGETS = {
+    codeforces: RATE_BUDGETS.strict,
+    leetcode: RATE_BUDGETS.moderate,
+    codechef: RATE_BUDGETS.moderate,
+    geeksforgeeks: RATE_BUDGETS.moderate,
+    atcoder: RATE_BUDGETS.moderate,
+    hackerrank: RATE_BUDGETS.moderate,
+    github: 0.25 // 60 unauthenticated requests per hour
+};
+
+const REFRESH_AHEAD = parseFloat(process.env.WORKER_REFRESH_AHEAD) || 0.8; // fraction of the platform TTL
+const FAILURE_BACKOFF_MS = 15 * 60 * 1000;
+const IDLE_POLL_MS = 30 * 1000;
+const STATS_INTERVAL_MS = 10 * 60 * 1000;
+
+function parseArgs(argv) {
+    const args = { once: false, profiles: process.env.TRACKED_PROFILES_FILE || 'tracked-profiles.json' };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--once') args.once = true;
+        if (argv[i] === '--profiles') args.profiles = argv[++i];
+    }
+    return args;
+}
+
+// WORKER_BUDGET_CODEFORCES=10 overrides a platform's refreshes per minute
+function getBudget(platform) {
+    const override = parseFloat(process.env[`WORKER_BUDGET_${platform.toUpperCase()}`]);
+    return override > 0 ? override : PLATFORM_BUDGETS[platform];
+}
+
+class RefreshWorker {
+    constructor({ profilesFile, once = false }) {
+        this.profilesFile = path.resolve(profilesFile);
+        this.once = once;
+        this.running = false;
+        this.pairs = [];             // [platform, username]
+        this.dueAt = new Map();      // platform:username -> ms timestamp of the next refresh
+        this.timers = new Set();
+        this.stats = { refreshed: 0, failed: 0, started_at: null };
+    }
+
+    // Profiles file entries; a missing file just means the registry is the only source
+    readProfilesFile() {
+        try {
+            const raw = process.env.TRACKED_PROFILES || fs.readFileSync(this.profilesFile, 'utf8');
+            const tracked = JSON.parse(raw);
+            if (!Array.isArray(tracked)) {
+                throw new Error('expected an array of profiles');
+            }
+            return tracked;
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async readRegistry() {
+        const tracked = [];
+        for (let offset = 0; ; offset += 100) {
+            const page = await profiles.list({ limit: 100, offset });
+            tracked.push(...page.profiles.map(profile => profile.handles));
+            if (offset + 100 >= page.total) break;
+        }
+        return tracked;
+    }
+
+    // Falls back to the last good list when the file is mid-edit or the registry is unreadable
+    async loadProfiles() {
+        try {
+            const tracked = [...this.readProfilesFile(), ...await this.readRegistry()];
+
+            const seen = new Set();
+            this.pairs = [];
+            tracked.forEach(profile => {
+                Object.entries(profile).forEach(([platform, username]) => {
+                    if (!PLATFORM_BUDGETS[platform] || typeof username !== 'string' || !username) return;
+                    const key = `${platform}:${username.toLowerCase()}`;
+                    if (seen.has(key)) return;
+                    seen.add(key);
+                    this.pairs.push([platform, username]);
+                });
+            });
+        } catch (error) {
+            console.warn('Could not load tracked profiles, keeping the previous list:', error.message);
+        }
+        return this.pairs;
+    }
+
+    // Most overdue tracked profile on this platform, or null if none is due yet
+    nextDue(platform) {
+        const now = Date.now();
+        let next = null;
+        this.pairs.forEach(([pairPlatform, username]) => {
+            if (pairPlatform !== platform) return;
+            const dueAt = this.dueAt.get(`${platform}:${username.toLowerCase()}`) || 0;
+            if (dueAt <= now && (!next || dueAt < next.dueAt)) {
+                next = { username, dueAt };
+            }
+        });
+        return next;
+    }
+
+    async refresh(platform, username) {
+        const key = `${platform}:${username.toLowerCase()}`;
+        const ttlMs = multiAPI.platforms[platform].defaultTTL * 1000;
+        const startTime = Date.now();
+
+        try {
+            const result = await multiAPI.refreshPlatform(platform, username);
+            if (result.status === "FAILED") {
+                throw new Error(result.error || 'fetch failed');
+            }
+            this.dueAt.set(key, Date.now() + ttlMs * REFRESH_AHEAD);
+            this.stats.refreshed++;
+            console.log(`🔄 Refreshed ${key} (${result.status}) in ${Date.now() - startTime}ms`);
+        } catch (error) {
+            this.dueAt.set(key, Date.now() + Math.min(ttlMs, FAILURE_BACKOFF_MS));
+            this.stats.failed++;
+            console.warn(`Refresh failed for ${key}:`, error.message);
+        }
+    }
+
+    // Resolves early when the worker stops
+    sleep(ms) {
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.timers.delete(timer);
+                resolve();
+            }, ms);
+            timer.resolve = resolve;
+            this.timers.add(timer);
+        });
+    }
+
+    // One loop per platform, spaced by its budget so a slow platform never holds up the others
+    async runPlatform(platform) {
+        const interval = 60000 / getBudget(platform);
+
+        while (this.running) {
+            const next = this.nextDue(platform);
+            if (next) {
+                await this.refresh(platform, next.username);
+                if (this.once && !this.nextDue(platform)) return;
+                await this.sleep(interval);
+            } else if (this.once) {
+                return;
+            } else {
+                await this.sleep(Math.min(interval, IDLE_POLL_MS));
+            }
+        }
+    }
+
+    async start() {
+        this.running = true;
+        this.stats.started_at = new Date().toISOString();
+        await this.loadProfiles();
+
+        const platforms = [...new Set(this.pairs.map(([platform]) => platform))];
+        console.log(`🚀 Refresh worker tracking ${this.pairs.length} handle(s) on ${platforms.join(', ') || 'no platforms'}`);
+        platforms.forEach(platform => {
+            console.log(`   ${platform}: ${getBudget(platform)} refresh(es)/min, TTL ${multiAPI.platforms[platform].defaultTTL}s`);
+        });
+        if (cache.getTier() === 'memory') {
+            console.warn('Cache tier is memory-only; set REDIS_HOST or CACHE_DIR so the API process sees warmed entries');
+        }
+
+        if (this.once) {
+            await Promise.all(platforms.map(platform => this.runPlatform(platform)));
+            return;
+        }
+
+        const loops = new Map(); // platform -> running loop
+        const startLoops = () => {
+            this.pairs.forEach(([platform]) => {
+                if (!loops.has(platform)) {
+                    loops.set(platform, this.runPlatform(platform));
+                }
+            });
+        };
+
+        // Pick up profile list edits and newly added platforms between sweeps
+        const reload = async () => {
+            while (this.running) {
+                await this.sleep(IDLE_POLL_MS);
+                if (!this.running) break;
+                await this.loadProfiles();
+                startLoops();
+            }
+        };
+
+        const logStats = async () => {
+            while (this.running) {
+                await this.sleep(STATS_INTERVAL_MS);
+                if (!this.running) break;
+                console.log('📊 Worker stats:', JSON.stringify({ ...this.getStats(), cache: cache.getStats() }));
+            }
+        };
+
+        startLoops();
+        await Promise.all([reload(), logStats()]);
+        await Promise.all(loops.values());
+    }
+
+    stop() {
+        this.running = false;
+        this.timers.forEach(timer => {
+            clearTimeout(timer);
+            timer.resolve();
+        });
+        this.timers.clear();
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            tracked: this.pairs.length,
+            cache_tier: cache.getTier()
+        };
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const worker = new RefreshWorker({ profilesFile: args.profiles, once: args.once });
+
+    ['SIGINT', 'SIGTERM'].forEach(signal => {
+        process.on(signal, () => {
+            console.log(`${signal} received, stopping refresh worker`);
+            worker.stop();
+        });
+    });
+
+    await worker.start();
+
+    console.log('✅ Refresh worker stopped:', JSON.stringify(worker.getStats()));
+    history.close();
+    profiles.close();
+    await cache.disconnect();
+    process.exit(0);
+}
+
+module.exports = { RefreshWorker, PLATFORM_BUDGETS };
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Refresh worker crashed:', error);
+        process.exit(1);
+    });
+}
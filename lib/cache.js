@@ -1,192 +1,503 @@
-const Redis = require('ioredis');
-const { LRUCache } = require('lru-cache');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
 
-class CacheManager {
+// ioredis and lru-cache are optional; the cache degrades to what is installed
+function optionalRequire(name) {
+    try {
+        return require(name);
+    } catch (error) {
+        return null;
+    }
+}
+
+const Redis = optionalRequire('ioredis');
+const lruCache = optionalRequire('lru-cache');
+
+// Minimal stand-in for lru-cache's get/set/delete/clear/keys API when the package is missing
+class MemoryLRU {
+    constructor({ max = 10000, ttl = 300000 } = {}) {
+        this.max = max;
+        this.ttl = ttl;
+        this.items = new Map();
+    }
+
+    get size() {
+        return this.items.size;
+    }
+
+    get(key, { allowStale = false } = {}) {
+        const item = this.items.get(key);
+        if (!item) return undefined;
+
+        if (Date.now() > item.expiresAt) {
+            this.items.delete(key);
+            return allowStale ? item.value : undefined;
+        }
+
+        // Re-insert to mark as most recently used
+        this.items.delete(key);
+        this.items.set(key, item);
+        return item.value;
+    }
+
+    set(key, value, { ttl = this.ttl } = {}) {
+        this.items.delete(key);
+        this.items.set(key, { value, expiresAt: Date.now() + ttl });
+
+        while (this.items.size > this.max) {
+            this.items.delete(this.items.keys().next().value);
+        }
+        return this;
+    }
+
+    delete(key) {
+        return this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+
+    keys() {
+        return this.items.keys();
+    }
+}
+
+// Shared tier for multi-instance deployments
+class RedisStore {
     constructor() {
-        // Redis client with fallback
-        this.redis = null;
-        this.initRedis();
-        
-        // In-memory LRU cache
-        this.memory = new LRUCache({
-            max: 10000,           // max 10k items
-            ttl: 300000,          // 5 minutes
-            allowStale: true,     // serve stale data if needed
-            updateAgeOnGet: true,
-            fetchMethod: async (key) => {
-                return await this.getFromRedis(key);
-            }
+        this.name = 'redis';
+        this.client = new Redis({
+            host: process.env.REDIS_HOST,
+            port: process.env.REDIS_PORT || 6379,
+            password: process.env.REDIS_PASSWORD,
+            retryDelayOnFailover: 100,
+            enableOfflineQueue: false,
+            maxRetriesPerRequest: 3,
+            lazyConnect: true,
+            connectTimeout: 5000,
+            commandTimeout: 5000,
         });
-        
-        this.stats = {
-            hits: 0,
-            misses: 0,
-            redis_hits: 0,
-            redis_misses: 0,
-            errors: 0
-        };
+
+        this.client.on('error', (err) => {
+            console.warn('Redis connection error:', err.message);
+        });
+
+        this.client.on('connect', () => {
+            console.log('✅ Redis connected successfully');
+        });
+
+        this.client.connect().catch(error => {
+            console.warn('Redis connect failed, serving from memory until it recovers:', error.message);
+        });
+    }
+
+    async get(key) {
+        const data = await this.client.get(key);
+        return data ? JSON.parse(data) : null;
+    }
+
+    async set(key, entry, ttl) {
+        await this.client.setex(key, ttl, JSON.stringify(entry));
+    }
+
+    // SCAN rather than KEYS so large keyspaces don't block the server
+    async keys(pattern) {
+        const found = [];
+        let cursor = '0';
+        do {
+            const [next, batch] = await this.client.scan(cursor, 'MATCH', pattern, 'COUNT', 200);
+            found.push(...batch);
+            cursor = next;
+        } while (cursor !== '0');
+        return [...new Set(found)];
+    }
+
+    async clear(pattern) {
+        const keys = await this.keys(pattern);
+        for (let i = 0; i < keys.length; i += 500) {
+            await this.client.del(...keys.slice(i, i + 500));
+        }
+        return keys.length;
     }
 
-    async initRedis() {
+    isConnected() {
+        return this.client.status === 'ready';
+    }
+
+    async disconnect() {
+        await this.client.disconnect();
+    }
+}
+
+// One JSON file per key, for single-node deployments that should survive restarts
+class DiskStore {
+    constructor(directory) {
+        this.name = 'disk';
+        this.directory = directory;
+        fs.mkdirSync(directory, { recursive: true });
+    }
+
+    filePath(key) {
+        const hash = crypto.createHash('sha1').update(key).digest('hex');
+        return path.join(this.directory, `${hash}.json`);
+    }
+
+    async get(key) {
         try {
-            this.redis = new Redis({
-                host: process.env.REDIS_HOST || 'localhost',
-                port: process.env.REDIS_PORT || 6379,
-                password: process.env.REDIS_PASSWORD,
-                retryDelayOnFailover: 100,
-                enableOfflineQueue: false,
-                maxRetriesPerRequest: 3,
-                lazyConnect: true,
-                connectTimeout: 5000,
-                commandTimeout: 5000,
-            });
-
-            this.redis.on('error', (err) => {
-                console.warn('Redis connection error:', err.message);
-                this.stats.errors++;
-            });
+            const record = JSON.parse(await fs.promises.readFile(this.filePath(key), 'utf8'));
+            if (Date.now() > record.retainUntil) {
+                await fs.promises.unlink(this.filePath(key)).catch(() => {});
+                return null;
+            }
+            return record.entry;
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async set(key, entry, ttl) {
+        const file = this.filePath(key);
+        const tmpFile = `${file}.${process.pid}.tmp`;
+        const record = { key, retainUntil: Date.now() + ttl * 1000, entry };
+
+        // Write then rename so readers never see a half-written file
+        await fs.promises.writeFile(tmpFile, JSON.stringify(record));
+        await fs.promises.rename(tmpFile, file);
+    }
+
+    // Reads every entry file; fine for the single-node deployments this store targets
+    async readKeys() {
+        const files = (await fs.promises.readdir(this.directory)).filter(name => name.endsWith('.json'));
+        const records = [];
+
+        for (const file of files) {
+            const fullPath = path.join(this.directory, file);
+            try {
+                const { key, retainUntil } = JSON.parse(await fs.promises.readFile(fullPath, 'utf8'));
+                records.push({ key, retainUntil, fullPath });
+            } catch (error) {
+                // Unreadable or half-deleted entries are dropped
+                await fs.promises.unlink(fullPath).catch(() => {});
+            }
+        }
+        return records;
+    }
+
+    async keys(pattern) {
+        const matcher = globToRegExp(pattern);
+        const now = Date.now();
+        return (await this.readKeys())
+            .filter(record => record.retainUntil > now && matcher.test(record.key))
+            .map(record => record.key);
+    }
+
+    async clear(pattern) {
+        const matcher = globToRegExp(pattern);
+        let removed = 0;
+
+        for (const record of await this.readKeys()) {
+            if (matcher.test(record.key)) {
+                await fs.promises.unlink(record.fullPath).catch(() => {});
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    isConnected() {
+        return true;
+    }
 
-            this.redis.on('connect', () => {
-                console.log('✅ Redis connected successfully');
-            });
+    async disconnect() {}
+}
+
+// Redis-style glob ('leetcode:*') to RegExp
+function globToRegExp(pattern) {
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+}
 
+// CACHE_STORE=memory|disk|redis picks the tier explicitly; otherwise REDIS_HOST
+// selects Redis and CACHE_DIR the on-disk store, falling back to memory only.
+function createStore() {
+    const requested = (process.env.CACHE_STORE || '').toLowerCase() ||
+        (process.env.REDIS_HOST ? 'redis' : process.env.CACHE_DIR ? 'disk' : 'memory');
+
+    if (requested === 'redis') {
+        if (Redis && process.env.REDIS_HOST) {
+            return new RedisStore();
+        }
+        console.warn(Redis
+            ? 'CACHE_STORE=redis but REDIS_HOST is not set, using memory-only cache'
+            : 'ioredis is not installed, using memory-only cache');
+        return null;
+    }
+
+    if (requested === 'disk') {
+        const directory = process.env.CACHE_DIR || path.join(os.tmpdir(), 'cp-unified-cache');
+        try {
+            return new DiskStore(directory);
         } catch (error) {
-            console.warn('Redis initialization failed, using memory-only cache:', error.message);
-            this.redis = null;
+            console.warn(`Disk cache unavailable at ${directory}, using memory-only cache:`, error.message);
+            return null;
         }
     }
 
-    async getFromRedis(key) {
-        if (!this.redis) return null;
-        
+    return null;
+}
+
+class CacheManager {
+    constructor() {
+        // Optional second tier (Redis or disk) behind the memory cache
+        this.store = createStore();
+
+        // In-memory LRU cache. Entries carry their own expiry and are kept
+        // past it for the stale window, so TTLs are set per item.
+        const memoryOptions = {
+            max: 10000,           // max 10k items
+            ttl: 300000,          // default when no per-item ttl is given
+            updateAgeOnGet: false
+        };
+        this.memory = lruCache ? new lruCache.LRUCache(memoryOptions) : new MemoryLRU(memoryOptions);
+        this.memoryBackend = lruCache ? 'lru-cache' : 'builtin';
+
+        // How long an expired entry may still be served while it is refreshed
+        this.maxStale = parseInt(process.env.CACHE_MAX_STALE) || 86400; // 24 hours
+
+        // key -> Promise for upstream fetches in progress
+        this.inflight = new Map();
+
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            stale_hits: 0,
+            coalesced: 0,
+            background_refreshes: 0,
+            store_hits: 0,
+            store_misses: 0,
+            errors: 0
+        };
+    }
+
+    async getFromStore(key) {
+        if (!this.store) return null;
+
         try {
-            const data = await this.redis.get(key);
-            if (data) {
-                this.stats.redis_hits++;
-                return JSON.parse(data);
+            const entry = await this.store.get(key);
+            if (entry) {
+                this.stats.store_hits++;
+                return entry;
             }
-            this.stats.redis_misses++;
+            this.stats.store_misses++;
             return null;
         } catch (error) {
-            console.warn('Redis get error:', error.message);
+            console.warn(`${this.store.name} get error:`, error.message);
             this.stats.errors++;
             return null;
         }
     }
 
-    async setToRedis(key, data, ttl = 7200) {
-        if (!this.redis) return;
-        
+    async setToStore(key, entry, ttl = 7200) {
+        if (!this.store) return;
+
         try {
-            await this.redis.setex(key, ttl, JSON.stringify(data));
+            await this.store.set(key, entry, ttl);
         } catch (error) {
-            console.warn('Redis set error:', error.message);
+            console.warn(`${this.store.name} set error:`, error.message);
             this.stats.errors++;
         }
     }
 
-    async cached(key, ttl = 7200, fetcher) {
+    // Returns the cached value for key, fetching it on a miss.
+    // options.shouldCache(value) decides whether a fresh value is stored (e.g. skip error responses).
+    async cached(key, ttl = 7200, fetcher, options = {}) {
         const startTime = Date.now();
-        
+        const shouldCache = options.shouldCache || (() => true);
+
         try {
-            // 1. Check memory cache first
-            let data = this.memory.get(key);
-            if (data) {
-                this.stats.hits++;
-                return {
-                    ...data,
-                    cache_info: {
-                        hit: true,
-                        source: 'memory',
-                        fetch_time: Date.now() - startTime
-                    }
-                };
+            // 1. Check memory, then the store
+            let source = 'memory';
+            let entry = this.memory.get(key);
+            if (!entry && this.store) {
+                source = this.store.name;
+                entry = await this.getFromStore(key);
+                if (entry) {
+                    this.memory.set(key, entry, { ttl: this.getRetentionMs(entry) });
+                }
             }
 
-            // 2. Check Redis cache
-            data = await this.getFromRedis(key);
-            if (data) {
-                this.memory.set(key, data);
+            if (entry && Date.now() < entry.expiresAt) {
                 this.stats.hits++;
-                return {
-                    ...data,
-                    cache_info: {
-                        hit: true,
-                        source: 'redis',
-                        fetch_time: Date.now() - startTime
-                    }
-                };
+                return this.withCacheInfo(entry, { hit: true, source, fetch_time: Date.now() - startTime });
             }
 
-            // 3. Fetch fresh data
+            // 2. Expired: serve the stale copy now and refresh in the background
+            if (entry) {
+                this.stats.stale_hits++;
+                this.refreshInBackground(key, ttl, fetcher, shouldCache);
+                return this.withCacheInfo(entry, { hit: true, source, stale: true, fetch_time: Date.now() - startTime });
+            }
+
+            // 3. Miss: fetch, sharing any request already in flight for this key
             this.stats.misses++;
-            const fresh = await fetcher();
-            
-            // Store in both caches
-            this.memory.set(key, fresh);
-            await this.setToRedis(key, fresh, ttl);
-            
-            return {
-                ...fresh,
-                cache_info: {
-                    hit: false,
-                    source: 'fresh',
-                    fetch_time: Date.now() - startTime
-                }
-            };
+            const fresh = await this.fetchAndStore(key, ttl, fetcher, shouldCache);
+
+            return this.withCacheInfo(fresh, { hit: false, source: 'fresh', fetch_time: Date.now() - startTime });
 
         } catch (error) {
             this.stats.errors++;
             console.error('Cache operation failed:', error.message);
-            
+
             // Try to return stale data if available
             const stale = this.memory.get(key, { allowStale: true });
             if (stale) {
-                return {
-                    ...stale,
-                    cache_info: {
-                        hit: true,
-                        source: 'stale',
-                        fetch_time: Date.now() - startTime,
-                        error: error.message
-                    }
-                };
+                return this.withCacheInfo(stale, {
+                    hit: true,
+                    source: 'stale',
+                    stale: true,
+                    fetch_time: Date.now() - startTime,
+                    error: error.message
+                });
             }
-            
+
             throw error;
         }
     }
 
+    // Concurrent callers for the same key share one upstream fetch
+    fetchAndStore(key, ttl, fetcher, shouldCache) {
+        if (this.inflight.has(key)) {
+            this.stats.coalesced++;
+            return this.inflight.get(key);
+        }
+
+        const promise = (async () => {
+            const data = await fetcher();
+            const entry = this.createEntry(data, ttl);
+
+            if (shouldCache(data)) {
+                this.memory.set(key, entry, { ttl: this.getRetentionMs(entry) });
+                await this.setToStore(key, entry, Math.ceil(this.getRetentionMs(entry) / 1000));
+            }
+            return entry;
+        })().finally(() => {
+            this.inflight.delete(key);
+        });
+
+        this.inflight.set(key, promise);
+        return promise;
+    }
+
+    refreshInBackground(key, ttl, fetcher, shouldCache) {
+        if (this.inflight.has(key)) return;
+
+        this.stats.background_refreshes++;
+        this.fetchAndStore(key, ttl, fetcher, shouldCache).catch(error => {
+            this.stats.errors++;
+            console.warn(`Background refresh failed for ${key}:`, error.message);
+        });
+    }
+
+    createEntry(data, ttl) {
+        const now = Date.now();
+        return {
+            data,
+            cachedAt: now,
+            expiresAt: now + ttl * 1000
+        };
+    }
+
+    getRetentionMs(entry) {
+        return Math.max(1, entry.expiresAt + this.maxStale * 1000 - Date.now());
+    }
+
+    withCacheInfo(entry, info) {
+        return {
+            ...entry.data,
+            cache_info: {
+                ...info,
+                cached_at: new Date(entry.cachedAt).toISOString(),
+                expires_at: new Date(entry.expiresAt).toISOString()
+            }
+        };
+    }
+
+    // Closes the disk or Redis store connection so short-lived processes (the refresh worker) can exit
+    async disconnect() {
+        if (this.store) {
+            await this.store.disconnect();
+        }
+    }
+
+    getTier() {
+        return this.store ? `memory+${this.store.name}` : 'memory';
+    }
+
     getStats() {
-        const total = this.stats.hits + this.stats.misses;
+        const served = this.stats.hits + this.stats.stale_hits;
+        const total = served + this.stats.misses;
         return {
             ...this.stats,
-            hit_rate: total > 0 ? (this.stats.hits / total * 100).toFixed(2) + '%' : '0%',
+            hit_rate: total > 0 ? (served / total * 100).toFixed(2) + '%' : '0%',
+            tier: this.getTier(),
+            memory_backend: this.memoryBackend,
             memory_size: this.memory.size,
             memory_max: this.memory.max,
-            redis_connected: this.redis ? this.redis.status === 'ready' : false
+            heap_used_mb: Math.round(process.memoryUsage().heapUsed / 1024 / 1024 * 10) / 10,
+            inflight: this.inflight.size,
+            store_connected: this.store ? this.store.isConnected() : false
         };
     }
 
-    async clear(pattern = '*') {
-        this.memory.clear();
-        if (this.redis) {
+    // Keys currently held in memory or the store that match a Redis-style glob
+    async keys(pattern = '*') {
+        const matcher = globToRegExp(pattern);
+        const keys = new Set([...this.memory.keys()].filter(key => matcher.test(key)));
+
+        if (this.store) {
             try {
-                const keys = await this.redis.keys(pattern);
-                if (keys.length > 0) {
-                    await this.redis.del(...keys);
-                }
+                (await this.store.keys(pattern)).forEach(key => keys.add(key));
             } catch (error) {
-                console.warn('Redis clear error:', error.message);
+                console.warn(`${this.store.name} keys error:`, error.message);
+                this.stats.errors++;
             }
         }
+        return [...keys].sort();
     }
 
-    async disconnect() {
-        if (this.redis) {
-            await this.redis.disconnect();
+    // Refetch now regardless of freshness; concurrent readers still share the fetch
+    async refresh(key, ttl = 7200, fetcher, options = {}) {
+        const startTime = Date.now();
+        const shouldCache = options.shouldCache || (() => true);
+
+        const entry = await this.fetchAndStore(key, ttl, fetcher, shouldCache);
+        return this.withCacheInfo(entry, { hit: false, source: 'refresh', fetch_time: Date.now() - startTime });
+    }
+
+    // Removes matching keys from memory and the store, returning how many were removed
+    async clear(pattern = '*') {
+        const matcher = globToRegExp(pattern);
+        const memoryKeys = [...this.memory.keys()].filter(key => matcher.test(key));
+        memoryKeys.forEach(key => this.memory.delete(key));
+
+        const removed = new Set(memoryKeys);
+        if (this.store) {
+            try {
+                const storeKeys = await this.store.keys(pattern);
+                await this.store.clear(pattern);
+                storeKeys.forEach(key => removed.add(key));
+            } catch (error) {
+                console.warn(`${this.store.name} clear error:`, error.message);
+                this.stats.errors++;
+            }
         }
+        return removed.size;
     }
 }
 
-module.exports = new CacheManager();
\ No newline at end of file
+module.exports = new CacheManager();
+module.exports.CacheManager = CacheManager;
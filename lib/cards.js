@@ -0,0 +1,225 @@
+const { FONT_FAMILY, PLATFORM_COLORS, CODEFORCES_RANK_COLORS, CODECHEF_STAR_COLORS, escapeXML } = require('./svg');
+const { renderSparklineFragment } = require('./charts');
+
+const LEETCODE_DIFFICULTY_COLORS = { easy: '#00b8a3', medium: '#ffc01e', hard: '#ff375f' };
+
+const MEDAL_COLORS = { gold: '#ffd700', silver: '#c0c0c0', bronze: '#cd7f32' };
+
+const CARD_PLATFORMS = ['leetcode', 'codeforces', 'codechef', 'hackerrank'];
+
+function formatNumber(value) {
+    if (value === null || value === undefined || value === '') return '—';
+    return typeof value === 'number' ? value.toLocaleString('en-US') : String(value);
+}
+
+function getCodeforcesRankColor(rank) {
+    return CODEFORCES_RANK_COLORS[String(rank || '').toLowerCase()] || CODEFORCES_RANK_COLORS.newbie;
+}
+
+function getCodeChefStarColor(stars) {
+    const count = parseInt(String(stars || '').replace(/[^\d]/g, '')) || 0;
+    return CODECHEF_STAR_COLORS[Math.min(count, 7)];
+}
+
+// spec: { title, accent, rows: [{ key, label, value, color }], extras: [{ key, render: (y, width, theme) => { svg, height } }] }
+// options: { theme, hide: [keys], layout: 'full' | 'compact' }
+function renderCard(spec, options = {}) {
+    const { theme, hide = [], layout = 'full' } = options;
+    const compact = layout === 'compact';
+    const rows = spec.rows.filter(row => !hide.includes(row.key));
+
+    const width = compact ? 360 : 400;
+    const padding = 25;
+    const rowHeight = compact ? 22 : 25;
+    const columns = compact ? 2 : 1;
+    const rowsTop = compact ? 58 : 68;
+    const columnWidth = (width - padding * 2) / columns;
+
+    const body = [];
+    rows.forEach((row, index) => {
+        const column = index % columns;
+        const y = rowsTop + Math.floor(index / columns) * rowHeight;
+        const x = padding + column * columnWidth;
+        const valueX = x + columnWidth - (column < columns - 1 ? 12 : 0);
+
+        body.push(`<text x="${x}" y="${y}" font-size="${compact ? 12 : 14}" fill="${theme.text}">${escapeXML(row.label)}</text>`);
+        body.push(`<text x="${valueX}" y="${y}" font-size="${compact ? 12 : 14}" font-weight="600" text-anchor="end" fill="${row.color || theme.text}">${escapeXML(formatNumber(row.value))}</text>`);
+    });
+
+    let height = rowsTop + Math.ceil(rows.length / columns) * rowHeight - (compact ? 4 : 2);
+    if (!compact) {
+        (spec.extras || []).filter(extra => !hide.includes(extra.key)).forEach(extra => {
+            const rendered = extra.render(height + 6, width, theme);
+            if (!rendered) return;
+            body.push(rendered.svg);
+            height += 6 + rendered.height;
+        });
+    }
+    height += compact ? 8 : 12;
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeXML(spec.title)}">`,
+        `<rect x="0.5" y="0.5" width="${width - 1}" height="${height - 1}" rx="6" fill="${theme.background}" stroke="${theme.border}"/>`,
+        `<rect x="0.5" y="0.5" width="4" height="${height - 1}" rx="2" fill="${spec.accent || theme.title || theme.text}"/>`,
+        `<g font-family="${FONT_FAMILY}">`,
+        `<text x="${padding}" y="${compact ? 30 : 36}" font-size="${compact ? 15 : 18}" font-weight="600" fill="${theme.title || spec.accent || theme.text}">${escapeXML(spec.title)}</text>`,
+        ...body,
+        '</g>',
+        '</svg>'
+    ].join('\n');
+}
+
+// Rating history sparkline under the rows; skipped until there are two rated contests
+function ratingSparklineExtra(progression, color) {
+    return {
+        key: 'rating_history',
+        render: (y, width) => {
+            if (!progression || progression.length < 2) return null;
+            return { svg: renderSparklineFragment(progression, { x: 25, y, width: width - 50, height: 32, color }), height: 32 };
+        }
+    };
+}
+
+// Unified card from generateAggregatedStats output
+function buildUnifiedCardSpec(username, stats) {
+    const summary = stats.unified_activity_heatmap?.summary_stats || {};
+    return {
+        title: `${username}'s Coding Stats`,
+        rows: [
+            { key: 'solved', label: 'Total Solved', value: stats.total_problems_solved },
+            { key: 'contests', label: 'Contests', value: stats.total_contests },
+            { key: 'rating', label: 'Skill Score', value: stats.skill_score?.score ?? null },
+            { key: 'platforms', label: 'Platforms', value: stats.platforms_connected },
+            { key: 'streak', label: 'Current Streak', value: summary.current_streak !== undefined ? `${summary.current_streak} days` : null },
+            { key: 'longest_streak', label: 'Longest Streak', value: summary.longest_streak !== undefined ? `${summary.longest_streak} days` : null }
+        ]
+    };
+}
+
+function buildCodeforcesCardSpec(data) {
+    const profile = data.profile || {};
+    const rankColor = getCodeforcesRankColor(profile.rank);
+    return {
+        title: `Codeforces · ${data.username}`,
+        accent: rankColor,
+        rows: [
+            { key: 'rank', label: 'Rank', value: profile.rank || 'unrated', color: rankColor },
+            { key: 'rating', label: 'Rating', value: profile.rating || null, color: rankColor },
+            { key: 'max_rating', label: 'Max Rating', value: profile.maxRating ? `${profile.maxRating} (${profile.maxRank})` : null, color: getCodeforcesRankColor(profile.maxRank) },
+            { key: 'solved', label: 'Problems Solved', value: data.solvedStats?.problems_solved ?? null },
+            { key: 'contests', label: 'Contests', value: data.contests?.contestsAttended ?? null }
+        ],
+        extras: [ratingSparklineExtra(data.contests?.ratingProgression, rankColor)]
+    };
+}
+
+function buildCodeChefCardSpec(data) {
+    const stars = data.profile?.stars || 'unrated';
+    const starColor = getCodeChefStarColor(stars);
+    return {
+        title: `CodeChef · ${data.username}`,
+        accent: starColor,
+        rows: [
+            { key: 'stars', label: 'Stars', value: stars, color: starColor },
+            { key: 'rating', label: 'Rating', value: data.contests?.current_rating || null, color: starColor },
+            { key: 'max_rating', label: 'Highest Rating', value: data.contests?.highest_rating || null },
+            { key: 'division', label: 'Division', value: data.contests?.division || null },
+            { key: 'global_rank', label: 'Global Rank', value: data.profile?.globalRank || null },
+            { key: 'solved', label: 'Problems Solved', value: data.solvedStats?.totalSolved ?? null }
+        ],
+        extras: [ratingSparklineExtra(data.contests?.contestData?.ratingProgression, starColor)]
+    };
+}
+
+function buildLeetCodeCardSpec(data) {
+    const solved = data.solvedStats || {};
+    const counts = {
+        easy: solved.easySolved || 0,
+        medium: solved.mediumSolved || 0,
+        hard: solved.hardSolved || 0
+    };
+    const total = solved.totalSolved || counts.easy + counts.medium + counts.hard;
+
+    return {
+        title: `LeetCode · ${data.username}`,
+        accent: PLATFORM_COLORS.leetcode,
+        rows: [
+            { key: 'solved', label: 'Total Solved', value: total },
+            { key: 'easy', label: 'Easy', value: counts.easy, color: LEETCODE_DIFFICULTY_COLORS.easy },
+            { key: 'medium', label: 'Medium', value: counts.medium, color: LEETCODE_DIFFICULTY_COLORS.medium },
+            { key: 'hard', label: 'Hard', value: counts.hard, color: LEETCODE_DIFFICULTY_COLORS.hard },
+            { key: 'rating', label: 'Contest Rating', value: data.contests?.contestRating ? Math.round(data.contests.contestRating) : null },
+            { key: 'ranking', label: 'Global Ranking', value: data.profile?.ranking || null }
+        ],
+        // Easy/medium/hard split as one stacked bar
+        extras: [{
+            key: 'difficulty_bar',
+            render: (y, width) => {
+                const barWidth = width - 50;
+                const sum = counts.easy + counts.medium + counts.hard;
+                let x = 25;
+                const segments = sum === 0 ? [] : ['easy', 'medium', 'hard'].map(level => {
+                    const segmentWidth = Math.round(barWidth * counts[level] / sum);
+                    const rect = `<rect x="${x}" y="${y}" width="${segmentWidth}" height="8" fill="${LEETCODE_DIFFICULTY_COLORS[level]}"/>`;
+                    x += segmentWidth;
+                    return rect;
+                });
+                return {
+                    svg: `<clipPath id="lc-bar"><rect x="25" y="${y}" width="${barWidth}" height="8" rx="4"/></clipPath><g clip-path="url(#lc-bar)"><rect x="25" y="${y}" width="${barWidth}" height="8" fill="#8884"/>${segments.join('')}</g>`,
+                    height: 8
+                };
+            }
+        }, ratingSparklineExtra(data.contests?.ratingProgression, PLATFORM_COLORS.leetcode)]
+    };
+}
+
+function buildHackerRankCardSpec(data) {
+    const solved = data.solvedStats || {};
+    const medals = solved.contest_medals || { gold: 0, silver: 0, bronze: 0 };
+    return {
+        title: `HackerRank · ${data.username}`,
+        accent: PLATFORM_COLORS.hackerrank,
+        rows: [
+            { key: 'solved', label: 'Problems Solved', value: solved.totalSolved ?? null },
+            { key: 'badges', label: 'Badges', value: solved.total_badges ?? null },
+            { key: 'stars', label: 'Badge Stars', value: solved.total_stars ?? null },
+            { key: 'level', label: 'Level', value: solved.level || null }
+        ],
+        // Gold/silver/bronze medal counts
+        extras: [{
+            key: 'medals',
+            render: (y, width, theme) => {
+                const spacing = (width - 50) / 3;
+                const items = ['gold', 'silver', 'bronze'].map((medal, index) => {
+                    const cx = 25 + spacing * index + 10;
+                    return `<circle cx="${cx}" cy="${y + 10}" r="9" fill="${MEDAL_COLORS[medal]}"/>` +
+                        `<text x="${cx + 16}" y="${y + 15}" font-size="13" fill="${theme.text}">${formatNumber(medals[medal] || 0)} ${medal}</text>`;
+                });
+                return { svg: items.join(''), height: 20 };
+            }
+        }]
+    };
+}
+
+function buildPlatformCardSpec(platform, data) {
+    switch (platform) {
+        case 'codeforces':
+            return buildCodeforcesCardSpec(data);
+        case 'codechef':
+            return buildCodeChefCardSpec(data);
+        case 'leetcode':
+            return buildLeetCodeCardSpec(data);
+        case 'hackerrank':
+            return buildHackerRankCardSpec(data);
+        default:
+            return null;
+    }
+}
+
+module.exports = {
+    CARD_PLATFORMS,
+    CODEFORCES_RANK_COLORS,
+    renderCard,
+    buildUnifiedCardSpec,
+    buildPlatformCardSpec
+};
@@ -0,0 +1,182 @@
+const { FONT_FAMILY, PLATFORM_COLORS, CODEFORCES_RANK_COLORS, CODECHEF_STAR_COLORS, escapeXML } = require('./svg');
+
+// Rating bands shaded behind the chart: [from, to, color, label]
+const RATING_BANDS = {
+    codeforces: [
+        [0, 1200, CODEFORCES_RANK_COLORS['newbie'], 'Newbie'],
+        [1200, 1400, CODEFORCES_RANK_COLORS['pupil'], 'Pupil'],
+        [1400, 1600, CODEFORCES_RANK_COLORS['specialist'], 'Specialist'],
+        [1600, 1900, CODEFORCES_RANK_COLORS['expert'], 'Expert'],
+        [1900, 2100, CODEFORCES_RANK_COLORS['candidate master'], 'Candidate Master'],
+        [2100, 2300, CODEFORCES_RANK_COLORS['master'], 'Master'],
+        [2300, 2400, CODEFORCES_RANK_COLORS['international master'], 'International Master'],
+        [2400, 2600, CODEFORCES_RANK_COLORS['grandmaster'], 'Grandmaster'],
+        [2600, 3000, CODEFORCES_RANK_COLORS['international grandmaster'], 'International Grandmaster'],
+        [3000, 5000, CODEFORCES_RANK_COLORS['legendary grandmaster'], 'Legendary Grandmaster']
+    ],
+    codechef: [
+        [0, 1400, CODECHEF_STAR_COLORS[1], '1★'],
+        [1400, 1600, CODECHEF_STAR_COLORS[2], '2★'],
+        [1600, 1800, CODECHEF_STAR_COLORS[3], '3★'],
+        [1800, 2000, CODECHEF_STAR_COLORS[4], '4★'],
+        [2000, 2200, CODECHEF_STAR_COLORS[5], '5★'],
+        [2200, 2500, CODECHEF_STAR_COLORS[6], '6★'],
+        [2500, 5000, CODECHEF_STAR_COLORS[7], '7★']
+    ]
+};
+
+// Keeps points with a rating and a parseable date, oldest first
+function normalizePoints(points) {
+    return (points || [])
+        .map(point => ({ ...point, time: new Date(point.date).getTime() }))
+        .filter(point => point.rating && !isNaN(point.time))
+        .sort((a, b) => a.time - b.time);
+}
+
+function niceStep(range) {
+    const steps = [50, 100, 200, 250, 500, 1000];
+    return steps.find(step => range / step <= 6) || 1000;
+}
+
+// series: [{ platform, points: [{ date, rating, contest }] }]
+// options: { theme, width, height, bands: 'codeforces' | 'codechef' | null, title }
+function renderRatingChart(series, options = {}) {
+    const { theme, width = 640, height = 320, title = 'Rating History' } = options;
+    const plotted = series
+        .map(entry => ({ ...entry, points: normalizePoints(entry.points) }))
+        .filter(entry => entry.points.length > 0);
+
+    const margin = { top: 48, right: 20, bottom: 32, left: 48 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+
+    const parts = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeXML(title)}">`,
+        `<rect x="0.5" y="0.5" width="${width - 1}" height="${height - 1}" rx="6" fill="${theme.background}" stroke="${theme.border}"/>`,
+        `<g font-family="${FONT_FAMILY}">`,
+        `<text x="${margin.left}" y="24" font-size="15" font-weight="600" fill="${theme.title || theme.text}">${escapeXML(title)}</text>`
+    ];
+
+    if (plotted.length === 0) {
+        parts.push(`<text x="${width / 2}" y="${height / 2}" font-size="13" text-anchor="middle" fill="${theme.muted}">No rated contests yet</text>`, '</g>', '</svg>');
+        return parts.join('\n');
+    }
+
+    const allPoints = plotted.flatMap(entry => entry.points);
+    const minTime = Math.min(...allPoints.map(point => point.time));
+    const maxTime = Math.max(...allPoints.map(point => point.time));
+    const timeSpan = Math.max(maxTime - minTime, 24 * 60 * 60 * 1000);
+
+    const ratingStep = niceStep(Math.max(...allPoints.map(p => p.rating)) - Math.min(...allPoints.map(p => p.rating)) + 200);
+    const minRating = Math.floor((Math.min(...allPoints.map(p => p.rating)) - 50) / ratingStep) * ratingStep;
+    const maxRating = Math.ceil((Math.max(...allPoints.map(p => p.rating)) + 50) / ratingStep) * ratingStep;
+
+    const gridColor = theme.border === 'none' ? theme.muted : theme.border;
+    const xFor = time => margin.left + (time - minTime) / timeSpan * plotWidth;
+    const yFor = rating => margin.top + (maxRating - rating) / (maxRating - minRating) * plotHeight;
+
+    // Rank bands of the chosen platform, clipped to the plot area
+    const bands = RATING_BANDS[options.bands] || [];
+    parts.push(`<clipPath id="plot"><rect x="${margin.left}" y="${margin.top}" width="${plotWidth}" height="${plotHeight}"/></clipPath>`);
+    parts.push('<g clip-path="url(#plot)">');
+    bands.forEach(([from, to, color, label]) => {
+        if (to <= minRating || from >= maxRating) return;
+        const top = yFor(Math.min(to, maxRating));
+        const bottom = yFor(Math.max(from, minRating));
+        parts.push(`<rect x="${margin.left}" y="${top.toFixed(1)}" width="${plotWidth}" height="${(bottom - top).toFixed(1)}" fill="${color}" fill-opacity="0.14"><title>${escapeXML(label)}</title></rect>`);
+    });
+    parts.push('</g>');
+
+    // Horizontal grid and rating labels
+    for (let rating = minRating; rating <= maxRating; rating += ratingStep) {
+        const y = yFor(rating).toFixed(1);
+        parts.push(`<line x1="${margin.left}" y1="${y}" x2="${margin.left + plotWidth}" y2="${y}" stroke="${gridColor}" stroke-width="0.5"/>`);
+        parts.push(`<text x="${margin.left - 6}" y="${Number(y) + 4}" font-size="10" text-anchor="end" fill="${theme.muted}">${rating}</text>`);
+    }
+
+    // Time axis: one label per year, or per quarter for short histories
+    const startYear = new Date(minTime).getUTCFullYear();
+    const endYear = new Date(maxTime).getUTCFullYear();
+    const shortHistory = endYear - startYear < 2;
+    for (let year = startYear; year <= endYear + 1; year++) {
+        for (const month of shortHistory ? [0, 3, 6, 9] : [0]) {
+            const time = Date.UTC(year, month, 1);
+            if (time < minTime || time > maxTime) continue;
+            const x = xFor(time).toFixed(1);
+            parts.push(`<line x1="${x}" y1="${margin.top}" x2="${x}" y2="${margin.top + plotHeight}" stroke="${gridColor}" stroke-width="0.5" stroke-dasharray="2,3"/>`);
+            parts.push(`<text x="${x}" y="${height - 12}" font-size="10" text-anchor="middle" fill="${theme.muted}">${month === 0 ? year : `${['Jan', 'Apr', 'Jul', 'Oct'][month / 3]} ${String(year).slice(2)}`}</text>`);
+        }
+    }
+
+    // One polyline per platform with a marker per contest
+    plotted.forEach(entry => {
+        const color = PLATFORM_COLORS[entry.platform] || theme.text;
+        const coordinates = entry.points.map(point => `${xFor(point.time).toFixed(1)},${yFor(point.rating).toFixed(1)}`);
+        parts.push(`<polyline points="${coordinates.join(' ')}" fill="none" stroke="${color}" stroke-width="2" stroke-linejoin="round"/>`);
+        entry.points.forEach((point, index) => {
+            const [x, y] = coordinates[index].split(',');
+            const label = `${entry.platform}: ${point.rating}${point.contest ? ` after ${point.contest}` : ''} (${new Date(point.time).toISOString().split('T')[0]})`;
+            parts.push(`<circle cx="${x}" cy="${y}" r="3" fill="${theme.background === 'none' ? color : theme.background}" stroke="${color}" stroke-width="1.5"><title>${escapeXML(label)}</title></circle>`);
+        });
+    });
+
+    // Legend with each platform's latest rating
+    let legendX = width - margin.right;
+    [...plotted].reverse().forEach(entry => {
+        const last = entry.points[entry.points.length - 1];
+        const label = `${entry.platform} ${last.rating}`;
+        legendX -= label.length * 6.5 + 18;
+        parts.push(`<circle cx="${legendX + 5}" cy="20" r="5" fill="${PLATFORM_COLORS[entry.platform] || theme.text}"/>`);
+        parts.push(`<text x="${legendX + 14}" y="24" font-size="11" fill="${theme.text}">${escapeXML(label)}</text>`);
+    });
+
+    parts.push('</g>', '</svg>');
+    return parts.join('\n');
+}
+
+// Axis-free line for embedding inside other SVGs (cards); returns a <g> fragment
+function renderSparklineFragment(points, { x = 0, y = 0, width = 120, height = 30, color = '#888888' } = {}) {
+    const normalized = normalizePoints(points);
+    if (normalized.length === 0) return '';
+
+    const minTime = normalized[0].time;
+    const timeSpan = Math.max(normalized[normalized.length - 1].time - minTime, 1);
+    const ratings = normalized.map(point => point.rating);
+    const minRating = Math.min(...ratings);
+    const ratingSpan = Math.max(Math.max(...ratings) - minRating, 1);
+
+    const coordinates = normalized.map(point => [
+        (x + (normalized.length === 1 ? width : (point.time - minTime) / timeSpan * width)).toFixed(1),
+        (y + height - 2 - (point.rating - minRating) / ratingSpan * (height - 4)).toFixed(1)
+    ]);
+    const [lastX, lastY] = coordinates[coordinates.length - 1];
+
+    return `<g><polyline points="${coordinates.map(point => point.join(',')).join(' ')}" fill="none" stroke="${color}" stroke-width="1.5" stroke-linejoin="round"/>` +
+        `<circle cx="${lastX}" cy="${lastY}" r="2.5" fill="${color}"/></g>`;
+}
+
+// Standalone sparkline image; several series share the time axis but each keeps its own scale
+function renderRatingSparkline(series, options = {}) {
+    const { theme, width = 160, height = 40 } = options;
+    const lines = series.map(entry => renderSparklineFragment(entry.points, {
+        x: 4,
+        y: 4,
+        width: width - 8,
+        height: height - 8,
+        color: PLATFORM_COLORS[entry.platform] || theme.text
+    }));
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="Rating sparkline">`,
+        `<rect width="100%" height="100%" rx="4" fill="${theme.background}"/>`,
+        ...lines,
+        '</svg>'
+    ].join('\n');
+}
+
+module.exports = {
+    RATING_BANDS,
+    renderRatingChart,
+    renderRatingSparkline,
+    renderSparklineFragment
+};
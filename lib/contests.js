@@ -0,0 +1,349 @@
+const cheerio = require('cheerio');
+const cache = require('./cache');
+const http = require('./http');
+
+// Schedules change rarely; an hour keeps newly announced rounds visible the same day
+const CONTEST_LIST_TTL = 3600;
+
+// Upcoming contests across platforms, normalized to one shape:
+// { id, name, platform, start_time, end_time, duration_seconds, url, division }
+class ContestCalendar {
+    constructor() {
+        this.timeout = 10000;
+        this.sources = {
+            codeforces: () => this.fetchCodeforces(),
+            atcoder: () => this.fetchAtCoder(),
+            codechef: () => this.fetchCodeChef(),
+            leetcode: () => this.fetchLeetCode(),
+            hackerrank: () => this.fetchHackerRank()
+        };
+    }
+
+    getPlatforms() {
+        return Object.keys(this.sources);
+    }
+
+    // options: { platforms, from, to, includeRunning }
+    async getUpcomingContests(options = {}) {
+        const {
+            platforms = this.getPlatforms(),
+            from = new Date(),
+            to = null,
+            includeRunning = false
+        } = options;
+
+        const requested = platforms.filter(platform => this.sources[platform]);
+        const lists = await Promise.all(requested.map(platform => this.getPlatformContests(platform)));
+
+        const platformStatus = {};
+        const contests = [];
+        requested.forEach((platform, index) => {
+            const list = lists[index];
+            platformStatus[platform] = {
+                status: list.status,
+                count: list.contests?.length || 0,
+                ...(list.error ? { error: list.error } : {}),
+                ...(list.cache_info ? { cached: list.cache_info.hit } : {})
+            };
+            contests.push(...(list.contests || []));
+        });
+
+        const fromMs = new Date(from).getTime();
+        const toMs = to ? new Date(to).getTime() : Infinity;
+
+        const filtered = contests
+            .filter(contest => {
+                const start = new Date(contest.start_time).getTime();
+                const end = new Date(contest.end_time).getTime();
+                if (start > toMs) return false;
+                return start >= fromMs || (includeRunning && end > fromMs);
+            })
+            .sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
+
+        return { platforms: platformStatus, contests: filtered };
+    }
+
+    async getPlatformContests(platform) {
+        try {
+            return await cache.cached(`contests:${platform}`, CONTEST_LIST_TTL, async () => {
+                try {
+                    const contests = await this.sources[platform]();
+                    return { status: "OK", platform: platform, contests: contests };
+                } catch (error) {
+                    console.warn(`Contest list fetch failed for ${platform}:`, error.message);
+                    return { status: "FAILED", platform: platform, error: error.message, contests: [] };
+                }
+            }, {
+                shouldCache: data => data?.status === "OK"
+            });
+        } catch (error) {
+            return { status: "FAILED", platform: platform, error: error.message, contests: [] };
+        }
+    }
+
+    async request(url, options = {}) {
+        return http.get(url, {
+            timeout: this.timeout,
+            ...options,
+            headers: {
+                'User-Agent': 'MultiPlatform-Dashboard-API',
+                ...(options.headers || {})
+            }
+        });
+    }
+
+    createContest(platform, { id, name, startMs, durationSeconds, url, division = null }) {
+        return {
+            id: `${platform}:${id}`,
+            name: name,
+            platform: platform,
+            start_time: new Date(startMs).toISOString(),
+            end_time: new Date(startMs + durationSeconds * 1000).toISOString(),
+            duration_seconds: durationSeconds,
+            url: url,
+            division: division
+        };
+    }
+
+    async fetchCodeforces() {
+        const response = await this.request('https://codeforces.com/api/contest.list?gym=false');
+        if (response.data?.status !== 'OK') {
+            throw new Error(response.data?.comment || 'Codeforces contest.list failed');
+        }
+
+        return response.data.result
+            .filter(contest => contest.phase === 'BEFORE' || contest.phase === 'CODING')
+            .map(contest => this.createContest('codeforces', {
+                id: contest.id,
+                name: contest.name,
+                startMs: contest.startTimeSeconds * 1000,
+                durationSeconds: contest.durationSeconds,
+                url: `https://codeforces.com/contest/${contest.id}`,
+                division: this.getCodeforcesDivision(contest.name)
+            }));
+    }
+
+    // "Codeforces Round 950 (Div. 3)" -> "Div. 3"; "(Div. 1 + Div. 2)" -> "Div. 1 + Div. 2";
+    // Educational rounds carry "(Rated for Div. 2)"
+    getCodeforcesDivision(name) {
+        const divisions = [...String(name).matchAll(/Div\.\s*(\d)/gi)].map(match => `Div. ${match[1]}`);
+        if (divisions.length > 0) return [...new Set(divisions)].join(' + ');
+        if (/global round/i.test(name)) return 'Global';
+        return null;
+    }
+
+    // AtCoder has no public contest API; the upcoming table on /contests is the source
+    async fetchAtCoder() {
+        const response = await this.request('https://atcoder.jp/contests/?lang=en');
+        const $ = cheerio.load(response.data);
+        const contests = [];
+
+        $('#contest-table-upcoming tbody tr, #contest-table-action tbody tr').each((_, row) => {
+            const cells = $(row).find('td');
+            const startMs = Date.parse($(cells[0]).find('time').text().trim().replace(' ', 'T').replace(/([+-]\d{2})(\d{2})$/, '$1:$2'));
+            const link = $(cells[1]).find('a[href^="/contests/"]').last();
+            const id = (link.attr('href') || '').split('/')[2];
+            const [hours, minutes] = $(cells[2]).text().trim().split(':').map(Number);
+
+            if (!id || isNaN(startMs) || isNaN(hours)) return;
+
+            contests.push(this.createContest('atcoder', {
+                id: id,
+                name: link.text().trim(),
+                startMs: startMs,
+                durationSeconds: (hours * 60 + (minutes || 0)) * 60,
+                url: `https://atcoder.jp/contests/${id}`,
+                division: this.getAtCoderDivision(id)
+            }));
+        });
+
+        return contests;
+    }
+
+    getAtCoderDivision(contestId) {
+        const match = String(contestId).match(/^(abc|arc|agc|ahc)\d+/i);
+        return match ? match[1].toUpperCase() : null;
+    }
+
+    async fetchCodeChef() {
+        const response = await this.request('https://www.codechef.com/api/list/contests/all?sort_by=START&sorting_order=asc&offset=0&mode=all');
+        const data = response.data || {};
+        const contests = [...(data.present_contests || []), ...(data.future_contests || [])];
+
+        return contests.map(contest => {
+            const startMs = Date.parse(contest.contest_start_date_iso);
+            const endMs = Date.parse(contest.contest_end_date_iso);
+            const durationSeconds = !isNaN(endMs)
+                ? Math.round((endMs - startMs) / 1000)
+                : (parseInt(contest.contest_duration) || 0) * 60;
+
+            return this.createContest('codechef', {
+                id: contest.contest_code,
+                name: contest.contest_name,
+                startMs: startMs,
+                durationSeconds: durationSeconds,
+                url: `https://www.codechef.com/${contest.contest_code}`,
+                division: this.getCodeChefDivision(contest.contest_name)
+            });
+        }).filter(contest => !isNaN(Date.parse(contest.start_time)));
+    }
+
+    // Starters run every division together, so only an explicit "Div N" in the name narrows it
+    getCodeChefDivision(name) {
+        const match = String(name).match(/Div(?:ision)?\.?\s*(\d)/i);
+        return match ? `Div ${match[1]}` : null;
+    }
+
+    async fetchLeetCode() {
+        const response = await http.post('https://leetcode.com/graphql', {
+            query: 'query upcomingContests { upcomingContests { title titleSlug startTime duration } }'
+        }, {
+            timeout: this.timeout,
+            headers: {
+                'Content-Type': 'application/json',
+                'Referer': 'https://leetcode.com/contest/',
+                'User-Agent': 'MultiPlatform-Dashboard-API'
+            }
+        });
+
+        return (response.data?.data?.upcomingContests || []).map(contest => this.createContest('leetcode', {
+            id: contest.titleSlug,
+            name: contest.title,
+            startMs: contest.startTime * 1000,
+            durationSeconds: contest.duration,
+            url: `https://leetcode.com/contest/${contest.titleSlug}`,
+            division: /biweekly/i.test(contest.title) ? 'Biweekly' : /weekly/i.test(contest.title) ? 'Weekly' : null
+        }));
+    }
+
+    async fetchHackerRank() {
+        const response = await this.request('https://www.hackerrank.com/rest/contests/upcoming?offset=0&limit=50');
+
+        return (response.data?.models || [])
+            .filter(contest => contest.epoch_starttime && contest.epoch_endtime)
+            .map(contest => this.createContest('hackerrank', {
+                id: contest.slug,
+                name: contest.name,
+                startMs: contest.epoch_starttime * 1000,
+                durationSeconds: contest.epoch_endtime - contest.epoch_starttime,
+                url: `https://www.hackerrank.com/contests/${contest.slug}`
+            }));
+    }
+}
+
+// Division numbers in a label: "Div. 1 + Div. 2" -> ['1', '2'], "Division 3" -> ['3']
+function getDivisionNumbers(division) {
+    return [...String(division || '').matchAll(/Div(?:ision)?\.?\s*(\d)/gi)].map(match => match[1]);
+}
+
+// filters: { platform: 'Div. 2' | ['Div. 2', 'ABC'] }. Numbered filters match any overlapping
+// division ("Div. 2" keeps "Div. 1 + Div. 2"); other labels must match exactly. Contests with no
+// numbered division (CodeChef Starters, Codeforces Global rounds) are open to all and kept.
+function filterContestsByDivision(contests, filters = {}) {
+    return contests.filter(contest => {
+        const wanted = [].concat(filters[contest.platform] || []);
+        if (wanted.length === 0) return true;
+
+        const contestDivisions = getDivisionNumbers(contest.division);
+        return wanted.some(label => {
+            const wantedDivisions = getDivisionNumbers(label);
+            if (wantedDivisions.length === 0) {
+                return String(contest.division || '').toLowerCase() === String(label).toLowerCase();
+            }
+            return contestDivisions.length === 0 || contestDivisions.some(division => wantedDivisions.includes(division));
+        });
+    });
+}
+
+// RFC 5545 text escaping and 75-octet line folding
+function escapeICSText(text) {
+    return String(text || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+function foldICSLine(line) {
+    const chunks = [];
+    let current = '';
+    for (const char of line) {
+        if (Buffer.byteLength(current + char) > (chunks.length === 0 ? 75 : 74)) {
+            chunks.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+}
+
+function formatICSDate(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function formatICSDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const days = Math.floor(hours / 24);
+    if (days > 0 && hours % 24 === 0 && minutes === 0) return `P${days}D`;
+    return `PT${hours}H${minutes}M`;
+}
+
+// options: { name, reminderMinutes, refreshHours, now }
+function buildContestICS(contests, options = {}) {
+    const {
+        name = 'Competitive Programming Contests',
+        reminderMinutes = [30],
+        refreshHours = 6,
+        now = new Date()
+    } = options;
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//CP-Unified//Contest Calendar//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeICSText(name)}`,
+        `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshHours}H`,
+        `X-PUBLISHED-TTL:PT${refreshHours}H`
+    ];
+
+    contests.forEach(contest => {
+        // UIDs only depend on platform and contest id so calendar clients update events in place
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${contest.id.replace(/[^A-Za-z0-9._-]/g, '-')}@cp-unified`,
+            `DTSTAMP:${formatICSDate(now)}`,
+            `DTSTART:${formatICSDate(contest.start_time)}`,
+            `DURATION:${formatICSDuration(contest.duration_seconds)}`,
+            `SUMMARY:${escapeICSText(`[${contest.platform}] ${contest.name}`)}`,
+            `DESCRIPTION:${escapeICSText([contest.division ? `Division: ${contest.division}` : null, contest.url].filter(Boolean).join('\n'))}`,
+            `URL:${contest.url}`,
+            `CATEGORIES:${escapeICSText(contest.platform)}`
+        );
+
+        reminderMinutes.forEach(minutes => {
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${escapeICSText(`${contest.name} starts in ${minutes} minutes`)}`,
+                `TRIGGER:-PT${minutes}M`,
+                'END:VALARM'
+            );
+        });
+
+        lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldICSLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    ContestCalendar,
+    CONTEST_LIST_TTL,
+    filterContestsByDivision,
+    buildContestICS
+};
@@ -0,0 +1,316 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { isSqliteAvailable, openDatabase } = require('./sqlite');
+
+const GROUP_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{2,39}$/;
+const GROUP_MAX_MEMBERS = parseInt(process.env.GROUP_MAX_MEMBERS) || 200;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function normalizeMembers(members) {
+    return [...new Set(members.map(member => String(member).toLowerCase()))];
+}
+
+// Member list after a PATCH: members replaces the list, then add/remove apply
+function applyMemberChanges(current, { members, add = [], remove = [] }) {
+    const removed = new Set(normalizeMembers(remove));
+    return normalizeMembers([...(members || current), ...add]).filter(member => !removed.has(member));
+}
+
+// Returns an error message, or null when the input is usable. partial allows PATCH bodies
+// ({ name?, description?, members? } to replace, { add?, remove? } to edit the member list).
+function validateGroupInput(input, { partial = false } = {}) {
+    if (!input || typeof input !== 'object') {
+        return 'Request body must be a JSON object';
+    }
+
+    if (input.id !== undefined && !partial && !GROUP_ID_PATTERN.test(String(input.id).toLowerCase())) {
+        return 'id must be 3-40 characters of a-z, 0-9, "_" or "-", starting with a letter or digit';
+    }
+
+    if (input.name === undefined) {
+        if (!partial) return 'name is required';
+    } else if (typeof input.name !== 'string' || !input.name.trim() || input.name.length > 100) {
+        return 'name must be a non-empty string of at most 100 characters';
+    }
+
+    if (input.description !== undefined && input.description !== null
+        && (typeof input.description !== 'string' || input.description.length > 500)) {
+        return 'description must be a string of at most 500 characters';
+    }
+
+    for (const field of ['members', 'add', 'remove']) {
+        if (input[field] === undefined) continue;
+        if (field !== 'members' && !partial) {
+            return `${field} is only accepted when updating a group`;
+        }
+        if (!Array.isArray(input[field]) || input[field].some(member => typeof member !== 'string' || !member)) {
+            return `${field} must be an array of profile ids`;
+        }
+        if (input[field].length > GROUP_MAX_MEMBERS) {
+            return `At most ${GROUP_MAX_MEMBERS} members per group`;
+        }
+    }
+    return null;
+}
+
+function toPublicGroup(record) {
+    return {
+        id: record.id,
+        name: record.name,
+        description: record.description,
+        members: record.members,
+        member_count: record.members.length,
+        created_at: record.created_at,
+        updated_at: record.updated_at
+    };
+}
+
+class SqliteGroupStore {
+    constructor(file) {
+        this.name = 'sqlite';
+        this.db = openDatabase(file);
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS groups (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                description TEXT,
+                members TEXT NOT NULL,
+                token_hash TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            )
+        `);
+
+        this.statements = {
+            get: this.db.prepare('SELECT * FROM groups WHERE id = ?'),
+            list: this.db.prepare('SELECT * FROM groups ORDER BY created_at, id LIMIT ? OFFSET ?'),
+            count: this.db.prepare('SELECT COUNT(*) AS total FROM groups'),
+            upsert: this.db.prepare(`
+                INSERT INTO groups (id, name, description, members, token_hash, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT (id) DO UPDATE SET
+                    name = excluded.name,
+                    description = excluded.description,
+                    members = excluded.members,
+                    token_hash = excluded.token_hash,
+                    updated_at = excluded.updated_at
+            `),
+            delete: this.db.prepare('DELETE FROM groups WHERE id = ?')
+        };
+    }
+
+    fromRow(row) {
+        return row ? { ...row, members: JSON.parse(row.members) } : null;
+    }
+
+    async get(id) {
+        return this.fromRow(this.statements.get.get(id));
+    }
+
+    async list(limit, offset) {
+        return {
+            total: this.statements.count.get().total,
+            records: this.statements.list.all(limit, offset).map(row => this.fromRow(row))
+        };
+    }
+
+    async put(record) {
+        this.statements.upsert.run(
+            record.id,
+            record.name,
+            record.description,
+            JSON.stringify(record.members),
+            record.token_hash,
+            record.created_at,
+            record.updated_at
+        );
+    }
+
+    async delete(id) {
+        return this.statements.delete.run(id).changes > 0;
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+// Fallback when no SQLite driver is installed: every group in one JSON file
+class JsonGroupStore {
+    constructor(directory) {
+        this.name = 'json';
+        this.file = path.join(directory, 'groups.json');
+        fs.mkdirSync(directory, { recursive: true });
+        this.writeQueue = Promise.resolve();
+    }
+
+    async readAll() {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return {};
+            throw error;
+        }
+    }
+
+    update(mutate) {
+        const run = this.writeQueue.then(async () => {
+            const records = await this.readAll();
+            const result = mutate(records);
+
+            const tmpFile = `${this.file}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tmpFile, JSON.stringify(records));
+            await fs.promises.rename(tmpFile, this.file);
+            return result;
+        });
+        this.writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    async get(id) {
+        return (await this.readAll())[id] || null;
+    }
+
+    async list(limit, offset) {
+        const records = Object.values(await this.readAll())
+            .sort((a, b) => a.created_at.localeCompare(b.created_at) || a.id.localeCompare(b.id));
+        return { total: records.length, records: records.slice(offset, offset + limit) };
+    }
+
+    async put(record) {
+        await this.update(records => {
+            records[record.id] = record;
+        });
+    }
+
+    async delete(id) {
+        return this.update(records => {
+            const existed = Boolean(records[id]);
+            delete records[id];
+            return existed;
+        });
+    }
+
+    close() {}
+}
+
+// Groups only reference registry profiles, so they share its PROFILE_STORE/PROFILES_DIR settings
+function createGroupStore() {
+    const requested = (process.env.PROFILE_STORE || 'sqlite').toLowerCase();
+    const directory = process.env.PROFILES_DIR || path.join(os.tmpdir(), 'cp-unified-profiles');
+
+    if (requested === 'none') {
+        return null;
+    }
+
+    try {
+        if (requested === 'sqlite' && isSqliteAvailable()) {
+            return new SqliteGroupStore(path.join(directory, 'groups.db'));
+        }
+        return new JsonGroupStore(directory);
+    } catch (error) {
+        console.warn(`Group registry unavailable at ${directory}:`, error.message);
+        return null;
+    }
+}
+
+// Named lists of registry profile ids (a club, a class, a team) for leaderboards
+class GroupRegistry {
+    constructor() {
+        this.store = createGroupStore();
+    }
+
+    isEnabled() {
+        return this.store !== null;
+    }
+
+    async get(id) {
+        if (!this.store || typeof id !== 'string') return null;
+        const record = await this.store.get(id.toLowerCase());
+        return record ? toPublicGroup(record) : null;
+    }
+
+    async list({ limit = 50, offset = 0 } = {}) {
+        if (!this.store) return { total: 0, groups: [] };
+        const { total, records } = await this.store.list(limit, offset);
+        return { total, groups: records.map(toPublicGroup) };
+    }
+
+    // Returns the group plus a one-time edit token, or null when the id is taken
+    async create({ id, name, description, members = [] }) {
+        const groupId = id ? String(id).toLowerCase() : crypto.randomBytes(5).toString('hex');
+        if (await this.store.get(groupId)) {
+            return null;
+        }
+
+        const now = new Date().toISOString();
+        const editToken = crypto.randomBytes(24).toString('hex');
+        const record = {
+            id: groupId,
+            name: name.trim(),
+            description: description || null,
+            members: normalizeMembers(members),
+            token_hash: hashToken(editToken),
+            created_at: now,
+            updated_at: now
+        };
+
+        await this.store.put(record);
+        return { group: toPublicGroup(record), editToken };
+    }
+
+    // Returns null when the group does not exist
+    async update(id, { name, description, ...memberChanges }) {
+        const record = await this.store.get(id.toLowerCase());
+        if (!record) return null;
+
+        record.members = applyMemberChanges(record.members, memberChanges);
+        if (name !== undefined) {
+            record.name = name.trim();
+        }
+        if (description !== undefined) {
+            record.description = description || null;
+        }
+        record.updated_at = new Date().toISOString();
+
+        await this.store.put(record);
+        return toPublicGroup(record);
+    }
+
+    async delete(id) {
+        return this.store.delete(id.toLowerCase());
+    }
+
+    async checkEditToken(id, token) {
+        if (!this.store || !token) return false;
+        const record = await this.store.get(String(id).toLowerCase());
+        if (!record) return false;
+
+        const expected = Buffer.from(record.token_hash);
+        const provided = Buffer.from(hashToken(token));
+        return crypto.timingSafeEqual(expected, provided);
+    }
+
+    getStats() {
+        return {
+            backend: this.store ? this.store.name : 'disabled'
+        };
+    }
+
+    close() {
+        if (this.store) {
+            this.store.close();
+        }
+    }
+}
+
+module.exports = new GroupRegistry();
+module.exports.GroupRegistry = GroupRegistry;
+module.exports.validateGroupInput = validateGroupInput;
+module.exports.applyMemberChanges = applyMemberChanges;
+module.exports.GROUP_MAX_MEMBERS = GROUP_MAX_MEMBERS;
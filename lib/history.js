@@ -0,0 +1,268 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { isSqliteAvailable, openDatabase } = require('./sqlite');
+
+function toDay(date) {
+    return new Date(date).toISOString().split('T')[0];
+}
+
+// The handful of numbers worth charting, pulled from extractPlatformStats output
+function extractSnapshotMetrics(platform, stats) {
+    switch (platform) {
+        case 'leetcode':
+            return {
+                problems_solved: stats.problems_solved || 0,
+                rating: stats.contest_rating ? Math.round(stats.contest_rating) : null,
+                rank: stats.ranking || null
+            };
+        case 'codeforces':
+            return {
+                problems_solved: stats.problems_solved || 0,
+                rating: stats.current_rating || null,
+                rank: stats.rank || null
+            };
+        case 'codechef':
+            return {
+                problems_solved: stats.problems_solved || 0,
+                rating: stats.current_rating || null,
+                rank: stats.global_rank || null
+            };
+        case 'atcoder':
+            return {
+                problems_solved: stats.unique_problems_solved || 0,
+                rating: null,
+                rank: null
+            };
+        default:
+            return {
+                problems_solved: stats.problems_solved || 0,
+                rating: stats.current_rating || null,
+                rank: stats.rank || null
+            };
+    }
+}
+
+// One row per platform/username/day; later snapshots on the same day overwrite earlier ones
+class SqliteHistoryStore {
+    constructor(file) {
+        this.name = 'sqlite';
+        this.file = file;
+        this.db = openDatabase(file);
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS snapshots (
+                platform TEXT NOT NULL,
+                username TEXT NOT NULL,
+                day TEXT NOT NULL,
+                recorded_at TEXT NOT NULL,
+                problems_solved INTEGER,
+                rating INTEGER,
+                rank TEXT,
+                stats TEXT NOT NULL,
+                PRIMARY KEY (platform, username, day)
+            )
+        `);
+
+        this.upsert = this.db.prepare(`
+            INSERT INTO snapshots (platform, username, day, recorded_at, problems_solved, rating, rank, stats)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (platform, username, day) DO UPDATE SET
+                recorded_at = excluded.recorded_at,
+                problems_solved = excluded.problems_solved,
+                rating = excluded.rating,
+                rank = excluded.rank,
+                stats = excluded.stats
+        `);
+        this.select = this.db.prepare(`
+            SELECT platform, username, day, recorded_at, problems_solved, rating, rank, stats
+            FROM snapshots
+            WHERE platform = ? AND username = ? AND day >= ? AND day <= ?
+            ORDER BY day
+        `);
+    }
+
+    async put(snapshot) {
+        this.upsert.run(
+            snapshot.platform,
+            snapshot.username,
+            snapshot.day,
+            snapshot.recorded_at,
+            snapshot.problems_solved,
+            snapshot.rating,
+            snapshot.rank,
+            JSON.stringify(snapshot.stats)
+        );
+    }
+
+    async list(platform, username, from, to) {
+        return this.select.all(platform, username, from, to).map(row => ({
+            ...row,
+            stats: JSON.parse(row.stats)
+        }));
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+// Fallback when no SQLite driver is installed: one JSON file per platform:username
+class JsonHistoryStore {
+    constructor(directory) {
+        this.name = 'json';
+        this.directory = directory;
+        fs.mkdirSync(directory, { recursive: true });
+        // file -> tail of its write chain, so concurrent snapshots of one user never drop each other
+        this.writeQueues = new Map();
+    }
+
+    filePath(platform, username) {
+        const hash = crypto.createHash('sha1').update(`${platform}:${username}`).digest('hex');
+        return path.join(this.directory, `${hash}.json`);
+    }
+
+    async read(platform, username) {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.filePath(platform, username), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return { platform, username, snapshots: {} };
+            throw error;
+        }
+    }
+
+    put(snapshot) {
+        const file = this.filePath(snapshot.platform, snapshot.username);
+        const run = (this.writeQueues.get(file) || Promise.resolve()).then(async () => {
+            const record = await this.read(snapshot.platform, snapshot.username);
+            record.snapshots[snapshot.day] = snapshot;
+
+            // Write then rename so readers never see a half-written file
+            const tmpFile = `${file}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tmpFile, JSON.stringify(record));
+            await fs.promises.rename(tmpFile, file);
+        });
+
+        const tail = run.catch(() => {});
+        this.writeQueues.set(file, tail);
+        tail.then(() => {
+            if (this.writeQueues.get(file) === tail) {
+                this.writeQueues.delete(file);
+            }
+        });
+        return run;
+    }
+
+    async list(platform, username, from, to) {
+        const record = await this.read(platform, username);
+        return Object.values(record.snapshots)
+            .filter(snapshot => snapshot.day >= from && snapshot.day <= to)
+            .sort((a, b) => a.day.localeCompare(b.day));
+    }
+
+    close() {}
+}
+
+// HISTORY_STORE=sqlite|json|none; SQLite by default, falling back to JSON files when no driver is installed.
+// Files live under HISTORY_DIR (default: <tmpdir>/cp-unified-history).
+function createHistoryStore() {
+    const requested = (process.env.HISTORY_STORE || 'sqlite').toLowerCase();
+    const directory = process.env.HISTORY_DIR || path.join(os.tmpdir(), 'cp-unified-history');
+
+    if (requested === 'none') {
+        return null;
+    }
+
+    try {
+        if (requested === 'sqlite') {
+            if (isSqliteAvailable()) {
+                return new SqliteHistoryStore(path.join(directory, 'history.db'));
+            }
+            console.warn('No SQLite driver installed (better-sqlite3), recording history as JSON files');
+        }
+        return new JsonHistoryStore(directory);
+    } catch (error) {
+        console.warn(`History store unavailable at ${directory}, snapshots will not be recorded:`, error.message);
+        return null;
+    }
+}
+
+class HistoryManager {
+    constructor() {
+        this.store = createHistoryStore();
+        // platform:username -> day last written by this process, so cache hits add at most one row per day
+        this.lastRecorded = new Map();
+        this.stats = { recorded: 0, skipped: 0, errors: 0 };
+    }
+
+    isEnabled() {
+        return this.store !== null;
+    }
+
+    // stats is extractPlatformStats output. force overwrites today's snapshot (fresh upstream data);
+    // otherwise only the first snapshot per day from this process is written. A lower solved count
+    // never replaces a higher one recorded the same day, so one degraded fetch cannot dent the series.
+    async record(platform, username, stats, { force = false, recordedAt = new Date() } = {}) {
+        if (!this.store) return false;
+
+        const normalizedUsername = String(username).toLowerCase();
+        const key = `${platform}:${normalizedUsername}`;
+        const day = toDay(recordedAt);
+
+        if (!force && this.lastRecorded.get(key) === day) {
+            this.stats.skipped++;
+            return false;
+        }
+
+        const metrics = extractSnapshotMetrics(platform, stats);
+        try {
+            const [existing] = await this.store.list(platform, normalizedUsername, day, day);
+            if (existing && existing.problems_solved !== null && metrics.problems_solved !== null
+                && metrics.problems_solved < existing.problems_solved) {
+                this.stats.skipped++;
+                return false;
+            }
+
+            await this.store.put({
+                platform,
+                username: normalizedUsername,
+                day,
+                recorded_at: new Date(recordedAt).toISOString(),
+                problems_solved: metrics.problems_solved,
+                rating: metrics.rating,
+                rank: metrics.rank === null ? null : String(metrics.rank),
+                stats
+            });
+            this.lastRecorded.set(key, day);
+            this.stats.recorded++;
+            return true;
+        } catch (error) {
+            this.stats.errors++;
+            console.warn(`History write failed for ${key}:`, error.message);
+            return false;
+        }
+    }
+
+    // Daily snapshots between from and to (YYYY-MM-DD, inclusive), oldest first
+    async getSnapshots(platform, username, { from = '0000-01-01', to = '9999-12-31' } = {}) {
+        if (!this.store) return [];
+        return this.store.list(platform, String(username).toLowerCase(), from, to);
+    }
+
+    getStats() {
+        return {
+            backend: this.store ? this.store.name : 'disabled',
+            ...this.stats
+        };
+    }
+
+    close() {
+        if (this.store) {
+            this.store.close();
+        }
+    }
+}
+
+module.exports = new HistoryManager();
+module.exports.HistoryManager = HistoryManager;
+module.exports.extractSnapshotMetrics = extractSnapshotMetrics;
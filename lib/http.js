@@ -1,192 +1,175 @@
-const Redis = require('ioredis');
-const { LRUCache } = require('lru-cache');
-
-class CacheManager {
-    constructor() {
-        // Redis client with fallback
-        this.redis = null;
-        this.initRedis();
-        
-        // In-memory LRU cache
-        this.memory = new LRUCache({
-            max: 10000,           // max 10k items
-            ttl: 300000,          // 5 minutes
-            allowStale: true,     // serve stale data if needed
-            updateAgeOnGet: true,
-            fetchMethod: async (key) => {
-                return await this.getFromRedis(key);
-            }
-        });
-        
+const axios = require('axios');
+
+// Token-bucket limits per upstream host. capacity is the burst size,
+// refillPerSecond the sustained request rate.
+const DEFAULT_HOST_LIMITS = {
+    'codeforces.com': { capacity: 1, refillPerSecond: 0.5 },   // API allows 1 call per 2 seconds
+    'leetcode.com': { capacity: 5, refillPerSecond: 2 },
+    'kenkoooo.com': { capacity: 1, refillPerSecond: 1 },       // AtCoder Problems asks for >= 1s between calls
+    'api.github.com': { capacity: 10, refillPerSecond: 5 }
+};
+
+const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE']);
+
+class HttpClient {
+    constructor(options = {}) {
+        this.defaultTimeout = options.timeout || 8000;
+        this.retries = options.retries ?? 3;
+        this.baseDelay = options.baseDelay || 500;       // first backoff window, ms
+        this.maxDelay = options.maxDelay || 10000;       // backoff ceiling, ms
+        this.maxRetryAfter = options.maxRetryAfter || 30000; // give up rather than wait longer than this
+
+        this.hostLimits = {
+            ...DEFAULT_HOST_LIMITS,
+            ...this.loadHostLimitsFromEnv(),
+            ...(options.hostLimits || {})
+        };
+        this.buckets = new Map();
+
         this.stats = {
-            hits: 0,
-            misses: 0,
-            redis_hits: 0,
-            redis_misses: 0,
-            errors: 0
+            requests: 0,
+            retries: 0,
+            failures: 0,
+            throttled: 0,
+            throttled_ms: 0
         };
     }
 
-    async initRedis() {
-        try {
-            this.redis = new Redis({
-                host: process.env.REDIS_HOST || 'localhost',
-                port: process.env.REDIS_PORT || 6379,
-                password: process.env.REDIS_PASSWORD,
-                retryDelayOnFailover: 100,
-                enableOfflineQueue: false,
-                maxRetriesPerRequest: 3,
-                lazyConnect: true,
-                connectTimeout: 5000,
-                commandTimeout: 5000,
-            });
-
-            this.redis.on('error', (err) => {
-                console.warn('Redis connection error:', err.message);
-                this.stats.errors++;
-            });
-
-            this.redis.on('connect', () => {
-                console.log('✅ Redis connected successfully');
-            });
+    async get(url, options = {}) {
+        return this.request({ ...options, method: 'GET', url });
+    }
 
-        } catch (error) {
-            console.warn('Redis initialization failed, using memory-only cache:', error.message);
-            this.redis = null;
+    async post(url, data, options = {}) {
+        return this.request({ ...options, method: 'POST', url, data });
+    }
+
+    async request(config) {
+        const { retries = this.retries, timeout = this.defaultTimeout, ...axiosConfig } = config;
+        const host = this.getHost(axiosConfig.url);
+
+        for (let attempt = 0; ; attempt++) {
+            await this.acquire(host);
+            this.stats.requests++;
+
+            try {
+                return await axios.request({ ...axiosConfig, timeout });
+            } catch (error) {
+                const delay = attempt < retries ? this.getRetryDelay(error, attempt) : null;
+                if (delay === null) {
+                    this.stats.failures++;
+                    throw error;
+                }
+
+                this.stats.retries++;
+                console.log(`Retrying ${axiosConfig.url} in ${delay}ms (attempt ${attempt + 1}/${retries}): ${error.message}`);
+                await this.sleep(delay);
+            }
         }
     }
 
-    async getFromRedis(key) {
-        if (!this.redis) return null;
-        
-        try {
-            const data = await this.redis.get(key);
-            if (data) {
-                this.stats.redis_hits++;
-                return JSON.parse(data);
+    // Returns the wait before the next attempt, or null when the error is not worth retrying
+    getRetryDelay(error, attempt) {
+        const status = error.response?.status;
+
+        if (status) {
+            if (!RETRYABLE_STATUS.has(status)) return null;
+
+            if (status === 429 || status === 503) {
+                const retryAfter = this.parseRetryAfter(error.response.headers?.['retry-after']);
+                if (retryAfter !== null) {
+                    return retryAfter <= this.maxRetryAfter ? retryAfter : null;
+                }
             }
-            this.stats.redis_misses++;
+        } else if (!RETRYABLE_CODES.has(error.code)) {
             return null;
+        }
+
+        // Exponential backoff with full jitter
+        const ceiling = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt));
+        return Math.floor(Math.random() * ceiling);
+    }
+
+    parseRetryAfter(value) {
+        if (value === undefined || value === null || value === '') return null;
+
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+        const date = Date.parse(value);
+        if (!isNaN(date)) return Math.max(0, date - Date.now());
+
+        return null;
+    }
+
+    getHost(url) {
+        try {
+            return new URL(url).hostname;
         } catch (error) {
-            console.warn('Redis get error:', error.message);
-            this.stats.errors++;
             return null;
         }
     }
 
-    async setToRedis(key, data, ttl = 7200) {
-        if (!this.redis) return;
-        
+    getHostLimit(host) {
+        if (!host) return null;
+        const match = Object.keys(this.hostLimits).find(limited =>
+            host === limited || host.endsWith(`.${limited}`)
+        );
+        return match ? { key: match, ...this.hostLimits[match] } : null;
+    }
+
+    // HTTP_HOST_LIMITS='{"codeforces.com":{"capacity":2,"refillPerSecond":1}}'
+    loadHostLimitsFromEnv() {
+        if (!process.env.HTTP_HOST_LIMITS) return {};
         try {
-            await this.redis.setex(key, ttl, JSON.stringify(data));
+            return JSON.parse(process.env.HTTP_HOST_LIMITS);
         } catch (error) {
-            console.warn('Redis set error:', error.message);
-            this.stats.errors++;
+            console.warn('Ignoring invalid HTTP_HOST_LIMITS:', error.message);
+            return {};
         }
     }
 
-    async cached(key, ttl = 7200, fetcher) {
-        const startTime = Date.now();
-        
-        try {
-            // 1. Check memory cache first
-            let data = this.memory.get(key);
-            if (data) {
-                this.stats.hits++;
-                return {
-                    ...data,
-                    cache_info: {
-                        hit: true,
-                        source: 'memory',
-                        fetch_time: Date.now() - startTime
-                    }
-                };
-            }
+    setHostLimit(host, { capacity, refillPerSecond }) {
+        this.hostLimits[host] = { capacity, refillPerSecond };
+        this.buckets.delete(host);
+    }
 
-            // 2. Check Redis cache
-            data = await this.getFromRedis(key);
-            if (data) {
-                this.memory.set(key, data);
-                this.stats.hits++;
-                return {
-                    ...data,
-                    cache_info: {
-                        hit: true,
-                        source: 'redis',
-                        fetch_time: Date.now() - startTime
-                    }
-                };
-            }
+    async acquire(host) {
+        const limit = this.getHostLimit(host);
+        if (!limit) return;
 
-            // 3. Fetch fresh data
-            this.stats.misses++;
-            const fresh = await fetcher();
-            
-            // Store in both caches
-            this.memory.set(key, fresh);
-            await this.setToRedis(key, fresh, ttl);
-            
-            return {
-                ...fresh,
-                cache_info: {
-                    hit: false,
-                    source: 'fresh',
-                    fetch_time: Date.now() - startTime
-                }
-            };
+        const now = Date.now();
+        let bucket = this.buckets.get(limit.key);
+        if (!bucket) {
+            bucket = { tokens: limit.capacity, updatedAt: now };
+            this.buckets.set(limit.key, bucket);
+        }
 
-        } catch (error) {
-            this.stats.errors++;
-            console.error('Cache operation failed:', error.message);
-            
-            // Try to return stale data if available
-            const stale = this.memory.get(key, { allowStale: true });
-            if (stale) {
-                return {
-                    ...stale,
-                    cache_info: {
-                        hit: true,
-                        source: 'stale',
-                        fetch_time: Date.now() - startTime,
-                        error: error.message
-                    }
-                };
-            }
-            
-            throw error;
+        // Refill, then reserve a token. A negative balance queues callers behind each other.
+        const elapsed = (now - bucket.updatedAt) / 1000;
+        bucket.tokens = Math.min(limit.capacity, bucket.tokens + elapsed * limit.refillPerSecond);
+        bucket.updatedAt = now;
+        bucket.tokens -= 1;
+
+        if (bucket.tokens < 0) {
+            const wait = Math.ceil((-bucket.tokens / limit.refillPerSecond) * 1000);
+            this.stats.throttled++;
+            this.stats.throttled_ms += wait;
+            await this.sleep(wait);
         }
     }
 
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
     getStats() {
-        const total = this.stats.hits + this.stats.misses;
         return {
             ...this.stats,
-            hit_rate: total > 0 ? (this.stats.hits / total * 100).toFixed(2) + '%' : '0%',
-            memory_size: this.memory.size,
-            memory_max: this.memory.max,
-            redis_connected: this.redis ? this.redis.status === 'ready' : false
+            host_limits: this.hostLimits
         };
     }
-
-    async clear(pattern = '*') {
-        this.memory.clear();
-        if (this.redis) {
-            try {
-                const keys = await this.redis.keys(pattern);
-                if (keys.length > 0) {
-                    await this.redis.del(...keys);
-                }
-            } catch (error) {
-                console.warn('Redis clear error:', error.message);
-            }
-        }
-    }
-
-    async disconnect() {
-        if (this.redis) {
-            await this.redis.disconnect();
-        }
-    }
 }
 
-module.exports = new CacheManager();
\ No newline at end of file
+module.exports = new HttpClient();
+module.exports.HttpClient = HttpClient;
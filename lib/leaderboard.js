@@ -0,0 +1,64 @@
+// Pure ranking and CSV helpers behind /api/groups/:groupId/leaderboard
+
+const LEADERBOARD_SORTS = ['total_solved', 'rating', 'weekly_delta', 'current_streak'];
+const LEADERBOARD_RATING_PLATFORMS = ['codeforces', 'codechef', 'leetcode'];
+// Equal primary values fall through these (minus the primary itself), then profile id
+const LEADERBOARD_TIE_BREAKERS = ['total_solved', 'weekly_delta', 'current_streak'];
+
+// Sorts descending with nulls last, then by the tie-breakers and profile id.
+// Rows equal on every metric share a rank (1, 2, 2, 4).
+function rankLeaderboard(rows, sort, platform) {
+    const metric = (row, key) => (key === 'rating' ? row.ratings[platform] : row[key]);
+    const keys = [sort, ...LEADERBOARD_TIE_BREAKERS.filter(key => key !== sort)];
+    const compareMetrics = (a, b) => {
+        for (const key of keys) {
+            const left = metric(a, key);
+            const right = metric(b, key);
+            if (left === right) continue;
+            if (left === null) return 1;
+            if (right === null) return -1;
+            return right - left;
+        }
+        return 0;
+    };
+
+    const sorted = [...rows].sort((a, b) => compareMetrics(a, b) || a.profile_id.localeCompare(b.profile_id));
+    let rank = 0;
+    return sorted.map((row, index) => {
+        if (index === 0 || compareMetrics(sorted[index - 1], row) !== 0) {
+            rank = index + 1;
+        }
+        return { rank, ...row };
+    });
+}
+
+// Text cells starting with =, +, -, @, tab or CR would run as spreadsheet formulas, so they get a leading '
+function toCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildLeaderboardCSV(rows) {
+    const header = ['rank', 'profile_id', 'display_name', 'total_solved',
+        ...LEADERBOARD_RATING_PLATFORMS.map(platform => `${platform}_rating`), 'weekly_delta', 'current_streak'];
+    const lines = rows.map(row => [
+        row.rank,
+        row.profile_id,
+        row.display_name,
+        row.total_solved,
+        ...LEADERBOARD_RATING_PLATFORMS.map(platform => row.ratings[platform]),
+        row.weekly_delta,
+        row.current_streak
+    ].map(toCsvValue).join(','));
+    return [header.join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    LEADERBOARD_SORTS,
+    LEADERBOARD_RATING_PLATFORMS,
+    LEADERBOARD_TIE_BREAKERS,
+    rankLeaderboard,
+    toCsvValue,
+    buildLeaderboardCSV
+};
@@ -2,11 +2,34 @@ const cheerio = require('cheerio');
 const cache = require('../lib/cache');
 const http = require('../lib/http');
 
+// Cache TTLs in seconds. Platforms whose data moves with every submission get
+// shorter windows; scraped or slow-changing profiles are kept longer.
+const PLATFORM_TTLS = {
+    leetcode: 3600,
+    codeforces: 1800,
+    codechef: 7200,
+    atcoder: 3600,
+    github: 1800,
+    geeksforgeeks: 21600,
+    hackerrank: 21600,
+    interviewbit: 86400,
+    codestudio: 86400
+};
+
+// Only successful (or permanently unavailable) responses are worth caching
+const CACHEABLE_STATUSES = new Set(['OK', 'NOT_AVAILABLE']);
+
+// Partial responses (some upstream sources failed) are served but never cached, so a stale
+// complete copy keeps being served and the next request tries the failed sources again
+function isCacheable(data) {
+    return CACHEABLE_STATUSES.has(data?.status) && !data.partial;
+}
+
 class BaseAPI {
     constructor(platformName) {
         this.platform = platformName;
         this.timeout = 8000;
-        this.defaultTTL = 7200; // 2 hours
+        this.defaultTTL = PLATFORM_TTLS[platformName] || 7200; // 2 hours
     }
 
     async getUserData(username) {
@@ -14,13 +37,30 @@ class BaseAPI {
             throw new Error('Valid username is required');
         }
 
-        const cacheKey = `${this.platform}:${username.toLowerCase()}`;
-        
-        return cache.cached(cacheKey, this.defaultTTL, async () => {
+        return cache.cached(this.getCacheKey(username), this.defaultTTL, async () => {
             return await this.fetchUserData(username);
+        }, {
+            shouldCache: isCacheable
         });
     }
 
+    // Bypasses freshness checks, e.g. for admin-triggered refreshes
+    async refreshUserData(username) {
+        if (!username || typeof username !== 'string') {
+            throw new Error('Valid username is required');
+        }
+
+        return cache.refresh(this.getCacheKey(username), this.defaultTTL, async () => {
+            return await this.fetchUserData(username);
+        }, {
+            shouldCache: isCacheable
+        });
+    }
+
+    getCacheKey(username) {
+        return `${this.platform}:${username.toLowerCase()}`;
+    }
+
     async fetchUserData(username) {
         throw new Error('fetchUserData must be implemented by subclass');
     }
@@ -35,6 +75,15 @@ class BaseAPI {
         };
     }
 
+    // OK response built without some upstream sources, e.g. ['user.status']
+    createPartialResponse(username, data, missingSources) {
+        return {
+            ...this.createSuccessResponse(username, data),
+            partial: true,
+            missing_sources: missingSources
+        };
+    }
+
     createErrorResponse(username, error, status = "FAILED") {
         return {
             status: status,
@@ -59,8 +108,12 @@ class BaseAPI {
         try {
             const response = await http.get(url, {
                 timeout: this.timeout,
-                ...options
-            }, fallback);
+                ...options,
+                headers: {
+                    'User-Agent': 'MultiPlatform-Dashboard-API',
+                    ...(options.headers || {})
+                }
+            });
             
             return response;
         } catch (error) {
@@ -72,18 +125,165 @@ class BaseAPI {
     }
 }
 
-// LeetCode API with cheerio optimization
+// leetcode.com/graphql operations; responses are mapped to the shapes the alfa proxy returned
+const LEETCODE_QUERIES = {
+    profile: `
+        query userPublicProfile($username: String!) {
+            matchedUser(username: $username) {
+                username
+                profile {
+                    realName
+                    userAvatar
+                    ranking
+                    reputation
+                    aboutMe
+                    countryName
+                    company
+                    school
+                }
+            }
+        }`,
+    solved: `
+        query userProblemsSolved($username: String!) {
+            matchedUser(username: $username) {
+                submitStatsGlobal {
+                    acSubmissionNum { difficulty count submissions }
+                    totalSubmissionNum { difficulty count submissions }
+                }
+            }
+        }`,
+    calendar: `
+        query userProfileCalendar($username: String!, $year: Int) {
+            matchedUser(username: $username) {
+                userCalendar(year: $year) {
+                    activeYears
+                    streak
+                    totalActiveDays
+                    submissionCalendar
+                }
+            }
+        }`,
+    contest: `
+        query userContestRankingInfo($username: String!) {
+            userContestRanking(username: $username) {
+                attendedContestsCount
+                rating
+                globalRanking
+                totalParticipants
+                topPercentage
+                badge { name }
+            }
+            userContestRankingHistory(username: $username) {
+                attended
+                trendDirection
+                problemsSolved
+                totalProblems
+                finishTimeInSeconds
+                rating
+                ranking
+                contest { title titleSlug startTime }
+            }
+        }`,
+    languages: `
+        query languageStats($username: String!) {
+            matchedUser(username: $username) {
+                languageProblemCount { languageName problemsSolved }
+            }
+        }`,
+    skills: `
+        query skillStats($username: String!) {
+            matchedUser(username: $username) {
+                tagProblemCounts {
+                    advanced { tagName tagSlug problemsSolved }
+                    intermediate { tagName tagSlug problemsSolved }
+                    fundamental { tagName tagSlug problemsSolved }
+                }
+            }
+        }`,
+    badges: `
+        query userBadges($username: String!) {
+            matchedUser(username: $username) {
+                badges { id displayName icon creationDate category }
+                upcomingBadges { name icon progress }
+                activeBadge { id displayName icon creationDate }
+            }
+        }`,
+    recentAc: `
+        query recentAcSubmissions($username: String!, $limit: Int!) {
+            recentAcSubmissionList(username: $username, limit: $limit) {
+                id
+                title
+                titleSlug
+                timestamp
+                lang
+            }
+        }`,
+    // Only answers for the signed-in account (LEETCODE_SESSION)
+    progress: `
+        query userProgressQuestionList($filters: UserProgressQuestionListInput) {
+            userProgressQuestionList(filters: $filters) {
+                totalNum
+                questions {
+                    title
+                    titleSlug
+                    difficulty
+                    lastSubmittedAt
+                    topicTags { name slug }
+                }
+            }
+        }`,
+    daily: `
+        query questionOfToday {
+            activeDailyCodingChallengeQuestion {
+                date
+                link
+                question {
+                    questionId
+                    questionFrontendId
+                    title
+                    titleSlug
+                    difficulty
+                    isPaidOnly
+                    acRate
+                    topicTags { name slug }
+                }
+            }
+        }`
+};
+
+// Difficulty and tags for several problems in one request: p0: question(titleSlug: $s0) { ... }, p1: ...
+function buildProblemDetailsQuery(count) {
+    const indexes = Array.from({ length: count }, (_, index) => index);
+    return `
+        query problemDetails(${indexes.map(index => `$s${index}: String!`).join(', ')}) {
+            ${indexes.map(index => `p${index}: question(titleSlug: $s${index}) { title titleSlug difficulty topicTags { name slug } }`).join('\n            ')}
+        }`;
+}
+
+const LEETCODE_RECENT_AC_LIMIT = parseInt(process.env.LEETCODE_RECENT_AC_LIMIT) || 20;
+const LEETCODE_PROGRESS_PAGE_SIZE = 100;
+const LEETCODE_PROGRESS_MAX_PAGES = 50;
+const LEETCODE_INITIAL_RATING = 1500;
+
+// LeetCode API - leetcode.com/graphql, with an optional alfa-leetcode-api deployment as fallback
+// (LEETCODE_API_URL, or LOCAL_LEETCODE_API for a self-hosted one) when a GraphQL query fails.
+// LEETCODE_SESSION (+ LEETCODE_CSRF_TOKEN) signed in as LEETCODE_SESSION_USERNAME unlocks that
+// account's complete solved-problem list; everyone else gets it built from recent accepted submissions.
 class LeetCodeAPI extends BaseAPI {
     constructor() {
         super('leetcode');
-        this.alfaURL = process.env.LEETCODE_API_URL || 'https://alfa-leetcode-api.onrender.com';
-        this.localAPI = process.env.LOCAL_LEETCODE_API || 'http://localhost:8000';
-        this.graphqlURL = 'https://leetcode.com/graphql';
+        this.graphqlURL = process.env.LEETCODE_GRAPHQL_URL || 'https://leetcode.com/graphql';
+        this.alfaURL = process.env.LEETCODE_API_URL || process.env.LOCAL_LEETCODE_API || null;
+        this.session = process.env.LEETCODE_SESSION || null;
+        this.csrfToken = process.env.LEETCODE_CSRF_TOKEN || null;
+        this.sessionUsername = (process.env.LEETCODE_SESSION_USERNAME || '').toLowerCase();
+        this.timeout = 15000;
+        this.userAgent = 'Mozilla/5.0 (compatible; LeetCode-Portfolio-API)';
     }
 
     async fetchUserData(username) {
         try {
-            const [profile, solved, calendar, contests, languages, skills, badges, daily] = 
+            const [profile, solved, calendar, contests, languages, skills, badges, daily, recentAc] = 
                 await Promise.allSettled([
                     this.fetchProfile(username),
                     this.fetchSolvedStats(username),
@@ -92,32 +292,47 @@ class LeetCodeAPI extends BaseAPI {
                     this.fetchLanguageStats(username),
                     this.fetchSkillStats(username),
                     this.fetchBadges(username),
-                    this.fetchDailyProblem()
+                    this.fetchDailyProblem(),
+                    this.fetchRecentAcSubmissions(username)
                 ]);
 
-            const profileData = profile.status === 'fulfilled' ? profile.value : {};
-            const solvedData = solved.status === 'fulfilled' ? solved.value : {};
-            const calendarData = calendar.status === 'fulfilled' ? calendar.value : {};
-            const contestData = contests.status === 'fulfilled' ? contests.value : {};
-            const languageData = languages.status === 'fulfilled' ? languages.value : {};
-            const skillData = skills.status === 'fulfilled' ? skills.value : [];
+            if (profile.status === 'rejected' && profile.reason?.notFound) {
+                return this.createErrorResponse(username, "User not found");
+            }
+
+            const profileData = profile.status === 'fulfilled' ? profile.value : null;
+            const solvedData = solved.status === 'fulfilled' ? solved.value : null;
+            const calendarData = calendar.status === 'fulfilled' ? calendar.value : null;
+            const contestData = contests.status === 'fulfilled' ? contests.value : null;
+            const languageData = languages.status === 'fulfilled' ? languages.value : null;
+            const skillData = skills.status === 'fulfilled' ? skills.value : null;
             const badgeData = badges.status === 'fulfilled' ? badges.value : [];
             const dailyData = daily.status === 'fulfilled' ? daily.value : null;
+            const recentAcData = recentAc.status === 'fulfilled' ? recentAc.value : [];
+            const solvedProblems = await this.fetchSolvedProblems(username, recentAcData, solvedData?.totalSolved);
+
+            if (!profileData && !solvedData && !contestData) {
+                const sources = this.alfaURL ? 'leetcode.com/graphql or the alfa fallback' : 'leetcode.com/graphql';
+                return this.createErrorResponse(username, `LeetCode data unavailable from ${sources}`);
+            }
 
             return this.createSuccessResponse(username, {
                 profile: {
                     name: profileData?.name || username,
                     avatar: profileData?.avatar || null,
                     ranking: profileData?.ranking || null,
-                    reputation: profileData?.reputation || null
+                    reputation: profileData?.reputation || null,
+                    about: profileData?.about || null
                 },
-                solvedStats: solvedData,
+                solvedStats: solvedData || [],
                 contests: contestData,
                 calendar_data: calendarData,
-                skills: skillData,
+                skills: skillData || [],
                 badges: badgeData,
                 languageStats: languageData,
-                dailyProblem: dailyData,
+                dailyProblem: dailyData || null,
+                recentAcSubmissions: recentAcData,
+                solvedProblems: solvedProblems,
                 detailed_stats: {
                     total_solved: solvedData?.totalSolved || 0,
                     easy_solved: solvedData?.easySolved || 0,
@@ -134,114 +349,465 @@ class LeetCodeAPI extends BaseAPI {
         }
     }
 
-    async fetchProfile(username) {
+    // Returns the query's data; throws on transport errors or when LeetCode sent errors and no data.
+    // authenticated sends the configured session cookie.
+    async graphql(query, variables = {}, { authenticated = false } = {}) {
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': this.userAgent,
+            'Referer': 'https://leetcode.com'
+        };
+        if (authenticated) {
+            headers.Cookie = `LEETCODE_SESSION=${this.session}${this.csrfToken ? `; csrftoken=${this.csrfToken}` : ''}`;
+            if (this.csrfToken) headers['x-csrftoken'] = this.csrfToken;
+        }
+
+        const response = await http.post(this.graphqlURL, { query, variables }, {
+            timeout: this.timeout,
+            headers: headers
+        });
+
+        const body = response.data || {};
+        if (!body.data) {
+            throw new Error(body.errors?.[0]?.message || 'Empty GraphQL response');
+        }
+        return body.data;
+    }
+
+    // GraphQL first, then the alfa proxy when one is configured. Lookups of a user that does
+    // not exist are not retried. Resolves to defaultValue when every source failed.
+    async withFallback(label, fromGraphQL, fromAlfa, defaultValue = null) {
         try {
-            const response = await this.safeRequest(`${this.alfaURL}/${username}`);
-            return response.data;
+            return await fromGraphQL();
         } catch (error) {
-            console.warn(`LeetCode profile fetch failed: ${error.message}`);
-            return {};
+            if (error.notFound) throw error;
+            if (!this.alfaURL) {
+                console.warn(`LeetCode ${label} fetch failed: ${error.message}`);
+                return defaultValue;
+            }
+            console.warn(`LeetCode ${label} GraphQL fetch failed, trying alfa: ${error.message}`);
+        }
+
+        try {
+            return await fromAlfa();
+        } catch (error) {
+            console.warn(`LeetCode ${label} fetch failed: ${error.message}`);
+            return defaultValue;
         }
     }
 
+    async fetchProfile(username) {
+        return this.withFallback('profile', async () => {
+            const data = await this.graphql(LEETCODE_QUERIES.profile, { username });
+            if (!data.matchedUser) {
+                const error = new Error(`LeetCode user '${username}' does not exist`);
+                error.notFound = true;
+                throw error;
+            }
+
+            const profile = data.matchedUser.profile || {};
+            return {
+                username: data.matchedUser.username,
+                name: profile.realName || null,
+                avatar: profile.userAvatar || null,
+                ranking: profile.ranking || null,
+                reputation: profile.reputation || null,
+                about: profile.aboutMe || null,
+                country: profile.countryName || null,
+                company: profile.company || null,
+                school: profile.school || null
+            };
+        }, async () => {
+            const response = await this.safeRequest(`${this.alfaURL}/${username}`);
+            return response.data;
+        });
+    }
+
     async fetchSolvedStats(username) {
-        try {
-            const response = await this.safeRequest(`${this.alfaURL}/${username}/solved`);
-            const data = response.data;
-            
-            const totalSubmissions = data.totalSubmissionNum?.[0]?.submissions || 0;
-            const acceptedSubmissions = data.acSubmissionNum?.[0]?.submissions || 0;
+        const data = await this.withFallback('solved stats', async () => {
+            const stats = (await this.graphql(LEETCODE_QUERIES.solved, { username })).matchedUser?.submitStatsGlobal;
+            if (!stats) throw new Error('Missing submitStatsGlobal');
 
+            const solvedCount = difficulty => stats.acSubmissionNum.find(entry => entry.difficulty === difficulty)?.count || 0;
             return {
-                totalSolved: data.solvedProblem || 0,
-                easySolved: data.easySolved || 0,
-                mediumSolved: data.mediumSolved || 0,
-                hardSolved: data.hardSolved || 0,
-                totalSubmissionsCount: totalSubmissions,
-                acceptance_rate: totalSubmissions > 0 
-                    ? Math.round((acceptedSubmissions / totalSubmissions) * 100 * 100) / 100 
-                    : 0,
-                totalSubmissions: data.totalSubmissionNum || []
+                solvedProblem: solvedCount('All'),
+                easySolved: solvedCount('Easy'),
+                mediumSolved: solvedCount('Medium'),
+                hardSolved: solvedCount('Hard'),
+                totalSubmissionNum: stats.totalSubmissionNum,
+                acSubmissionNum: stats.acSubmissionNum
             };
-        } catch (error) {
-            console.warn(`LeetCode solved stats fetch failed: ${error.message}`);
-            return {};
-        }
+        }, async () => {
+            const response = await this.safeRequest(`${this.alfaURL}/${username}/solved`);
+            return response.data;
+        });
+        if (!data) return null;
+
+        const totalSubmissions = data.totalSubmissionNum?.[0]?.submissions || 0;
+        const acceptedSubmissions = data.acSubmissionNum?.[0]?.submissions || 0;
+
+        return {
+            totalSolved: data.solvedProblem || 0,
+            easySolved: data.easySolved || 0,
+            mediumSolved: data.mediumSolved || 0,
+            hardSolved: data.hardSolved || 0,
+            totalsubmissionsCount: totalSubmissions,
+            acceptance_rate: totalSubmissions > 0 
+                ? Math.round((acceptedSubmissions / totalSubmissions) * 100 * 100) / 100 
+                : 0,
+            totalSubmissions: data.totalSubmissionNum || []
+        };
     }
 
-    async fetchCalendarData(username, year = new Date().getFullYear()) {
+    // Fetches a seed year to discover activeYears, then every active year in parallel.
+    // Returns top-level totals plus one node per year keyed by the year number.
+    async fetchCalendarData(username, defaultYear = new Date().getFullYear()) {
         try {
-            const response = await this.safeRequest(
-                `${this.localAPI}/userProfileCalendar?username=${username}&year=${year}`
-            );
-            
-            const calendarData = response.data?.data?.matchedUser?.userCalendar;
-            if (!calendarData) return {};
+            const seedCalendar = await this.fetchCalendarYear(username, defaultYear);
+            if (!seedCalendar) {
+                throw new Error('Seed response missing userCalendar');
+            }
 
-            return {
-                [year]: {
-                    totalSubmissions: this.getTotalSubmissionsCount(calendarData.submissionCalendar || {}),
-                    totalActiveDays: calendarData.totalActiveDays || 0,
-                    maxStreak: calendarData.streak || 0,
-                    submissionCalendar: this.getDateSubmissionList(calendarData.submissionCalendar || {}),
-                    dataSource: 'api',
-                    lastUpdated: new Date().toISOString()
+            const activeYears = Array.isArray(seedCalendar.activeYears) ? seedCalendar.activeYears : [];
+            const yearsToFetch = activeYears.length ? activeYears : [defaultYear];
+
+            const fetchYear = async (year) => {
+                try {
+                    const data = year === defaultYear ? seedCalendar : await this.fetchCalendarYear(username, year);
+                    if (!data) throw new Error(`Missing userCalendar for ${year}`);
+
+                    const yearActiveYears = Array.isArray(data.activeYears) ? data.activeYears : activeYears;
+
+                    return {
+                        year,
+                        value: {
+                            totalSubmissions: this.getTotalSubmissionsCount(data.submissionCalendar || {}),
+                            totalActiveDays: data.totalActiveDays ?? 0,
+                            maxstreak: data.streak ?? 0,
+                            submission_calendar_data: this.getDateSubmissionList(data.submissionCalendar || {}),
+                            dataSource: data.dataSource,
+                            lastUpdated: new Date().toISOString(),
+                            yearRange: {
+                                start: yearActiveYears[0] || null,
+                                end: yearActiveYears[yearActiveYears.length - 1] || null
+                            }
+                        }
+                    };
+                } catch (error) {
+                    console.warn(`LeetCode calendar year ${year} fetch failed: ${error.message}`);
+                    return {
+                        year,
+                        value: {
+                            ...this.getFallbackCalendarData(),
+                            yearRange: { start: null, end: null }
+                        }
+                    };
                 }
             };
+
+            const results = await Promise.all(yearsToFetch.map(fetchYear));
+            const perYearMap = results.reduce((acc, { year, value }) => {
+                acc[year] = value;
+                return acc;
+            }, {});
+
+            const allYears = Object.keys(perYearMap).map(Number).sort((a, b) => a - b);
+
+            return {
+                username,
+                activeYears: allYears,
+                range: {
+                    start: allYears[0] ?? null,
+                    end: allYears[allYears.length - 1] ?? null
+                },
+                totals: {
+                    totalSubmissions: allYears.reduce((sum, y) => sum + (perYearMap[y]?.totalSubmissions ?? 0), 0),
+                    totalActiveDays: allYears.reduce((sum, y) => sum + (perYearMap[y]?.totalActiveDays ?? 0), 0),
+                    maxStreakOverall: Math.max(...allYears.map(y => perYearMap[y]?.maxstreak ?? 0), 0)
+                },
+                dataSource: seedCalendar.dataSource,
+                lastUpdated: new Date().toISOString(),
+                ...perYearMap
+            };
         } catch (error) {
             console.warn(`LeetCode calendar fetch failed: ${error.message}`);
-            return this.getFallbackCalendarData();
+            return {
+                username,
+                activeYears: [],
+                range: { start: null, end: null },
+                totals: { totalSubmissions: 0, totalActiveDays: 0, maxStreakOverall: 0 },
+                dataSource: 'unknown',
+                lastUpdated: new Date().toISOString(),
+                [defaultYear]: {
+                    ...this.getFallbackCalendarData(),
+                    dataSource: 'unknown',
+                    yearRange: { start: null, end: null }
+                }
+            };
         }
     }
 
+    // userCalendar for one year, tagged with the source that answered ('graphql' or 'alfa')
+    async fetchCalendarYear(username, year) {
+        return this.withFallback(`calendar ${year}`, async () => {
+            const data = await this.graphql(LEETCODE_QUERIES.calendar, { username, year: Number(year) });
+            const calendar = data.matchedUser?.userCalendar;
+            return calendar ? { ...calendar, dataSource: 'graphql' } : null;
+        }, async () => {
+            const response = await this.safeRequest(
+                `${this.alfaURL}/userProfileCalendar?username=${encodeURIComponent(username)}&year=${encodeURIComponent(year)}`,
+                { headers: { 'User-Agent': this.userAgent } }
+            );
+            const calendar = response.data?.data?.matchedUser?.userCalendar;
+            return calendar ? { ...calendar, dataSource: 'alfa' } : null;
+        });
+    }
+
     async fetchContestData(username) {
-        try {
+        const data = await this.withFallback('contest data', async () => {
+            const data = await this.graphql(LEETCODE_QUERIES.contest, { username });
+            const ranking = data.userContestRanking || {};
+            return {
+                contestAttend: ranking.attendedContestsCount || 0,
+                contestRating: ranking.rating || 0,
+                contestGlobalRanking: ranking.globalRanking || 0,
+                totalParticipants: ranking.totalParticipants || 0,
+                contestTopPercentage: ranking.topPercentage || null,
+                contestBadges: ranking.badge || null,
+                contestParticipation: (data.userContestRankingHistory || []).filter(entry => entry.attended)
+            };
+        }, async () => {
             const response = await this.safeRequest(`${this.alfaURL}/${username}/contest`);
             return response.data;
-        } catch (error) {
-            console.warn(`LeetCode contest data fetch failed: ${error.message}`);
-            return {};
-        }
+        });
+        return data ? this.processContestData(data) : null;
+    }
+
+    // Adds the fields CodeForcesAPI.processContestData produces (contestsAttended, recentContests,
+    // best/worst rank, rating swings, ratingProgression) so charts and aggregations treat both alike.
+    // contestHistory is every attended contest; LeetCode only reports the rating after each one.
+    processContestData(data) {
+        const attended = (data.contestParticipation || [])
+            .filter(entry => entry.attended !== false && entry.contest && entry.rating)
+            .sort((a, b) => (a.contest.startTime || 0) - (b.contest.startTime || 0));
+
+        let previousRating = LEETCODE_INITIAL_RATING;
+        const history = attended.map(entry => {
+            const newRating = Math.round(entry.rating);
+            const contest = {
+                contestId: entry.contest.titleSlug || null,
+                contestName: entry.contest.title,
+                rank: entry.ranking || null,
+                oldRating: previousRating,
+                newRating: newRating,
+                ratingChange: newRating - previousRating,
+                participationTime: new Date((entry.contest.startTime || 0) * 1000).toISOString(),
+                problemsSolved: entry.problemsSolved ?? null,
+                totalProblems: entry.totalProblems ?? null,
+                finishTimeInSeconds: entry.finishTimeInSeconds ?? null
+            };
+            previousRating = newRating;
+            return contest;
+        });
+
+        const ranks = history.map(contest => contest.rank).filter(rank => rank);
+        const changes = history.map(contest => contest.ratingChange);
+
+        return {
+            ...data,
+            contestParticipation: attended,
+            contestsAttended: history.length,
+            contestHistory: history,
+            recentContests: history.slice(-10),
+            bestRank: ranks.length > 0 ? Math.min(...ranks) : null,
+            worstRank: ranks.length > 0 ? Math.max(...ranks) : null,
+            maxRating: history.length > 0 ? Math.max(...history.map(contest => contest.newRating)) : null,
+            maxRatingGain: changes.length > 0 ? Math.max(...changes) : 0,
+            maxRatingLoss: changes.length > 0 ? Math.min(...changes) : 0,
+            ratingProgression: history.map(contest => ({
+                date: contest.participationTime,
+                rating: contest.newRating,
+                contest: contest.contestName
+            }))
+        };
     }
 
     async fetchLanguageStats(username) {
-        try {
+        return this.withFallback('language stats', async () => {
+            return (await this.graphql(LEETCODE_QUERIES.languages, { username })).matchedUser || null;
+        }, async () => {
             const response = await this.safeRequest(`${this.alfaURL}/languageStats?username=${username}`);
-            return response.data?.matchedUser || {};
-        } catch (error) {
-            console.warn(`LeetCode language stats fetch failed: ${error.message}`);
-            return {};
-        }
+            return response.data?.matchedUser || null;
+        });
     }
 
     async fetchSkillStats(username) {
-        try {
+        return this.withFallback('skill stats', async () => {
+            return (await this.graphql(LEETCODE_QUERIES.skills, { username })).matchedUser?.tagProblemCounts || [];
+        }, async () => {
             const response = await this.safeRequest(`${this.alfaURL}/skillStats/${username}`);
             return response.data?.data?.matchedUser?.tagProblemCounts || [];
-        } catch (error) {
-            console.warn(`LeetCode skill stats fetch failed: ${error.message}`);
-            return [];
-        }
+        });
     }
 
     async fetchBadges(username) {
-        try {
+        return this.withFallback('badges', async () => {
+            const user = (await this.graphql(LEETCODE_QUERIES.badges, { username })).matchedUser || {};
+            return {
+                badgesCount: (user.badges || []).length,
+                badges: user.badges || [],
+                upcomingBadges: user.upcomingBadges || [],
+                activeBadge: user.activeBadge || null
+            };
+        }, async () => {
             const response = await this.safeRequest(`${this.alfaURL}/${username}/badges`);
             return response.data || [];
+        }, []);
+    }
+
+    // Newest first: [{ id, title, titleSlug, timestamp (ISO), lang }]
+    async fetchRecentAcSubmissions(username, limit = LEETCODE_RECENT_AC_LIMIT) {
+        const submissions = await this.withFallback('recent AC submissions', async () => {
+            const data = await this.graphql(LEETCODE_QUERIES.recentAc, { username, limit });
+            return data.recentAcSubmissionList || [];
+        }, async () => {
+            const response = await this.safeRequest(`${this.alfaURL}/${username}/acSubmission?limit=${limit}`);
+            return response.data?.submission || [];
+        }, []);
+
+        return submissions.map(submission => ({
+            id: submission.id || null,
+            title: submission.title,
+            titleSlug: submission.titleSlug,
+            timestamp: new Date(parseInt(submission.timestamp, 10) * 1000).toISOString(),
+            lang: submission.lang || null
+        }));
+    }
+
+    // { source, complete, count, problems: [{ title, titleSlug, difficulty, topicTags, lastAcceptedAt }], topics }
+    // 'progress' is the account's full list (session configured for this user); otherwise 'recent_ac'
+    // covers only the problems in recentAcSubmissions and complete is false unless that is all of them.
+    async fetchSolvedProblems(username, recentAcSubmissions = [], totalSolved = null) {
+        let source = 'recent_ac';
+        let problems = null;
+
+        if (this.session && this.sessionUsername === username.toLowerCase()) {
+            try {
+                problems = await this.fetchProgressQuestions();
+                source = 'progress';
+            } catch (error) {
+                console.warn(`LeetCode solved problem list fetch failed, using recent submissions: ${error.message}`);
+            }
+        }
+
+        if (!problems) {
+            const latestBySlug = new Map();
+            recentAcSubmissions.forEach(submission => {
+                if (!latestBySlug.has(submission.titleSlug)) {
+                    latestBySlug.set(submission.titleSlug, submission);
+                }
+            });
+            const details = await this.fetchProblemDetails([...latestBySlug.keys()]);
+            problems = [...latestBySlug.values()].map(submission => ({
+                title: submission.title,
+                titleSlug: submission.titleSlug,
+                difficulty: details[submission.titleSlug]?.difficulty || null,
+                topicTags: details[submission.titleSlug]?.topicTags || [],
+                lastAcceptedAt: submission.timestamp
+            }));
+        }
+
+        return {
+            source: source,
+            complete: source === 'progress' || (totalSolved !== null && problems.length >= totalSolved),
+            count: problems.length,
+            problems: problems,
+            topics: this.getTopicBreakdown(problems)
+        };
+    }
+
+    async fetchProgressQuestions() {
+        const problems = [];
+        for (let page = 0; page < LEETCODE_PROGRESS_MAX_PAGES; page++) {
+            const data = await this.graphql(LEETCODE_QUERIES.progress, {
+                filters: { skip: page * LEETCODE_PROGRESS_PAGE_SIZE, limit: LEETCODE_PROGRESS_PAGE_SIZE, questionStatus: 'SOLVED' }
+            }, { authenticated: true });
+
+            const list = data.userProgressQuestionList;
+            if (!list) throw new Error('Missing userProgressQuestionList (session expired?)');
+            list.questions.forEach(question => problems.push({
+                title: question.title,
+                titleSlug: question.titleSlug,
+                difficulty: this.formatDifficulty(question.difficulty),
+                topicTags: question.topicTags || [],
+                lastAcceptedAt: question.lastSubmittedAt || null
+            }));
+            if (problems.length >= list.totalNum || list.questions.length === 0) break;
+        }
+        return problems;
+    }
+
+    // { titleSlug: { difficulty, topicTags } }; problems that fail to resolve are left out
+    async fetchProblemDetails(slugs) {
+        if (slugs.length === 0) return {};
+        try {
+            const variables = Object.fromEntries(slugs.map((slug, index) => [`s${index}`, slug]));
+            const data = await this.graphql(buildProblemDetailsQuery(slugs.length), variables);
+            const details = {};
+            Object.values(data).forEach(question => {
+                if (question?.titleSlug) {
+                    details[question.titleSlug] = {
+                        difficulty: this.formatDifficulty(question.difficulty),
+                        topicTags: question.topicTags || []
+                    };
+                }
+            });
+            return details;
         } catch (error) {
-            console.warn(`LeetCode badges fetch failed: ${error.message}`);
-            return [];
+            console.warn(`LeetCode problem details fetch failed: ${error.message}`);
+            return {};
         }
     }
 
+    formatDifficulty(difficulty) {
+        if (!difficulty) return null;
+        return difficulty.charAt(0).toUpperCase() + difficulty.slice(1).toLowerCase();
+    }
+
+    // Solved counts per topic tag, most solved first
+    getTopicBreakdown(problems) {
+        const topics = {};
+        problems.forEach(problem => {
+            problem.topicTags.forEach(tag => {
+                const topic = topics[tag.slug] || (topics[tag.slug] = { tag: tag.name, slug: tag.slug, solved: 0, easy: 0, medium: 0, hard: 0 });
+                topic.solved++;
+                const difficulty = (problem.difficulty || '').toLowerCase();
+                if (topic[difficulty] !== undefined) topic[difficulty]++;
+            });
+        });
+        return Object.values(topics).sort((a, b) => b.solved - a.solved || a.slug.localeCompare(b.slug));
+    }
+
     async fetchDailyProblem() {
-        try {
+        return this.withFallback('daily problem', async () => {
+            const daily = (await this.graphql(LEETCODE_QUERIES.daily)).activeDailyCodingChallengeQuestion;
+            if (!daily) return null;
+            return {
+                questionLink: `https://leetcode.com${daily.link}`,
+                date: daily.date,
+                questionId: daily.question.questionId,
+                questionFrontendId: daily.question.questionFrontendId,
+                questionTitle: daily.question.title,
+                titleSlug: daily.question.titleSlug,
+                difficulty: daily.question.difficulty,
+                isPaidOnly: daily.question.isPaidOnly,
+                acRate: daily.question.acRate,
+                topicTags: daily.question.topicTags
+            };
+        }, async () => {
             const response = await this.safeRequest(`${this.alfaURL}/daily`);
             return response.data;
-        } catch (error) {
-            console.warn(`LeetCode daily problem fetch failed: ${error.message}`);
-            return null;
-        }
+        });
     }
 
     getTotalSubmissionsCount(submissionCalendar) {
@@ -292,24 +858,20 @@ class LeetCodeAPI extends BaseAPI {
     }
 
     getFallbackCalendarData() {
-        const today = new Date();
-        const oneYearAgo = new Date(today);
-        oneYearAgo.setFullYear(oneYearAgo.getFullYear() - 1);
-        
         return {
-            [today.getFullYear()]: {
-                totalSubmissions: 0,
-                totalActiveDays: 0,
-                maxStreak: 0,
-                submissionCalendar: [],
-                dataSource: 'fallback',
-                lastUpdated: new Date().toISOString()
-            }
+            totalSubmissions: 0,
+            totalActiveDays: 0,
+            maxstreak: 0,
+            submission_calendar_data: [],
+            dataSource: 'fallback',
+            lastUpdated: new Date().toISOString()
         };
     }
 }
 
 module.exports = {
     BaseAPI,
+    PLATFORM_TTLS,
+    LEETCODE_RECENT_AC_LIMIT,
     LeetCodeAPI
 };
\ No newline at end of file
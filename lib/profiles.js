@@ -0,0 +1,386 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { isSqliteAvailable, openDatabase } = require('./sqlite');
+const { VERIFICATION_TOKEN_TTL_MS, generateVerificationToken } = require('./verification');
+
+const PROFILE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{2,39}$/;
+const HANDLE_PATTERN = /^[A-Za-z0-9_.\-]{1,64}$/;
+// Path segments that already mean something under /api/dashboard and /api/heatmap
+const RESERVED_PROFILE_IDS = ['aggregated', 'stream', 'batch'];
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Returns an error message, or null when the input is usable. partial allows PATCH bodies.
+function validateProfileInput(input, platforms, { partial = false } = {}) {
+    if (!input || typeof input !== 'object') {
+        return 'Request body must be a JSON object';
+    }
+
+    if (input.id !== undefined && !partial) {
+        const id = String(input.id).toLowerCase();
+        if (!PROFILE_ID_PATTERN.test(id)) {
+            return 'id must be 3-40 characters of a-z, 0-9, "_" or "-", starting with a letter or digit';
+        }
+        if (RESERVED_PROFILE_IDS.includes(id)) {
+            return `id '${id}' is reserved`;
+        }
+    }
+
+    if (input.display_name !== undefined && (typeof input.display_name !== 'string' || input.display_name.length > 100)) {
+        return 'display_name must be a string of at most 100 characters';
+    }
+
+    if (input.handles === undefined) {
+        return partial ? null : 'handles object is required, e.g. { "leetcode": "john_doe", "codeforces": "johnD" }';
+    }
+    if (!input.handles || typeof input.handles !== 'object' || Array.isArray(input.handles)) {
+        return 'handles must be an object mapping platform to username';
+    }
+
+    for (const [platform, handle] of Object.entries(input.handles)) {
+        if (!platforms.includes(platform)) {
+            return `Unsupported platform '${platform}' (available: ${platforms.join(', ')})`;
+        }
+        // null or "" removes a handle on update
+        if (partial && (handle === null || handle === '')) continue;
+        if (typeof handle !== 'string' || !HANDLE_PATTERN.test(handle)) {
+            return `Invalid ${platform} handle`;
+        }
+    }
+
+    if (!partial && Object.keys(input.handles).length === 0) {
+        return 'At least one handle is required';
+    }
+    return null;
+}
+
+// verified maps platform -> verified_at for handles proven by the bio-token check
+function toPublicProfile(record) {
+    const verified = {};
+    Object.entries(record.verifications || {}).forEach(([platform, verification]) => {
+        if (verification.verified_at && verification.handle === record.handles[platform]) {
+            verified[platform] = verification.verified_at;
+        }
+    });
+
+    return {
+        id: record.id,
+        display_name: record.display_name,
+        handles: record.handles,
+        verified: verified,
+        created_at: record.created_at,
+        updated_at: record.updated_at
+    };
+}
+
+class SqliteProfileStore {
+    constructor(file) {
+        this.name = 'sqlite';
+        this.db = openDatabase(file);
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS profiles (
+                id TEXT PRIMARY KEY,
+                display_name TEXT,
+                handles TEXT NOT NULL,
+                token_hash TEXT NOT NULL,
+                verifications TEXT NOT NULL DEFAULT '{}',
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            )
+        `);
+
+        // Databases created before handle verification lack the column
+        const columns = this.db.prepare('PRAGMA table_info(profiles)').all().map(column => column.name);
+        if (!columns.includes('verifications')) {
+            this.db.exec("ALTER TABLE profiles ADD COLUMN verifications TEXT NOT NULL DEFAULT '{}'");
+        }
+
+        this.statements = {
+            get: this.db.prepare('SELECT * FROM profiles WHERE id = ?'),
+            list: this.db.prepare('SELECT * FROM profiles ORDER BY created_at, id LIMIT ? OFFSET ?'),
+            count: this.db.prepare('SELECT COUNT(*) AS total FROM profiles'),
+            upsert: this.db.prepare(`
+                INSERT INTO profiles (id, display_name, handles, token_hash, verifications, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT (id) DO UPDATE SET
+                    display_name = excluded.display_name,
+                    handles = excluded.handles,
+                    token_hash = excluded.token_hash,
+                    verifications = excluded.verifications,
+                    updated_at = excluded.updated_at
+            `),
+            delete: this.db.prepare('DELETE FROM profiles WHERE id = ?')
+        };
+    }
+
+    fromRow(row) {
+        return row ? { ...row, handles: JSON.parse(row.handles), verifications: JSON.parse(row.verifications) } : null;
+    }
+
+    async get(id) {
+        return this.fromRow(this.statements.get.get(id));
+    }
+
+    async list(limit, offset) {
+        return {
+            total: this.statements.count.get().total,
+            records: this.statements.list.all(limit, offset).map(row => this.fromRow(row))
+        };
+    }
+
+    async put(record) {
+        this.statements.upsert.run(
+            record.id,
+            record.display_name,
+            JSON.stringify(record.handles),
+            record.token_hash,
+            JSON.stringify(record.verifications || {}),
+            record.created_at,
+            record.updated_at
+        );
+    }
+
+    async delete(id) {
+        return this.statements.delete.run(id).changes > 0;
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+// Fallback when no SQLite driver is installed: the whole registry in one JSON file
+class JsonProfileStore {
+    constructor(directory) {
+        this.name = 'json';
+        this.file = path.join(directory, 'profiles.json');
+        fs.mkdirSync(directory, { recursive: true });
+        // Writes are chained so concurrent requests never drop each other's changes
+        this.writeQueue = Promise.resolve();
+    }
+
+    async readAll() {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return {};
+            throw error;
+        }
+    }
+
+    update(mutate) {
+        const run = this.writeQueue.then(async () => {
+            const records = await this.readAll();
+            const result = mutate(records);
+
+            // Write then rename so readers never see a half-written file
+            const tmpFile = `${this.file}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tmpFile, JSON.stringify(records));
+            await fs.promises.rename(tmpFile, this.file);
+            return result;
+        });
+        this.writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    async get(id) {
+        return (await this.readAll())[id] || null;
+    }
+
+    async list(limit, offset) {
+        const records = Object.values(await this.readAll())
+            .sort((a, b) => a.created_at.localeCompare(b.created_at) || a.id.localeCompare(b.id));
+        return { total: records.length, records: records.slice(offset, offset + limit) };
+    }
+
+    async put(record) {
+        await this.update(records => {
+            records[record.id] = record;
+        });
+    }
+
+    async delete(id) {
+        return this.update(records => {
+            const existed = Boolean(records[id]);
+            delete records[id];
+            return existed;
+        });
+    }
+
+    close() {}
+}
+
+// PROFILE_STORE=sqlite|json|none; SQLite by default, falling back to a JSON file when no driver is installed.
+// Files live under PROFILES_DIR (default: <tmpdir>/cp-unified-profiles).
+function createProfileStore() {
+    const requested = (process.env.PROFILE_STORE || 'sqlite').toLowerCase();
+    const directory = process.env.PROFILES_DIR || path.join(os.tmpdir(), 'cp-unified-profiles');
+
+    if (requested === 'none') {
+        return null;
+    }
+
+    try {
+        if (requested === 'sqlite') {
+            if (isSqliteAvailable()) {
+                return new SqliteProfileStore(path.join(directory, 'profiles.db'));
+            }
+            console.warn('No SQLite driver installed (better-sqlite3), storing profiles as JSON');
+        }
+        return new JsonProfileStore(directory);
+    } catch (error) {
+        console.warn(`Profile registry unavailable at ${directory}:`, error.message);
+        return null;
+    }
+}
+
+// One person's handles across platforms under a single id
+class ProfileRegistry {
+    constructor() {
+        this.store = createProfileStore();
+    }
+
+    isEnabled() {
+        return this.store !== null;
+    }
+
+    async get(id) {
+        if (!this.store || typeof id !== 'string') return null;
+        const record = await this.store.get(id.toLowerCase());
+        return record ? toPublicProfile(record) : null;
+    }
+
+    async list({ limit = 50, offset = 0 } = {}) {
+        if (!this.store) return { total: 0, profiles: [] };
+        const { total, records } = await this.store.list(limit, offset);
+        return { total, profiles: records.map(toPublicProfile) };
+    }
+
+    // Returns the profile plus a one-time edit token, or null when the id is taken
+    async create({ id, display_name, handles }) {
+        const profileId = id ? String(id).toLowerCase() : crypto.randomBytes(5).toString('hex');
+        if (await this.store.get(profileId)) {
+            return null;
+        }
+
+        const now = new Date().toISOString();
+        const editToken = crypto.randomBytes(24).toString('hex');
+        const record = {
+            id: profileId,
+            display_name: display_name || null,
+            handles: { ...handles },
+            token_hash: hashToken(editToken),
+            verifications: {},
+            created_at: now,
+            updated_at: now
+        };
+
+        await this.store.put(record);
+        return { profile: toPublicProfile(record), editToken };
+    }
+
+    // Merges handles (null or "" removes one); returns null when the profile does not exist.
+    // Changing a handle drops its verification.
+    async update(id, { display_name, handles = {} }) {
+        const record = await this.store.get(id.toLowerCase());
+        if (!record) return null;
+
+        record.verifications = record.verifications || {};
+        Object.entries(handles).forEach(([platform, handle]) => {
+            if (record.handles[platform] !== handle) {
+                delete record.verifications[platform];
+            }
+            if (handle === null || handle === '') {
+                delete record.handles[platform];
+            } else {
+                record.handles[platform] = handle;
+            }
+        });
+        if (display_name !== undefined) {
+            record.display_name = display_name || null;
+        }
+        record.updated_at = new Date().toISOString();
+
+        await this.store.put(record);
+        return toPublicProfile(record);
+    }
+
+    async delete(id) {
+        return this.store.delete(id.toLowerCase());
+    }
+
+    // New token for proving ownership of the profile's handle on platform; replaces any pending one.
+    // Returns null when the profile or the handle does not exist.
+    async issueVerification(id, platform) {
+        const record = await this.store.get(id.toLowerCase());
+        if (!record || !record.handles[platform]) return null;
+
+        const now = Date.now();
+        const previous = record.verifications?.[platform];
+        const verification = {
+            handle: record.handles[platform],
+            token: generateVerificationToken(),
+            issued_at: new Date(now).toISOString(),
+            expires_at: new Date(now + VERIFICATION_TOKEN_TTL_MS).toISOString(),
+            // An earlier success stays valid while the same handle is re-verified
+            verified_at: previous?.handle === record.handles[platform] ? previous.verified_at || null : null
+        };
+
+        record.verifications = { ...record.verifications, [platform]: verification };
+        await this.store.put(record);
+        return verification;
+    }
+
+    async getVerification(id, platform) {
+        const record = await this.store.get(id.toLowerCase());
+        return record?.verifications?.[platform] || null;
+    }
+
+    // Records a successful check and retires the token
+    async markVerified(id, platform) {
+        const record = await this.store.get(id.toLowerCase());
+        const verification = record?.verifications?.[platform];
+        if (!verification || verification.handle !== record.handles[platform]) return null;
+
+        record.verifications[platform] = {
+            handle: verification.handle,
+            token: null,
+            issued_at: verification.issued_at,
+            expires_at: null,
+            verified_at: new Date().toISOString()
+        };
+        await this.store.put(record);
+        return record.verifications[platform];
+    }
+
+    async checkEditToken(id, token) {
+        if (!this.store || !token) return false;
+        const record = await this.store.get(String(id).toLowerCase());
+        if (!record) return false;
+
+        const expected = Buffer.from(record.token_hash);
+        const provided = Buffer.from(hashToken(token));
+        return crypto.timingSafeEqual(expected, provided);
+    }
+
+    getStats() {
+        return {
+            backend: this.store ? this.store.name : 'disabled'
+        };
+    }
+
+    close() {
+        if (this.store) {
+            this.store.close();
+        }
+    }
+}
+
+module.exports = new ProfileRegistry();
+module.exports.ProfileRegistry = ProfileRegistry;
+module.exports.validateProfileInput = validateProfileInput;
+module.exports.RESERVED_PROFILE_IDS = RESERVED_PROFILE_IDS;
@@ -0,0 +1,141 @@
+const fs = require('fs');
+
+// Share of rated users (0-100) at or below each rating, interpolated linearly in between.
+// Approximate distributions of active rated users; replace or extend them with RATING_PERCENTILE_TABLES.
+const DEFAULT_PERCENTILE_TABLES = {
+    codeforces: [
+        [0, 0], [800, 8], [1000, 22], [1200, 45], [1400, 67], [1600, 82],
+        [1900, 93.5], [2100, 97], [2300, 98.6], [2400, 99.1], [2600, 99.6], [3000, 99.9], [3500, 99.99]
+    ],
+    codechef: [
+        [0, 0], [1000, 10], [1200, 27], [1400, 52], [1600, 76], [1800, 90],
+        [2000, 96], [2200, 98.5], [2500, 99.6], [3000, 99.95]
+    ],
+    leetcode: [
+        [1200, 0], [1400, 15], [1500, 35], [1600, 50], [1700, 62], [1850, 75],
+        [2000, 86], [2200, 95], [2400, 98], [2700, 99.5], [3200, 99.95]
+    ]
+};
+
+// A platform counts fully towards the composite score after this many rated contests
+const FULL_CONFIDENCE_CONTESTS = 10;
+
+// Returns an error message, or null for a usable table
+function validateTable(table) {
+    if (!Array.isArray(table) || table.length < 2) {
+        return 'expected at least two [rating, percentile] points';
+    }
+    for (let i = 0; i < table.length; i++) {
+        const point = table[i];
+        if (!Array.isArray(point) || point.length !== 2 || !point.every(Number.isFinite)) {
+            return `point ${i} is not a [rating, percentile] pair of numbers`;
+        }
+        if (point[1] < 0 || point[1] > 100) {
+            return `point ${i} has a percentile outside 0-100`;
+        }
+        if (i > 0 && (point[0] <= table[i - 1][0] || point[1] < table[i - 1][1])) {
+            return `point ${i} must have a higher rating and no lower percentile than the one before`;
+        }
+    }
+    return null;
+}
+
+// RATING_PERCENTILE_TABLES holds inline JSON or a path to a JSON file:
+// { "codeforces": [[0, 0], [1200, 45], ...], "atcoder": [...] }. Tables replace the defaults per platform.
+function loadPercentileTables(source = process.env.RATING_PERCENTILE_TABLES) {
+    const tables = { ...DEFAULT_PERCENTILE_TABLES };
+    if (!source) return tables;
+
+    let overrides;
+    try {
+        overrides = JSON.parse(source.trim().startsWith('{') ? source : fs.readFileSync(source, 'utf8'));
+    } catch (error) {
+        console.warn('Could not read RATING_PERCENTILE_TABLES, using the default tables:', error.message);
+        return tables;
+    }
+
+    Object.entries(overrides || {}).forEach(([platform, table]) => {
+        const validationError = validateTable(table);
+        if (validationError) {
+            console.warn(`Ignoring the ${platform} percentile table: ${validationError}`);
+            return;
+        }
+        tables[platform] = table;
+    });
+    return tables;
+}
+
+const PERCENTILE_TABLES = loadPercentileTables();
+
+// Global percentile (0-100, one decimal) for a platform rating; null for unrated or unknown platforms
+function ratingToPercentile(platform, rating, tables = PERCENTILE_TABLES) {
+    const table = tables[platform];
+    if (!table || !Number.isFinite(rating) || rating <= 0) return null;
+
+    if (rating <= table[0][0]) return table[0][1];
+    const upper = table.findIndex(([pointRating]) => pointRating >= rating);
+    if (upper === -1) return table[table.length - 1][1];
+
+    const [fromRating, fromPercentile] = table[upper - 1];
+    const [toRating, toPercentile] = table[upper];
+    const percentile = fromPercentile + (toPercentile - fromPercentile) * (rating - fromRating) / (toRating - fromRating);
+    return Number(percentile.toFixed(1));
+}
+
+// 0 with no rated contests, rising linearly to 1 at FULL_CONFIDENCE_CONTESTS
+function contestConfidence(contests) {
+    return Number(Math.min(1, Math.max(0, contests || 0) / FULL_CONFIDENCE_CONTESTS).toFixed(2));
+}
+
+// Composite skill score from [{ platform, rating, contests }]:
+//   percentile_p = ratingToPercentile(platform, rating)
+//   confidence_p = min(1, contests_p / FULL_CONFIDENCE_CONTESTS)
+//   weight_p     = confidence_p / sum(confidence)
+//   score        = sum(weight_p * percentile_p), 0-100 where 90 means better than ~90% of rated users
+//   confidence   = 1 - prod(1 - confidence_p), so every rated platform adds evidence
+// Platforms without a table or a rating are left out; score is null until some platform has a rated contest.
+function calculateSkillScore(entries, tables = PERCENTILE_TABLES) {
+    const rated = entries
+        .map(entry => ({
+            ...entry,
+            percentile: ratingToPercentile(entry.platform, entry.rating, tables),
+            confidence: contestConfidence(entry.contests)
+        }))
+        .filter(entry => entry.percentile !== null);
+
+    const totalConfidence = rated.reduce((sum, entry) => sum + entry.confidence, 0);
+    const contributions = {};
+    rated.forEach(entry => {
+        const weight = totalConfidence > 0 ? entry.confidence / totalConfidence : 0;
+        contributions[entry.platform] = {
+            rating: entry.rating,
+            percentile: entry.percentile,
+            contests: entry.contests || 0,
+            confidence: entry.confidence,
+            weight: Number(weight.toFixed(3)),
+            contribution: Number((weight * entry.percentile).toFixed(1))
+        };
+    });
+
+    const score = totalConfidence > 0
+        ? Number(rated.reduce((sum, entry) => sum + entry.percentile * entry.confidence / totalConfidence, 0).toFixed(1))
+        : null;
+    const confidence = 1 - rated.reduce((remaining, entry) => remaining * (1 - entry.confidence), 1);
+
+    return {
+        score: score,
+        top_percent: score !== null ? Number((100 - score).toFixed(1)) : null,
+        confidence: Number(confidence.toFixed(2)),
+        contributions: contributions
+    };
+}
+
+module.exports = {
+    DEFAULT_PERCENTILE_TABLES,
+    PERCENTILE_TABLES,
+    FULL_CONFIDENCE_CONTESTS,
+    loadPercentileTables,
+    ratingToPercentile,
+    contestConfidence,
+    calculateSkillScore
+};
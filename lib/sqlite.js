@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+
+// better-sqlite3 is optional; node:sqlite (Node 22.5+) has the same exec/prepare/run/get/all surface
+function optionalRequire(name) {
+    try {
+        return require(name);
+    } catch (error) {
+        return null;
+    }
+}
+
+const BetterSqlite = optionalRequire('better-sqlite3');
+const NodeSqlite = optionalRequire('node:sqlite');
+
+function isSqliteAvailable() {
+    return Boolean(BetterSqlite || NodeSqlite);
+}
+
+function openDatabase(file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const db = BetterSqlite ? new BetterSqlite(file) : new NodeSqlite.DatabaseSync(file);
+    db.exec('PRAGMA journal_mode = WAL');
+    return db;
+}
+
+module.exports = {
+    isSqliteAvailable,
+    openDatabase
+};
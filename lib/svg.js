@@ -0,0 +1,239 @@
+// Server-side SVG rendering for embeddable images (README badges, profile pages)
+
+const THEMES = {
+    light: {
+        background: '#ffffff',
+        text: '#24292f',
+        muted: '#57606a',
+        border: '#d0d7de',
+        levels: ['#ebedf0', '#9be9a8', '#40c463', '#30a14e', '#216e39']
+    },
+    dark: {
+        background: '#0d1117',
+        text: '#e6edf3',
+        muted: '#8b949e',
+        border: '#30363d',
+        levels: ['#161b22', '#0e4429', '#006d32', '#26a641', '#39d353']
+    },
+    transparent: {
+        background: 'none',
+        text: '#7d8590',
+        muted: '#7d8590',
+        border: 'none',
+        levels: ['#7d859033', '#9be9a8', '#40c463', '#30a14e', '#216e39']
+    }
+};
+
+// Brand-ish colors used when a heatmap stacks platforms inside each cell
+const PLATFORM_COLORS = {
+    leetcode: '#ffa116',
+    codeforces: '#1f8acb',
+    codechef: '#8b5a2b',
+    github: '#8250df',
+    geeksforgeeks: '#2f8d46',
+    hackerrank: '#1ba94c',
+    atcoder: '#7f7f7f'
+};
+
+// Codeforces rank colors as shown on profiles
+const CODEFORCES_RANK_COLORS = {
+    'newbie': '#808080',
+    'pupil': '#008000',
+    'specialist': '#03a89e',
+    'expert': '#0000ff',
+    'candidate master': '#aa00aa',
+    'master': '#ff8c00',
+    'international master': '#ff8c00',
+    'grandmaster': '#ff0000',
+    'international grandmaster': '#ff0000',
+    'legendary grandmaster': '#ff0000'
+};
+
+// CodeChef star colors, indexed by star count
+const CODECHEF_STAR_COLORS = ['#666666', '#666666', '#1e7d22', '#3366cc', '#684273', '#ffbf00', '#ff7f00', '#d0011b'];
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const WEEKDAY_LABELS = ['', 'Mon', '', 'Wed', '', 'Fri', ''];
+const FONT_FAMILY = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif";
+
+function escapeXML(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Named theme with optional overrides, e.g. { bg_color: '1a1b27', text_color: 'a9b1d6' } from a query string
+function getTheme(name, overrides = {}) {
+    const theme = { ...(THEMES[name] || THEMES.light) };
+    const colorKeys = { bg_color: 'background', text_color: 'text', muted_color: 'muted', border_color: 'border', title_color: 'title' };
+
+    Object.entries(colorKeys).forEach(([param, key]) => {
+        const value = overrides[param];
+        if (typeof value === 'string' && /^([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value)) {
+            theme[key] = `#${value}`;
+        }
+    });
+
+    return theme;
+}
+
+function toDateKey(date) {
+    return date.toISOString().split('T')[0];
+}
+
+// GitHub-style calendar from generateUnifiedActivityHeatmap output.
+// options: { username, startDate, endDate, theme, stacked, showMonthLabels, showWeekdayLabels }
+function renderHeatmapSVG(heatmap, options = {}) {
+    const {
+        username = '',
+        theme: themeName = 'light',
+        stacked = false,
+        showMonthLabels = true,
+        showWeekdayLabels = true
+    } = options;
+    const theme = getTheme(themeName);
+    const cellSize = heatmap.heatmap_config?.cell_size || 11;
+    const cellGap = heatmap.heatmap_config?.cell_gap || 3;
+    const step = cellSize + cellGap;
+
+    // Work in UTC days so the grid matches the YYYY-MM-DD keys in yearly_activity
+    const startDate = new Date(`${toDateKey(new Date(options.startDate || heatmap.metadata.date_range.start))}T00:00:00Z`);
+    const endDate = new Date(`${toDateKey(new Date(options.endDate || heatmap.metadata.date_range.end))}T00:00:00Z`);
+
+    const days = {};
+    Object.values(heatmap.yearly_activity || {}).flat().forEach(day => {
+        days[day.date] = day;
+    });
+
+    const left = showWeekdayLabels ? 32 : 4;
+    const top = 30 + (showMonthLabels ? 16 : 0);
+    const gridStart = new Date(startDate);
+    gridStart.setUTCDate(gridStart.getUTCDate() - gridStart.getUTCDay()); // back to Sunday
+
+    const cells = [];
+    const monthLabels = [];
+    const platformsSeen = new Set();
+    let lastLabelledMonth = null;
+    let total = 0;
+    let column = 0;
+
+    for (let weekStart = new Date(gridStart); weekStart <= endDate; weekStart.setUTCDate(weekStart.getUTCDate() + 7), column++) {
+        for (let weekday = 0; weekday < 7; weekday++) {
+            const date = new Date(weekStart);
+            date.setUTCDate(date.getUTCDate() + weekday);
+            if (date < startDate || date > endDate) continue;
+
+            const dateKey = toDateKey(date);
+            const day = days[dateKey];
+            const count = day?.total || 0;
+            const level = day?.level || 0;
+            const x = left + column * step;
+            const y = top + weekday * step;
+            total += count;
+
+            // Label the column where a month begins, unless it would crowd the previous label
+            if (lastLabelledMonth !== date.getUTCMonth()) {
+                const previous = monthLabels[monthLabels.length - 1];
+                if (!previous || x - previous.x >= 3 * step) {
+                    monthLabels.push({ x, label: MONTH_LABELS[date.getUTCMonth()] });
+                }
+                lastLabelledMonth = date.getUTCMonth();
+            }
+
+            const breakdown = Object.entries(day?.platforms || {}).filter(([, value]) => value > 0);
+            breakdown.forEach(([platform]) => platformsSeen.add(platform));
+            const tooltip = count > 0
+                ? `${count} on ${dateKey} (${breakdown.map(([platform, value]) => `${platform} ${value}`).join(', ')})`
+                : `No activity on ${dateKey}`;
+
+            if (stacked && count > 0) {
+                // Segments proportional to each platform's share, darker as the day's level rises
+                let offset = 0;
+                const segments = breakdown.map(([platform, value], index) => {
+                    const height = index === breakdown.length - 1 ? cellSize - offset : Math.round(cellSize * value / count);
+                    const segment = `<rect x="${x}" y="${y + offset}" width="${cellSize}" height="${Math.max(0, height)}" fill="${PLATFORM_COLORS[platform] || theme.levels[4]}" fill-opacity="${(0.4 + level * 0.15).toFixed(2)}"/>`;
+                    offset += height;
+                    return segment;
+                });
+                cells.push(`<g><title>${escapeXML(tooltip)}</title><clipPath id="c${dateKey}"><rect x="${x}" y="${y}" width="${cellSize}" height="${cellSize}" rx="2"/></clipPath><g clip-path="url(#c${dateKey})">${segments.join('')}</g></g>`);
+            } else {
+                cells.push(`<rect x="${x}" y="${y}" width="${cellSize}" height="${cellSize}" rx="2" fill="${theme.levels[level]}"><title>${escapeXML(tooltip)}</title></rect>`);
+            }
+        }
+    }
+
+    const gridWidth = column * step;
+    const width = left + gridWidth + 8;
+    const legendY = top + 7 * step + 8;
+    const height = legendY + cellSize + 10;
+
+    const parts = [];
+    parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeXML(`${username} activity heatmap`)}">`);
+    parts.push(`<rect width="100%" height="100%" rx="6" fill="${theme.background}" stroke="${theme.border}"/>`);
+    parts.push(`<g font-family="${FONT_FAMILY}">`);
+    parts.push(`<text x="${left}" y="20" font-size="13" font-weight="600" fill="${theme.text}">${escapeXML(`${total} contributions by ${username}`)}</text>`);
+    parts.push(`<text x="${width - 8}" y="20" font-size="11" text-anchor="end" fill="${theme.muted}">${toDateKey(startDate)} – ${toDateKey(endDate)}</text>`);
+
+    if (showMonthLabels) {
+        monthLabels.forEach(({ x, label }) => {
+            parts.push(`<text x="${x}" y="${top - 6}" font-size="10" fill="${theme.muted}">${label}</text>`);
+        });
+    }
+
+    if (showWeekdayLabels) {
+        WEEKDAY_LABELS.forEach((label, weekday) => {
+            if (label) {
+                parts.push(`<text x="4" y="${top + weekday * step + cellSize - 2}" font-size="9" fill="${theme.muted}">${label}</text>`);
+            }
+        });
+    }
+
+    parts.push(...cells);
+
+    // Legend: platform swatches when stacked, Less..More scale otherwise
+    if (stacked) {
+        let legendX = left;
+        [...platformsSeen].sort().forEach(platform => {
+            parts.push(`<rect x="${legendX}" y="${legendY}" width="${cellSize}" height="${cellSize}" rx="2" fill="${PLATFORM_COLORS[platform] || theme.levels[4]}"/>`);
+            parts.push(`<text x="${legendX + cellSize + 4}" y="${legendY + cellSize - 2}" font-size="10" fill="${theme.muted}">${platform}</text>`);
+            legendX += cellSize + 10 + platform.length * 6;
+        });
+    } else {
+        const legendStart = width - 8 - (5 * step) - 60;
+        parts.push(`<text x="${legendStart}" y="${legendY + cellSize - 2}" font-size="10" fill="${theme.muted}">Less</text>`);
+        theme.levels.forEach((color, level) => {
+            parts.push(`<rect x="${legendStart + 28 + level * step}" y="${legendY}" width="${cellSize}" height="${cellSize}" rx="2" fill="${color}"/>`);
+        });
+        parts.push(`<text x="${legendStart + 32 + 5 * step}" y="${legendY + cellSize - 2}" font-size="10" fill="${theme.muted}">More</text>`);
+    }
+
+    parts.push('</g>', '</svg>');
+    return parts.join('\n');
+}
+
+// Small placeholder so broken embeds show why instead of a missing image icon
+function renderErrorSVG(message, options = {}) {
+    const theme = getTheme(options.theme);
+    const width = Math.max(240, Math.min(600, 24 + String(message).length * 7));
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="40" viewBox="0 0 ${width} 40" role="img" aria-label="${escapeXML(message)}">`,
+        `<rect width="100%" height="100%" rx="6" fill="${theme.background}" stroke="${theme.border}"/>`,
+        `<text x="12" y="25" font-family="${FONT_FAMILY}" font-size="12" fill="${theme.muted}">${escapeXML(message)}</text>`,
+        '</svg>'
+    ].join('\n');
+}
+
+module.exports = {
+    THEMES,
+    PLATFORM_COLORS,
+    CODEFORCES_RANK_COLORS,
+    CODECHEF_STAR_COLORS,
+    FONT_FAMILY,
+    escapeXML,
+    getTheme,
+    renderHeatmapSVG,
+    renderErrorSVG
+};
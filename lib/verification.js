@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+
+const VERIFICATION_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Profile fields the adapters already return, and where users can put the token
+const VERIFICATION_SOURCES = {
+    codeforces: {
+        fields: data => ({
+            firstName: data.profile?.firstName,
+            lastName: data.profile?.lastName,
+            organization: data.profile?.organization
+        }),
+        instructions: 'Put the token in your First name, Last name or Organization at https://codeforces.com/settings/social'
+    },
+    github: {
+        fields: data => ({
+            bio: data.profile?.bio
+        }),
+        instructions: 'Add the token to your bio at https://github.com/settings/profile'
+    },
+    leetcode: {
+        fields: data => ({
+            about: data.profile?.about
+        }),
+        instructions: 'Add the token to the Summary ("About me") section at https://leetcode.com/profile/'
+    },
+    codechef: {
+        fields: data => ({
+            name: data.profile?.name
+        }),
+        instructions: 'Set your Name to include the token under Edit Profile at https://www.codechef.com/'
+    }
+};
+
+function generateVerificationToken() {
+    return `cpu-${crypto.randomBytes(6).toString('hex')}`;
+}
+
+// Name of the first field containing the token, or null
+function findVerificationToken(platform, data, token) {
+    const source = VERIFICATION_SOURCES[platform];
+    if (!source || !token) return null;
+
+    const match = Object.entries(source.fields(data))
+        .find(([, value]) => typeof value === 'string' && value.includes(token));
+    return match ? match[0] : null;
+}
+
+module.exports = {
+    VERIFICATION_SOURCES,
+    VERIFICATION_TOKEN_TTL_MS,
+    generateVerificationToken,
+    findVerificationToken
+};
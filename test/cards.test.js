@@ -0,0 +1,30 @@
+process.env.PROFILE_STORE = 'none';
+process.env.HISTORY_STORE = 'none';
+process.env.CACHE_STORE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const app = require('../api/index');
+
+let server;
+let baseURL;
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+test('unified card is a 502 error card when every platform fetch failed', async () => {
+    app.locals.multiAPI.fetchPlatforms = async entries => Object.fromEntries(entries.map(([platform, username]) => [
+        platform,
+        { status: 'FAILED', platform: platform, username: username, error: 'upstream unavailable' }
+    ]));
+
+    const response = await fetch(`${baseURL}/api/cards/nobody.svg`, { signal: AbortSignal.timeout(5000) });
+    assert.strictEqual(response.status, 502);
+    assert.match(response.headers.get('content-type'), /image\/svg\+xml/);
+    assert.match(await response.text(), /No platform returned data for nobody/);
+});
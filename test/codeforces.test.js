@@ -0,0 +1,96 @@
+process.env.CACHE_STORE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CodeForcesAPI, AtCoderAPI } = require('../lib/platforms-extended');
+
+const api = new CodeForcesAPI();
+const DAY = 86400;
+
+function submission(contestId, index, verdict, participantType, { start, relative = 0, created }) {
+    return {
+        contestId: contestId,
+        creationTimeSeconds: created,
+        relativeTimeSeconds: relative,
+        verdict: verdict,
+        author: { participantType: participantType, startTimeSeconds: start },
+        problem: { contestId: contestId, index: index, name: `Problem ${contestId}${index}` }
+    };
+}
+
+test('calculateUpsolving classifies practice ACs after a contest as upsolves', () => {
+    const start = 1700000000;
+    const submissions = [
+        submission(1000, 'A', 'OK', 'CONTESTANT', { start, relative: 600, created: start + 600 }),
+        submission(1000, 'B', 'WRONG_ANSWER', 'CONTESTANT', { start, relative: 1200, created: start + 1200 }),
+        submission(1000, 'C', 'WRONG_ANSWER', 'CONTESTANT', { start, relative: 1300, created: start + 1300 }),
+        // Failed in the contest, solved two days later
+        submission(1000, 'B', 'OK', 'PRACTICE', { created: start + 2 * DAY }),
+        // Never attempted in the contest, still an upsolve
+        submission(1000, 'D', 'OK', 'PRACTICE', { created: start + 4 * DAY }),
+        // Solved in the contest already, so practice does not count
+        submission(1000, 'A', 'OK', 'PRACTICE', { created: start + 5 * DAY }),
+        // Practice on a contest the user never took part in
+        submission(1300, 'A', 'OK', 'PRACTICE', { created: start + 6 * DAY })
+    ];
+
+    const sessions = [{ contestId: 1000, startTimeSeconds: start, ...api.scoreParticipation(submissions.slice(0, 3)) }];
+    const practice = submissions.filter(item => item.author.participantType === 'PRACTICE');
+    const upsolving = api.calculateUpsolving(sessions, practice);
+
+    assert.strictEqual(upsolving.failed_in_contest, 2);
+    assert.strictEqual(upsolving.upsolved, 2);
+    assert.strictEqual(upsolving.upsolved_failed_attempts, 1);
+    assert.strictEqual(upsolving.upsolve_rate, 50);
+    assert.strictEqual(upsolving.average_days_to_upsolve, 3);
+    assert.deepStrictEqual(upsolving.recent.map(problem => [problem.index, problem.attemptedInContest]), [['D', false], ['B', true]]);
+    assert.deepStrictEqual(upsolving.pending.map(problem => problem.index), ['C']);
+});
+
+test('virtual sessions are scored separately from rated contests', () => {
+    const start = 1700000000;
+    const stats = api.calculateParticipationStats([
+        submission(1100, 'A', 'WRONG_ANSWER', 'VIRTUAL', { start, relative: 300, created: start + 300 }),
+        submission(1100, 'A', 'COMPILATION_ERROR', 'VIRTUAL', { start, relative: 400, created: start + 400 }),
+        submission(1100, 'A', 'OK', 'VIRTUAL', { start, relative: 900, created: start + 900 }),
+        submission(1200, 'A', 'OK', 'CONTESTANT', { start: start + DAY, relative: 60, created: start + DAY + 60 })
+    ], [{ contestId: 1200 }]);
+
+    assert.strictEqual(stats.rated_contests.contests, 1);
+    assert.strictEqual(stats.virtual_contests.sessions, 1);
+    // 15 minutes to AC plus one 10 minute penalty; the compilation error is free
+    assert.strictEqual(stats.virtual_contests.recent[0].penalty, 25);
+});
+
+// safeRequest stub answering user.info and user.rating, failing user.status
+function stubCodeforcesRequests(target, calls) {
+    target.safeRequest = async url => {
+        calls.push(url);
+        if (url.includes('user.status')) throw new Error('upstream timeout');
+        if (url.includes('user.info')) return { data: { result: [{ handle: 'tester', rating: 1500 }] } };
+        return { data: { result: [] } };
+    };
+}
+
+test('a failed user.status marks the response partial and keeps it out of the cache', async () => {
+    const calls = [];
+    const codeforces = new CodeForcesAPI();
+    stubCodeforcesRequests(codeforces, calls);
+
+    const first = await codeforces.getUserData('partial-tester');
+    assert.strictEqual(first.status, 'OK');
+    assert.strictEqual(first.partial, true);
+    assert.deepStrictEqual(first.missing_sources, ['user.status']);
+
+    await codeforces.getUserData('partial-tester');
+    assert.strictEqual(calls.filter(url => url.includes('user.status')).length, 2);
+});
+
+test('AtCoder fails outright when both sources fail', async () => {
+    const atcoder = new AtCoderAPI();
+    atcoder.safeRequest = async () => {
+        throw new Error('upstream timeout');
+    };
+    const result = await atcoder.fetchUserData('nobody');
+    assert.strictEqual(result.status, 'FAILED');
+});
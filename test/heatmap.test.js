@@ -0,0 +1,65 @@
+process.env.PROFILE_STORE = 'none';
+process.env.HISTORY_STORE = 'none';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const app = require('../api/index');
+const { CodeForcesAPI } = require('../lib/platforms-extended');
+
+const SNAPSHOT = path.join(__dirname, 'fixtures', 'heatmap-2024.svg');
+
+// Fixed Codeforces submissions through 2024; every other platform fails
+function stubPlatforms() {
+    const codeforces = new CodeForcesAPI();
+    const submissions = [];
+    for (let day = 0; day < 366; day += 3) {
+        for (let count = 0; count <= day % 5; count++) {
+            submissions.push({ creationTimeSeconds: Date.UTC(2024, 0, 1 + day, 12) / 1000 + count });
+        }
+    }
+    const { calendarAll, perYearNodes } = codeforces.buildLeetCodeStyleCalendar(submissions);
+
+    app.locals.multiAPI.fetchPlatforms = async entries => Object.fromEntries(entries.map(([platform, username]) => [
+        platform,
+        platform === 'codeforces'
+            ? { status: 'OK', platform, username, calendar_data: { ...calendarAll, byYear: perYearNodes }, contests: { ratingProgression: [] } }
+            : { status: 'FAILED', platform, username, error: 'stubbed' }
+    ]));
+}
+
+let server;
+let baseURL;
+
+test.before(async () => {
+    stubPlatforms();
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+test('heatmap JSON is identical across calls', async () => {
+    const fetchHeatmap = async () => {
+        const body = await (await fetch(`${baseURL}/api/heatmap/tester?platforms=codeforces,codechef&dateRange=year&year=2024`)).json();
+        delete body.timestamp;
+        delete body.processing_time;
+        delete body.heatmap_data.metadata.last_updated;
+        return body;
+    };
+    assert.deepStrictEqual(await fetchHeatmap(), await fetchHeatmap());
+});
+
+test('heatmap SVG matches the stored snapshot', async () => {
+    const response = await fetch(`${baseURL}/api/heatmap/tester.svg?year=2024&codeforces=tester`);
+    assert.strictEqual(response.status, 200);
+    const svg = await response.text();
+
+    // UPDATE_SNAPSHOTS=1 npm test rewrites the fixture after an intended rendering change
+    if (process.env.UPDATE_SNAPSHOTS === '1') {
+        fs.writeFileSync(SNAPSHOT, svg);
+    }
+    assert.strictEqual(svg, fs.readFileSync(SNAPSHOT, 'utf8'));
+});
@@ -0,0 +1,75 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+
+process.env.PROFILE_STORE = 'none';
+process.env.HISTORY_STORE = 'json';
+process.env.HISTORY_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'cp-unified-history-test-'));
+
+const test = require('node:test');
+const assert = require('node:assert');
+const app = require('../api/index');
+
+let server;
+let baseURL;
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    server.close();
+    fs.rmSync(process.env.HISTORY_DIR, { recursive: true, force: true });
+});
+
+test('invalid history ranges get a 400 instead of crashing the request', async () => {
+    const badQueries = [
+        '/api/history/foo?to=garbage',
+        '/api/history/foo/leetcode?to=2025-13-45',
+        '/api/history/foo?from=2025-02-30',
+        '/api/history/foo?from=yesterday&to=2025-01-10',
+        '/api/history/foo?days=abc',
+        '/api/history/foo?days=0',
+        '/api/history/foo/codeforces?days=9999999999999999',
+        '/api/history/foo?from=2025-02-01&to=2025-01-01',
+        '/api/history/foo?to=2025-01-01&to=2025-01-02'
+    ];
+
+    for (const query of badQueries) {
+        const response = await fetch(`${baseURL}${query}`, { signal: AbortSignal.timeout(5000) });
+        assert.strictEqual(response.status, 400, query);
+        assert.strictEqual((await response.json()).status, 'FAILED', query);
+    }
+});
+
+test('days counts back from to', async () => {
+    const body = await (await fetch(`${baseURL}/api/history/foo?to=2025-01-10&days=3`)).json();
+    assert.deepStrictEqual(body.range, { from: '2025-01-08', to: '2025-01-10' });
+});
+
+test('a lower solved count never replaces a higher one from the same day', async () => {
+    const history = require('../lib/history');
+    const recordedAt = new Date('2025-03-01T10:00:00Z');
+    await history.record('codeforces', 'steady', { problems_solved: 50 }, { force: true, recordedAt });
+    await history.record('codeforces', 'steady', { problems_solved: 0 }, { force: true, recordedAt });
+    let [snapshot] = await history.getSnapshots('codeforces', 'steady', { from: '2025-03-01', to: '2025-03-01' });
+    assert.strictEqual(snapshot.problems_solved, 50);
+
+    await history.record('codeforces', 'steady', { problems_solved: 52 }, { force: true, recordedAt });
+    [snapshot] = await history.getSnapshots('codeforces', 'steady', { from: '2025-03-01', to: '2025-03-01' });
+    assert.strictEqual(snapshot.problems_solved, 52);
+});
+
+test('partial responses are not snapshotted', async () => {
+    const history = require('../lib/history');
+    await app.locals.multiAPI.recordSnapshot('codeforces', 'degraded', {
+        status: 'OK',
+        partial: true,
+        missing_sources: ['user.status'],
+        profile: { rating: 1500 },
+        solvedStats: { problems_solved: 0 }
+    });
+    assert.deepStrictEqual(await history.getSnapshots('codeforces', 'degraded'), []);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { rankLeaderboard, toCsvValue, buildLeaderboardCSV } = require('../lib/leaderboard');
+
+function row(profileId, totalSolved, weeklyDelta = null, currentStreak = 0, ratings = {}) {
+    return {
+        profile_id: profileId,
+        display_name: null,
+        total_solved: totalSolved,
+        ratings: { codeforces: null, codechef: null, leetcode: null, ...ratings },
+        weekly_delta: weeklyDelta,
+        current_streak: currentStreak
+    };
+}
+
+test('rows tied on every metric share a rank and the next rank skips', () => {
+    const ranked = rankLeaderboard([row('dave', 10), row('bob', 50), row('carol', 50), row('alice', 80)], 'total_solved');
+    assert.deepStrictEqual(ranked.map(entry => [entry.rank, entry.profile_id]), [
+        [1, 'alice'], [2, 'bob'], [2, 'carol'], [4, 'dave']
+    ]);
+});
+
+test('tie-breakers separate rows with the same primary value', () => {
+    const ranked = rankLeaderboard([row('bob', 50, 1), row('carol', 50, 5)], 'total_solved');
+    assert.deepStrictEqual(ranked.map(entry => [entry.rank, entry.profile_id]), [[1, 'carol'], [2, 'bob']]);
+});
+
+test('rating sort puts unrated rows last', () => {
+    const ranked = rankLeaderboard([
+        row('unrated', 100),
+        row('low', 1, null, 0, { codeforces: 1200 }),
+        row('high', 1, null, 0, { codeforces: 1900 })
+    ], 'rating', 'codeforces');
+    assert.deepStrictEqual(ranked.map(entry => entry.profile_id), ['high', 'low', 'unrated']);
+});
+
+test('toCsvValue quotes separators and neutralises formula cells', () => {
+    assert.strictEqual(toCsvValue(null), '');
+    assert.strictEqual(toCsvValue('plain'), 'plain');
+    assert.strictEqual(toCsvValue('a,b'), '"a,b"');
+    assert.strictEqual(toCsvValue('say "hi"'), '"say ""hi"""');
+    assert.strictEqual(toCsvValue('=1+1'), "'=1+1");
+    assert.strictEqual(toCsvValue('+SUM(A1)'), "'+SUM(A1)");
+    assert.strictEqual(toCsvValue('-2'), "'-2");
+    assert.strictEqual(toCsvValue('@cmd'), "'@cmd");
+    assert.strictEqual(toCsvValue('\tx'), "'\tx");
+    assert.strictEqual(toCsvValue('=HYPERLINK("x")'), '"\'=HYPERLINK(""x"")"');
+    // Numbers are data, not formulas
+    assert.strictEqual(toCsvValue(-5), '-5');
+});
+
+test('buildLeaderboardCSV writes a header and one line per row', () => {
+    const csv = buildLeaderboardCSV(rankLeaderboard([row('alice', 3, -1, 2, { codeforces: 1500 })], 'total_solved'));
+    assert.strictEqual(csv, 'rank,profile_id,display_name,total_solved,codeforces_rating,codechef_rating,leetcode_rating,weekly_delta,current_streak\r\n'
+        + '1,alice,,3,1500,,,-1,2\r\n');
+});
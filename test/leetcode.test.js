@@ -0,0 +1,96 @@
+process.env.PROFILE_STORE = 'none';
+process.env.HISTORY_STORE = 'none';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const app = require('../api/index');
+const { LEETCODE_RECENT_AC_LIMIT } = require('../lib/platforms');
+
+let server;
+let baseURL;
+let leetcodeData;
+
+test.before(async () => {
+    app.locals.multiAPI.fetchPlatforms = async entries => Object.fromEntries(entries.map(([platform, username]) => [
+        platform,
+        platform === 'leetcode' ? { ...leetcodeData, username } : { status: 'FAILED', platform, username, error: 'stubbed' }
+    ]));
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+function calendar(days) {
+    return { 2025: { submission_calendar_data: Object.entries(days).map(([date, submissionCount]) => ({ date, submissionCount })) } };
+}
+
+function accepted(timestamp, titleSlug) {
+    return { title: titleSlug, titleSlug, timestamp, lang: 'python3' };
+}
+
+async function fetchLeetCodeHeatmap() {
+    const body = await (await fetch(`${baseURL}/api/heatmap/tester?platforms=leetcode`)).json();
+    const days = Object.values(body.heatmap_data.yearly_activity).flat();
+    return {
+        counts: Object.fromEntries(days.map(day => [day.date, day.platforms.leetcode])),
+        metadata: body.heatmap_data.metadata
+    };
+}
+
+test('a short recent list covers all history with accepted problems only', async () => {
+    leetcodeData = {
+        status: 'OK',
+        platform: 'leetcode',
+        calendar_data: calendar({ '2025-03-01': 9, '2025-03-05': 4 }),
+        recentAcSubmissions: [accepted('2025-03-05T10:00:00.000Z', 'two-sum'), accepted('2025-03-05T09:00:00.000Z', 'two-sum')],
+        solvedProblems: { complete: false, problems: [] }
+    };
+    const { counts, metadata } = await fetchLeetCodeHeatmap();
+    assert.deepStrictEqual(counts, { '2025-03-05': 1 });
+    assert.deepStrictEqual(metadata.activity_ranges.leetcode, [{ from: null, to: null, dataSource: 'accepted_problems' }]);
+});
+
+test('a full recent list leaves the cut-off day and older days to labelled submission counts', async () => {
+    const recent = Array.from({ length: LEETCODE_RECENT_AC_LIMIT }, (_, index) =>
+        accepted(`2025-06-${String(20 - Math.floor(index / 2)).padStart(2, '0')}T12:00:00.000Z`, `problem-${index}`));
+    leetcodeData = {
+        status: 'OK',
+        platform: 'leetcode',
+        calendar_data: calendar({ '2025-05-01': 7, '2025-06-11': 5, '2025-06-20': 30 }),
+        recentAcSubmissions: recent,
+        solvedProblems: { complete: false, problems: [] }
+    };
+    const { counts, metadata } = await fetchLeetCodeHeatmap();
+
+    // The oldest recent day (06-11) may be missing ACs, so it and everything before it use submissions
+    assert.strictEqual(counts['2025-05-01'], 7);
+    assert.strictEqual(counts['2025-06-11'], 5);
+    assert.strictEqual(counts['2025-06-12'], 2);
+    assert.strictEqual(counts['2025-06-20'], 2);
+    assert.deepStrictEqual(metadata.activity_ranges.leetcode, [
+        { from: null, to: '2025-06-11', dataSource: 'submission_calendar' },
+        { from: '2025-06-12', to: null, dataSource: 'accepted_problems' }
+    ]);
+});
+
+test('a complete solved list counts every problem on its last accepted day', async () => {
+    leetcodeData = {
+        status: 'OK',
+        platform: 'leetcode',
+        calendar_data: calendar({ '2025-01-10': 12 }),
+        recentAcSubmissions: Array.from({ length: LEETCODE_RECENT_AC_LIMIT }, (_, index) => accepted('2025-09-01T08:00:00.000Z', `recent-${index}`)),
+        solvedProblems: {
+            complete: true,
+            problems: [
+                { titleSlug: 'old-one', lastAcceptedAt: '2025-01-10T05:00:00.000Z' },
+                { titleSlug: 'old-two', lastAcceptedAt: '2025-01-10T06:00:00.000Z' }
+            ]
+        }
+    };
+    const { counts, metadata } = await fetchLeetCodeHeatmap();
+    assert.strictEqual(counts['2025-01-10'], 2);
+    assert.strictEqual(counts['2025-09-01'], LEETCODE_RECENT_AC_LIMIT);
+    assert.strictEqual(metadata.activity_sources.leetcode, 'accepted_problems');
+});
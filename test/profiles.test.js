@@ -0,0 +1,83 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+
+process.env.PROFILE_STORE = 'json';
+process.env.PROFILES_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'cp-unified-profiles-test-'));
+process.env.HISTORY_STORE = 'none';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const app = require('../api/index');
+
+const fetched = [];
+app.locals.multiAPI.fetchPlatforms = async entries => {
+    fetched.push(...entries);
+    return Object.fromEntries(entries.map(([platform, username]) => [platform, { status: 'FAILED', platform, username, error: 'stubbed' }]));
+};
+
+let server;
+let baseURL;
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+
+    const response = await fetch(`${baseURL}/api/profiles`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id: 'tourist', handles: { codeforces: 'impostor' } })
+    });
+    assert.strictEqual(response.status, 201);
+});
+
+test.after(() => {
+    server.close();
+    fs.rmSync(process.env.PROFILES_DIR, { recursive: true, force: true });
+});
+
+test('a registered profile id does not shadow the same username', async () => {
+    fetched.length = 0;
+    const body = await (await fetch(`${baseURL}/api/heatmap/tourist?platforms=codeforces`)).json();
+    assert.strictEqual(body.profile_id, undefined);
+    assert.deepStrictEqual(fetched, [['codeforces', 'tourist']]);
+});
+
+test('p:<id> and ?profile= resolve the profile handles', async () => {
+    for (const url of ['/api/heatmap/p:tourist', '/api/heatmap/anyone?profile=tourist']) {
+        fetched.length = 0;
+        const body = await (await fetch(`${baseURL}${url}`)).json();
+        assert.strictEqual(body.profile_id, 'tourist', url);
+        assert.deepStrictEqual(fetched, [['codeforces', 'impostor']], url);
+    }
+});
+
+test('an unknown p:<id> is a 404', async () => {
+    const response = await fetch(`${baseURL}/api/analytics/p:nobody`);
+    assert.strictEqual(response.status, 404);
+});
+
+test('a handle changed during the verification check is a 409, not a 500', async () => {
+    const created = await (await fetch(`${baseURL}/api/profiles`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id: 'verifier', handles: { codeforces: 'alice' } })
+    })).json();
+    const headers = { 'Content-Type': 'application/json', 'X-Profile-Token': created.edit_token };
+
+    const issued = await (await fetch(`${baseURL}/api/profiles/verifier/verifications/codeforces`, { method: 'POST', headers })).json();
+
+    // The owner swaps the handle while the Codeforces profile is being fetched
+    app.locals.multiAPI.refreshPlatform = async (platform, handle) => {
+        await fetch(`${baseURL}/api/profiles/verifier`, {
+            method: 'PATCH',
+            headers,
+            body: JSON.stringify({ handles: { codeforces: 'bob' } })
+        });
+        return { status: 'OK', platform, username: handle, profile: { firstName: issued.token } };
+    };
+
+    const response = await fetch(`${baseURL}/api/profiles/verifier/verifications/codeforces/check`, { method: 'POST', headers });
+    assert.strictEqual(response.status, 409);
+});